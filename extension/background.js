@@ -3,6 +3,41 @@
 // Extension state
 let extensionEnabled = true;
 
+// Newest entries kept per tab in the action log
+const ACTION_LOG_LIMIT = 50;
+// Log writes run one at a time so concurrent messages do not overwrite each other
+let actionLogQueue = Promise.resolve();
+
+// Voices preferred for chrome.tts, best first
+const PREFERRED_VOICES = ['Samantha', 'Google US English', 'Karen', 'Daniel'];
+// Spoken tab names are matched against titles and hosts above this score
+const TAB_MATCH_THRESHOLD = 0.6;
+// Tabs scoring within this margin of the best match are offered as choices
+const TAB_MATCH_MARGIN = 0.1;
+// Words in "switch to the Gmail tab" that do not name the tab
+const TAB_QUERY_FILLERS = new Set(['the', 'my', 'a', 'tab', 'page', 'window', 'one']);
+
+// Search URL templates; %s is replaced with the encoded query
+const SEARCH_ENGINES = {
+  google: 'https://www.google.com/search?q=%s',
+  duckduckgo: 'https://duckduckgo.com/?q=%s',
+  bing: 'https://www.bing.com/search?q=%s',
+  ecosia: 'https://www.ecosia.org/search?q=%s'
+};
+// Spoken site names stored on install; users edit them in the popup
+const DEFAULT_SITE_SHORTCUTS = {
+  wikipedia: 'https://www.wikipedia.org',
+  youtube: 'https://www.youtube.com',
+  gmail: 'https://mail.google.com',
+  google: 'https://www.google.com',
+  amazon: 'https://www.amazon.com',
+  'bbc news': 'https://www.bbc.com/news',
+  github: 'https://github.com',
+  reddit: 'https://www.reddit.com'
+};
+// History entries searched when resolving a spoken site name
+const SITE_HISTORY_LIMIT = 100;
+
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Accessibility Extension installed');
@@ -10,9 +45,17 @@ chrome.runtime.onInstalled.addListener(() => {
   // Initialize default settings
   chrome.storage.sync.set({
     enabled: true,
-    userId: generateUserId(),
     backendUrl: 'http://localhost:3000'
   });
+
+  // Keep the user id (it names the server session) and shortcuts the user has already edited
+  chrome.storage.sync.get(['userId', 'siteShortcuts', 'searchEngine'], (stored) => {
+    chrome.storage.sync.set({
+      userId: stored.userId || generateUserId(),
+      siteShortcuts: stored.siteShortcuts || DEFAULT_SITE_SHORTCUTS,
+      searchEngine: stored.searchEngine || 'google'
+    });
+  });
 });
 
 // Listen for messages from content scripts or popup
@@ -24,26 +67,74 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     chrome.storage.sync.set({ enabled: extensionEnabled });
     sendResponse({ success: true, enabled: extensionEnabled });
   } else if (request.action === 'speak') {
-    const preferred = ['Samantha', 'Google US English', 'Karen', 'Daniel'];
-    chrome.tts.getVoices((voices) => {
-      const options = {
-        rate: request.rate || 1.0,
-        pitch: request.pitch || 1.0,
-        volume: request.volume || 1.0,
-        lang: 'en-US'
-      };
-      for (const name of preferred) {
-        if (voices.find(v => v.voiceName === name)) {
-          options.voiceName = name;
-          break;
-        }
-      }
-      chrome.tts.speak(request.text, options);
-    });
+    speakText(request.text, request);
     sendResponse({ success: true });
   } else if (request.action === 'stopSpeaking') {
     chrome.tts.stop();
     sendResponse({ success: true });
+  } else if (request.action === 'collectFrameElements') {
+    collectFrameElements(sender.tab.id).then(sendResponse);
+    return true; // Keep channel open for async response
+  } else if (request.action === 'frameCommand') {
+    chrome.tabs.sendMessage(sender.tab.id, request.message, { frameId: request.frameId }, (response) => {
+      if (chrome.runtime.lastError) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      } else {
+        sendResponse(response);
+      }
+    });
+    return true;
+  } else if (request.action === 'forwardToTop') {
+    chrome.tabs.sendMessage(sender.tab.id, request.message, { frameId: 0 });
+    sendResponse({ success: true });
+  } else if (request.action === 'logAction') {
+    updateActionLog(sender.tab.id, log => {
+      log.push({ id: createEntryId(), time: Date.now(), frameId: sender.frameId, ...request.entry });
+    }).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === 'logNavigation') {
+    logNavigation(sender.tab.id, request.url, request.title).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === 'getActionLog') {
+    // The popup names its tab; content scripts ask about their own
+    const tabId = request.tabId !== undefined ? request.tabId : sender.tab.id;
+    updateActionLog(tabId, () => {}).then(log => sendResponse({ log }));
+    return true;
+  } else if (request.action === 'takeUndoableAction') {
+    let taken = null;
+    updateActionLog(sender.tab.id, log => {
+      taken = [...log].reverse().find(entry => (entry.type === 'click' || entry.type === 'field') && !entry.undone) || null;
+      if (taken) taken.undone = true;
+    }).then(() => sendResponse({ entry: taken }));
+    return true;
+  } else if (request.action === 'savePendingPlan') {
+    const key = pendingPlanKey(sender.tab.id);
+    (request.plan ? chrome.storage.session.set({ [key]: request.plan }) : chrome.storage.session.remove(key))
+      .then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === 'takePendingPlan') {
+    // Only the tab's top frame resumes its plan, once
+    if (sender.frameId !== 0) {
+      sendResponse({ plan: null });
+      return false;
+    }
+    const key = pendingPlanKey(sender.tab.id);
+    chrome.storage.session.get(key)
+      .then(stored => chrome.storage.session.remove(key).then(() => sendResponse({ plan: stored[key] || null })));
+    return true;
+  } else if (request.action === 'tabCommand') {
+    // Spoken from here: the asking tab may be closed or in the background by the time it is done
+    runTabCommand(request, sender.tab)
+      .then(message => {
+        if (message) announce(message);
+        sendResponse({ success: true, message });
+      })
+      .catch(error => {
+        console.error('Tab command failed:', error);
+        announce('Sorry, that did not work.');
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
   } else if (request.action === 'getSettings') {
     chrome.storage.sync.get([
       'enabled',
@@ -65,9 +156,338 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && extensionEnabled) {
     // Tab loaded, content script will auto-inject via manifest
     console.log('Page loaded:', tab.url);
+
+    if (/^https?:/.test(tab.url)) {
+      logNavigation(tabId, tab.url, tab.title);
+    }
   }
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove([actionLogKey(tabId), pendingPlanKey(tabId)]);
+});
+
+function actionLogKey(tabId) {
+  return `actionLog:${tabId}`;
+}
+
+// Steps of a multi-step plan still to run after the tab's page loads
+function pendingPlanKey(tabId) {
+  return `pendingPlan:${tabId}`;
+}
+
+// Read, change and save a tab's action log. Session storage survives service
+// worker restarts but is cleared when the browser closes.
+function updateActionLog(tabId, update) {
+  const key = actionLogKey(tabId);
+  const run = actionLogQueue.then(async () => {
+    const stored = await chrome.storage.session.get(key);
+    const log = stored[key] || [];
+    update(log);
+    const trimmed = log.slice(-ACTION_LOG_LIMIT);
+    await chrome.storage.session.set({ [key]: trimmed });
+    return trimmed;
+  });
+  actionLogQueue = run.catch(() => {});
+  return run;
+}
+
+// Record a page visit, skipping repeats of the page already on top of the log
+function logNavigation(tabId, url, title) {
+  return updateActionLog(tabId, log => {
+    const last = [...log].reverse().find(entry => entry.type === 'navigation');
+    if (last && last.url === url) return;
+    log.push({ id: createEntryId(), time: Date.now(), type: 'navigation', text: `Visited ${title || url}`, url, title: title || url });
+  });
+}
+
+function createEntryId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+// Ask every subframe of a tab for its interactive elements.
+// Only cross-origin frames answer; the top frame reaches same-origin ones itself.
+async function collectFrameElements(tabId) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+
+  const results = await Promise.all(frames
+    .filter(frame => frame.frameId !== 0)
+    .map(frame => new Promise((resolve) => {
+      chrome.tabs.sendMessage(tabId, { action: 'extractFrameElements' }, { frameId: frame.frameId }, (response) => {
+        // Frames without a content script (about:blank, restricted pages) have no receiver
+        if (chrome.runtime.lastError || !response) {
+          resolve(null);
+        } else {
+          resolve({ frameId: frame.frameId, elements: response.elements || [] });
+        }
+      });
+    })));
+
+  return results.filter(Boolean);
+}
+
+// Speak with chrome.tts, preferring a natural-sounding voice
+function speakText(text, request = {}) {
+  chrome.tts.getVoices((voices) => {
+    const options = {
+      rate: request.rate || 1.0,
+      pitch: request.pitch || 1.0,
+      volume: request.volume || 1.0,
+      lang: 'en-US',
+      // Streamed sentences queue behind each other instead of cutting in
+      enqueue: !!request.enqueue
+    };
+    for (const name of PREFERRED_VOICES) {
+      if (voices.find(v => v.voiceName === name)) {
+        options.voiceName = name;
+        break;
+      }
+    }
+    chrome.tts.speak(text, options);
+  });
+}
+
+// Speak a result at the user's speech rate
+async function announce(text) {
+  const { speechRate } = await chrome.storage.sync.get('speechRate');
+  speakText(text, { rate: speechRate });
+}
+
+// Run a tab or window command and return what to say about it
+async function runTabCommand(request, senderTab) {
+  switch (request.command) {
+    case 'listTabs':
+      return describeTabs(senderTab);
+    case 'newTab':
+      await chrome.tabs.create({});
+      return 'New tab opened.';
+    case 'newWindow':
+      await chrome.windows.create({});
+      return 'New window opened.';
+    case 'closeTab':
+      return closeTab(request.query, senderTab);
+    case 'reopenTab':
+      return reopenClosedTab();
+    case 'goToTab':
+      return goToTabNumber(request.number, senderTab);
+    case 'switchTab':
+      return switchToNamedTab(request.query, senderTab);
+    case 'openSite':
+      return openSite(request, senderTab);
+    case 'webSearch':
+      return openUrl(await buildSearchUrl(request.query), request.newTab, senderTab, `Searching for ${request.query}.`);
+    default:
+      throw new Error(`Unknown tab command: ${request.command}`);
+  }
+}
+
+// "You have 4 tabs. 1, Inbox - Gmail. 2, this tab, ..."
+async function describeTabs(senderTab) {
+  const tabs = await chrome.tabs.query({ windowId: senderTab.windowId });
+  const allTabs = await chrome.tabs.query({});
+  const names = tabs.map((tab, i) => `${i + 1}, ${tab.id === senderTab.id ? 'this tab, ' : ''}${tabName(tab)}`);
+
+  let message = `You have ${tabs.length} tab${tabs.length === 1 ? '' : 's'} in this window. ${names.join('. ')}.`;
+  const elsewhere = allTabs.length - tabs.length;
+  if (elsewhere > 0) {
+    message += ` Plus ${elsewhere} in other windows.`;
+  }
+  return message + ' Say "go to tab" and a number, or "switch to" and a tab name.';
+}
+
+async function closeTab(query, senderTab) {
+  let tab = senderTab;
+  if (query) {
+    const match = await findTab(query);
+    if (!match.tab) return match.message;
+    tab = match.tab;
+  }
+
+  await chrome.tabs.remove(tab.id);
+  return `Closed ${tab.id === senderTab.id ? 'this tab' : tabName(tab)}. Say "reopen closed tab" to bring it back.`;
+}
+
+async function reopenClosedTab() {
+  const [recent] = await chrome.sessions.getRecentlyClosed({ maxResults: 1 });
+  if (!recent) return 'There are no recently closed tabs.';
+
+  const session = await chrome.sessions.restore();
+  if (session && session.window) return 'Reopened the closed window.';
+  return `Reopened ${session && session.tab ? tabName(session.tab) : 'the closed tab'}.`;
+}
+
+async function goToTabNumber(number, senderTab) {
+  const tabs = await chrome.tabs.query({ windowId: senderTab.windowId });
+  if (!Number.isInteger(number) || number < 1 || number > tabs.length) {
+    return `There is no tab ${isNaN(number) ? 'with that number' : number}. This window has ${tabs.length} tab${tabs.length === 1 ? '' : 's'}.`;
+  }
+
+  const tab = tabs[number - 1];
+  if (tab.id === senderTab.id) return `Tab ${number} is the current tab, ${tabName(tab)}.`;
+  await activateTab(tab);
+  return `Tab ${number}, ${tabName(tab)}.`;
+}
+
+async function switchToNamedTab(query, senderTab) {
+  const match = await findTab(query);
+  if (!match.tab) return match.message;
+  if (match.tab.id === senderTab.id) return `You are already on ${tabName(match.tab)}.`;
+
+  await activateTab(match.tab);
+  return `Switched to ${tabName(match.tab)}.`;
+}
+
+async function activateTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+// Find the tab a spoken name refers to, across all windows. With no match at all
+// the message is empty, so the page can try the name as one of its own tab widgets
+async function findTab(query) {
+  const tabs = await chrome.tabs.query({});
+  const ranked = tabs
+    .map(tab => ({ tab, score: scorePage(query, tab) }))
+    .filter(candidate => candidate.score >= TAB_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length === 0) {
+    return { tab: null, message: '' };
+  }
+
+  const close = ranked.filter(candidate => candidate.score >= ranked[0].score - TAB_MATCH_MARGIN);
+  if (close.length > 1) {
+    const names = close.slice(0, 5).map(candidate => tabName(candidate.tab)).join('; ');
+    return { tab: null, message: `${close.length} tabs match ${query}: ${names}. Say "list my tabs" to hear their numbers.` };
+  }
+  return { tab: ranked[0].tab, message: '' };
+}
+
+// Fuzzy score in [0, 1] of a spoken name against a tab or page's title and host
+function scorePage(query, tab) {
+  const words = normalizeTabText(query).split(' ').filter(word => word && !TAB_QUERY_FILLERS.has(word));
+  if (words.length === 0) return 0;
+
+  const title = normalizeTabText(tab.title);
+  let host = '';
+  try {
+    host = new URL(tab.url || tab.pendingUrl || '').hostname.replace(/^www\./, '');
+  } catch (error) {
+    // about:blank and other special pages have no host
+  }
+
+  const phrase = words.join(' ');
+  if (` ${title} `.includes(` ${phrase} `) || (host && host.split('.')[0] === phrase.replace(/ /g, ''))) return 1;
+
+  const titleWords = title.split(' ').concat(host.split('.'));
+  const total = words.reduce((sum, word) => {
+    const best = Math.max(0, ...titleWords.map(candidate => wordSimilarity(word, candidate)));
+    return sum + (best >= 0.75 ? best : 0);
+  }, 0);
+  return total / words.length;
+}
+
+function wordSimilarity(a, b) {
+  if (!b) return 0;
+  if (a === b) return 1;
+  if (a.length >= 3 && b.startsWith(a)) return 0.9;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function normalizeTabText(text) {
+  return String(text || '').toLowerCase().replace(/[’']/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Open a spoken site name. With onlyKnown, nothing is opened (and '' is returned)
+// unless the name resolves to an address, shortcut, bookmark or visited page.
+async function openSite(request, senderTab) {
+  const site = await resolveSite(request.query);
+  if (!site) {
+    if (request.onlyKnown) return '';
+    return openUrl(await buildSearchUrl(request.query), request.newTab, senderTab, `I don't know a site called ${request.query}, so I'm searching for it.`);
+  }
+  return openUrl(site.url, request.newTab, senderTab, `Opening ${site.name}.`);
+}
+
+// Navigate the current tab or a new one; the new page summarizes itself on arrival
+async function openUrl(url, newTab, senderTab, message) {
+  await chrome.storage.local.set({ autoSpeak: true });
+  if (newTab) {
+    await chrome.tabs.create({ url, index: senderTab.index + 1 });
+  } else {
+    await chrome.tabs.update(senderTab.id, { url });
+  }
+  return message;
+}
+
+async function buildSearchUrl(query) {
+  const { searchEngine } = await chrome.storage.sync.get('searchEngine');
+  const template = SEARCH_ENGINES[searchEngine] || SEARCH_ENGINES.google;
+  return template.replace('%s', encodeURIComponent(query));
+}
+
+// Find the URL for a spoken site name: a spoken address ("bbc dot com"), then the
+// shortcut list, then bookmarks, then history
+// Returns { url, name } or null
+async function resolveSite(query) {
+  const spoken = String(query || '').toLowerCase().replace(/\s+dot\s+/g, '.').replace(/\s*\.\s*/g, '.').trim();
+  if (/^(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)+(?:\/\S*)?$/.test(spoken)) {
+    return { url: /^https?:/.test(spoken) ? spoken : `https://${spoken}`, name: spoken.replace(/^https?:\/\//, '') };
+  }
+
+  const { siteShortcuts = {} } = await chrome.storage.sync.get('siteShortcuts');
+  const key = normalizeTabText(query);
+  if (siteShortcuts[key]) return { url: siteShortcuts[key], name: key };
+  const shortcut = Object.entries(siteShortcuts)
+    .map(([name, url]) => ({ name, url, score: scorePage(query, { title: name }) }))
+    .filter(entry => entry.score >= 0.9)
+    .sort((a, b) => b.score - a.score)[0];
+  if (shortcut) return { url: shortcut.url, name: shortcut.name };
+
+  const bookmarks = (await chrome.bookmarks.search(query)).filter(item => item.url);
+  const bookmark = bestPage(query, bookmarks);
+  if (bookmark) return { url: bookmark.url, name: bookmark.title || query };
+
+  const history = await chrome.history.search({ text: query, startTime: 0, maxResults: SITE_HISTORY_LIMIT });
+  const visited = bestPage(query, history);
+  if (visited) {
+    // "go to wikipedia" means the site, not whichever article was visited last
+    const url = new URL(visited.url);
+    const byHost = normalizeTabText(url.hostname).includes(normalizeTabText(query).replace(/ /g, ''));
+    return { url: byHost ? url.origin : visited.url, name: byHost ? url.hostname.replace(/^www\./, '') : visited.title || query };
+  }
+
+  return null;
+}
+
+// Best scoring bookmark or history entry, most visited first among equals
+function bestPage(query, pages) {
+  return pages
+    .filter(page => /^https?:/.test(page.url))
+    .map(page => ({ page, score: scorePage(query, page) }))
+    .filter(candidate => candidate.score >= TAB_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score || (b.page.visitCount || 0) - (a.page.visitCount || 0))
+    .map(candidate => candidate.page)[0] || null;
+}
+
+// Title to speak for a tab, shortened for long page titles
+function tabName(tab) {
+  const title = (tab.title || tab.url || 'untitled tab').trim();
+  return title.length > 60 ? title.substring(0, 60) + '...' : title;
+}
+
 // Generate a unique user ID
 function generateUserId() {
   return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
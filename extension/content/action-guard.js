@@ -0,0 +1,120 @@
+/**
+ * Action guard - flags clicks that delete data, spend money or submit
+ * something that cannot be taken back, so they can be confirmed first
+ */
+
+const RISK_PATTERNS = {
+  destructive: /\b(delete|remove|erase|destroy|discard|deactivate|terminate|revoke|wipe|close (my |your )?account|cancel (my |your )?(account|subscription|membership|order)|unsubscribe)\b/,
+  payment: /\b(pay|payment|place (your |my )?order|buy|purchase|check ?out|complete (your |my )?(order|purchase)|confirm (order|purchase|payment)|transfer|send money|donate|withdraw)\b/,
+  irreversible: /\b(submit|send|publish|post|confirm|sign|finali[sz]e|apply|book|reserve)\b/
+};
+
+const RISK_REASONS = {
+  destructive: 'may delete or cancel something',
+  payment: 'may spend money',
+  irreversible: 'may submit something that cannot be undone'
+};
+
+// Pages where any submit is treated as irreversible; matched against whole path
+// segments or words in them, so "/border-styles" or "/bankrate" do not count
+const RISKY_URL = /(?:^|[\/_.-])(?:checkout|payments?|billing|pay|transfers?|wire|bank|banking|orders?|purchases?|donate|donations?|delete|close-account)(?=$|[\/_.-])/i;
+
+// Form fields that make a form's submit button risky
+const RISKY_FIELDS = [
+  'input[autocomplete^="cc-"]',
+  'input[name*="card" i]',
+  'input[name*="cvv" i]',
+  'input[name*="cvc" i]',
+  'input[name*="iban" i]',
+  'input[name*="amount" i]'
+].join(',');
+
+const ACTIONABLE_SELECTOR = 'button, a, [role="button"], [role="link"], [role="menuitem"], input[type="submit"], input[type="button"], input[type="image"]';
+
+class ActionGuard {
+  /**
+   * Decide whether activating an element needs confirmation
+   * @param {Element} element
+   * @returns {{category: string, reason: string}|null}
+   */
+  classify(element) {
+    const target = element.closest(ACTIONABLE_SELECTOR);
+    if (!target) return null;
+
+    const label = this.getLabel(target);
+    const form = target.form || target.closest('form');
+    const hints = `${target.className} ${target.id}`.toLowerCase();
+
+    if (RISK_PATTERNS.destructive.test(label) || /\b(danger|destructive)\b/.test(hints)) {
+      return this.result('destructive');
+    }
+
+    // A "Checkout" or "Buy now" link only opens the next page; paying happens there
+    if (RISK_PATTERNS.payment.test(label) && !this.isNavigationLink(target)) {
+      return this.result('payment');
+    }
+
+    // Generic submit labels only count in a risky context
+    const isSubmit = this.isSubmitButton(target, form);
+    if (isSubmit || RISK_PATTERNS.irreversible.test(label)) {
+      if (form && form.querySelector(RISKY_FIELDS)) return this.result('payment');
+      if (form && /delete|destroy|remove|cancel/i.test(form.getAttribute('action') || '')) return this.result('destructive');
+      if (RISKY_URL.test(window.location.pathname)) return this.result('irreversible');
+    }
+
+    return null;
+  }
+
+  /**
+   * Classify submitting a field's form, judged by the form's own submit button
+   * @param {Element} field - A text field or the submit button itself
+   */
+  classifySubmit(field) {
+    const form = field.form || field.closest('form');
+    const submitter = form && form.querySelector('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+    return this.classify(submitter || field);
+  }
+
+  result(category) {
+    return { category, reason: RISK_REASONS[category] };
+  }
+
+  /**
+   * Visible text or accessible name, normalized for matching
+   */
+  getLabel(element) {
+    return [element.textContent, element.getAttribute('aria-label'), element.getAttribute('title'), element.value]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Link that loads another page rather than running a script
+   */
+  isNavigationLink(element) {
+    if (element.tagName !== 'A') return false;
+    const href = (element.getAttribute('href') || '').trim();
+    return href !== '' && !href.startsWith('#') && !/^javascript:/i.test(href);
+  }
+
+  isSubmitButton(element, form) {
+    if (!form) return false;
+    if (element.tagName === 'INPUT') return element.type === 'submit' || element.type === 'image';
+    return element.tagName === 'BUTTON' && (element.getAttribute('type') || 'submit').toLowerCase() === 'submit';
+  }
+
+  /**
+   * Per-site rule for risky actions
+   * @param {object} sites - Hostname to 'allow' | 'deny'
+   * @returns {'allow'|'deny'|'ask'}
+   */
+  getSitePolicy(sites, hostname = window.location.hostname) {
+    const policy = (sites || {})[hostname];
+    return policy === 'allow' || policy === 'deny' ? policy : 'ask';
+  }
+}
+
+window.actionGuard = new ActionGuard();
@@ -0,0 +1,389 @@
+/**
+ * Accessibility audit - checks the page for common barriers and maps each
+ * finding to the WCAG success criterion it fails
+ */
+
+const WCAG = {
+  '1.1.1': { name: 'Non-text Content', level: 'A' },
+  '1.3.1': { name: 'Info and Relationships', level: 'A' },
+  '1.4.3': { name: 'Contrast (Minimum)', level: 'AA' },
+  '2.1.1': { name: 'Keyboard', level: 'A' },
+  '2.1.2': { name: 'No Keyboard Trap', level: 'A' },
+  '2.4.3': { name: 'Focus Order', level: 'A' },
+  '2.4.4': { name: 'Link Purpose (In Context)', level: 'A' },
+  '3.1.1': { name: 'Language of Page', level: 'A' },
+  '3.3.2': { name: 'Labels or Instructions', level: 'A' },
+  '4.1.2': { name: 'Name, Role, Value', level: 'A' }
+};
+
+// Points lost per occurrence and the most one rule can cost
+const AUDIT_PENALTY = { serious: 8, moderate: 4, minor: 1 };
+const AUDIT_RULE_CAP = { serious: 25, moderate: 15, minor: 5 };
+const AUDIT_EXAMPLES = 5;
+// Text elements checked for contrast; enough for a verdict without stalling large pages
+const CONTRAST_SAMPLE_LIMIT = 1500;
+
+class AccessibilityAudit {
+  constructor() {
+    this.observedTraps = new Set();
+    // Measured contrast ratios, reported alongside the failing elements
+    this.contrast = new WeakMap();
+    this.stuckElement = null;
+    this.stuckCount = 0;
+  }
+
+  /**
+   * Watch real Tab presses: focus that stays put while the page swallows Tab
+   * is a keyboard trap no static check can see
+   */
+  startMonitoring() {
+    document.addEventListener('keydown', (event) => {
+      if (event.key !== 'Tab') return;
+      const before = document.activeElement;
+
+      setTimeout(() => {
+        const stuck = event.defaultPrevented && document.hasFocus() &&
+          before && before !== document.body && document.activeElement === before;
+
+        if (!stuck) {
+          this.stuckElement = null;
+          this.stuckCount = 0;
+          return;
+        }
+
+        this.stuckCount = this.stuckElement === before ? this.stuckCount + 1 : 1;
+        this.stuckElement = before;
+        if (this.stuckCount >= 3) this.observedTraps.add(before);
+      }, 0);
+    }, true);
+  }
+
+  /**
+   * Run every check
+   * @returns {{url: string, title: string, date: string, score: number, verdict: string, issues: Array, passed: Array<string>}}
+   */
+  run() {
+    const checks = [
+      ['page-lang', () => this.checkLanguage()],
+      ['image-alt', () => this.checkImages()],
+      ['form-label', () => this.checkFormLabels()],
+      ['button-name', () => this.checkButtons()],
+      ['link-name', () => this.checkLinks()],
+      ['heading-order', () => this.checkHeadings()],
+      ['color-contrast', () => this.checkContrast()],
+      ['keyboard-access', () => this.checkKeyboardAccess()],
+      ['keyboard-trap', () => this.checkKeyboardTraps()],
+      ['tabindex', () => this.checkTabindex()]
+    ];
+
+    const issues = [];
+    const passed = [];
+
+    checks.forEach(([rule, check]) => {
+      try {
+        const result = check();
+        if (result && result.nodes.length > 0) {
+          issues.push(this.createIssue(rule, result));
+        } else {
+          passed.push(rule);
+        }
+      } catch (error) {
+        console.error(`Audit check ${rule} failed:`, error);
+      }
+    });
+
+    const severityOrder = { serious: 0, moderate: 1, minor: 2 };
+    issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity] || b.count - a.count);
+
+    const score = this.score(issues);
+    return {
+      url: window.location.href,
+      title: document.title,
+      date: new Date().toISOString(),
+      score,
+      verdict: this.verdict(score),
+      issues,
+      passed
+    };
+  }
+
+  createIssue(rule, { nodes, severity, message, criteria }) {
+    return {
+      rule,
+      severity,
+      message,
+      count: nodes.length,
+      wcag: criteria.map(id => ({ id, ...WCAG[id] })),
+      examples: nodes.slice(0, AUDIT_EXAMPLES).map(node => this.describeNode(node))
+    };
+  }
+
+  score(issues) {
+    const lost = issues.reduce((total, issue) =>
+      total + Math.min(issue.count * AUDIT_PENALTY[issue.severity], AUDIT_RULE_CAP[issue.severity]), 0);
+    return Math.max(0, 100 - lost);
+  }
+
+  verdict(score) {
+    if (score >= 90) return 'good';
+    if (score >= 70) return 'fair';
+    if (score >= 50) return 'poor';
+    return 'very poor';
+  }
+
+  /**
+   * Short spoken summary of a report
+   */
+  describeReport(report) {
+    if (report.issues.length === 0) {
+      return `This page scores ${report.score} out of 100. No problems found by the automatic checks.`;
+    }
+
+    const problems = report.issues.slice(0, 3).map(issue => issue.message).join('; ');
+    return `This page scores ${report.score} out of 100, which is ${report.verdict}. ` +
+      `Main problems: ${problems}. Open the extension popup for the full report.`;
+  }
+
+  checkLanguage() {
+    const lang = document.documentElement.getAttribute('lang');
+    return {
+      nodes: lang && lang.trim() ? [] : [document.documentElement],
+      severity: 'moderate',
+      message: 'the page language is not set',
+      criteria: ['3.1.1']
+    };
+  }
+
+  checkImages() {
+    const nodes = this.visible('img, input[type="image"], [role="img"]').filter(el => {
+      if (el.closest('[aria-hidden="true"]') || el.getAttribute('role') === 'presentation') return false;
+      if (el.tagName === 'IMG' || el.tagName === 'INPUT') return !el.hasAttribute('alt') && !this.getAccessibleName(el);
+      return !this.getAccessibleName(el);
+    });
+
+    return { nodes, severity: 'serious', message: this.plural(nodes.length, 'image', 'without alt text'), criteria: ['1.1.1'] };
+  }
+
+  checkFormLabels() {
+    const selector = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+    const nodes = this.visible(selector).filter(el => !this.getAccessibleName(el) && !el.getAttribute('placeholder'));
+
+    return { nodes, severity: 'serious', message: this.plural(nodes.length, 'form field', 'without a label'), criteria: ['1.3.1', '3.3.2', '4.1.2'] };
+  }
+
+  checkButtons() {
+    const nodes = this.visible('button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"]')
+      .filter(el => !this.getAccessibleName(el));
+
+    return { nodes, severity: 'serious', message: this.plural(nodes.length, 'button', 'without a name'), criteria: ['4.1.2'] };
+  }
+
+  checkLinks() {
+    const nodes = this.visible('a[href], [role="link"]').filter(el => !this.getAccessibleName(el));
+    return { nodes, severity: 'serious', message: this.plural(nodes.length, 'link', 'without text'), criteria: ['2.4.4', '4.1.2'] };
+  }
+
+  checkHeadings() {
+    const nodes = [];
+    let previous = 0;
+
+    this.visible('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(el => {
+      const level = window.pageOutline.getHeadingLevel(el);
+      if (previous && level > previous + 1) nodes.push(el);
+      previous = level;
+    });
+
+    return { nodes, severity: 'moderate', message: this.plural(nodes.length, 'heading', 'that skip a level'), criteria: ['1.3.1'] };
+  }
+
+  /**
+   * Text whose colour is too close to its background (4.5:1, or 3:1 for large text)
+   */
+  checkContrast() {
+    const nodes = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    const seen = new Set();
+    let node;
+
+    while ((node = walker.nextNode()) && seen.size < CONTRAST_SAMPLE_LIMIT) {
+      const el = node.parentElement;
+      if (!el || seen.has(el) || !node.textContent.trim()) continue;
+      seen.add(el);
+      if (!window.elementIndex.isVisible(el)) continue;
+
+      const style = window.getComputedStyle(el);
+      const foreground = this.parseColor(style.color);
+      const background = this.getBackground(el);
+      if (!foreground || !background) continue;
+
+      const size = parseFloat(style.fontSize);
+      const bold = parseInt(style.fontWeight) >= 700;
+      const large = size >= 24 || (bold && size >= 18.66);
+      const ratio = this.contrastRatio(this.blend(foreground, background), background);
+
+      if (ratio < (large ? 3 : 4.5)) {
+        this.contrast.set(el, Math.round(ratio * 100) / 100);
+        nodes.push(el);
+      }
+    }
+
+    return { nodes, severity: 'serious', message: this.plural(nodes.length, 'place', 'with low contrast text'), criteria: ['1.4.3'] };
+  }
+
+  /**
+   * Mouse-only controls: click handlers on elements that cannot take focus
+   */
+  checkKeyboardAccess() {
+    const nodes = this.visible('[onclick], [ng-click], [\\@click], [v-on\\:click]').filter(el => {
+      if (el.matches('a[href], button, input, select, textarea, summary, [contenteditable="true"]')) return false;
+      return !el.hasAttribute('tabindex');
+    });
+
+    return { nodes, severity: 'serious', message: this.plural(nodes.length, 'clickable element', 'that cannot be reached by keyboard'), criteria: ['2.1.1'] };
+  }
+
+  /**
+   * Traps seen while the user pressed Tab, plus plugin content that commonly holds focus
+   */
+  checkKeyboardTraps() {
+    const observed = [...this.observedTraps].filter(el => el.isConnected);
+    const plugins = this.visible('object, embed, applet');
+    const nodes = [...observed, ...plugins];
+
+    return { nodes, severity: 'serious', message: this.plural(nodes.length, 'possible keyboard trap', ''), criteria: ['2.1.2'] };
+  }
+
+  checkTabindex() {
+    const nodes = this.visible('[tabindex]').filter(el => parseInt(el.getAttribute('tabindex')) > 0);
+    return { nodes, severity: 'minor', message: this.plural(nodes.length, 'element', 'with a positive tabindex that changes focus order'), criteria: ['2.4.3'] };
+  }
+
+  /**
+   * Rough accessible name: ARIA, associated labels, alt, title, then text content
+   */
+  getAccessibleName(el) {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => el.ownerDocument.getElementById(id)?.textContent || '').join(' ').trim();
+      if (text) return text;
+    }
+
+    const direct = el.getAttribute('aria-label') || el.getAttribute('title') || '';
+    if (direct.trim()) return direct.trim();
+
+    if (el.labels && el.labels.length > 0) {
+      const text = Array.from(el.labels).map(label => label.textContent).join(' ').trim();
+      if (text) return text;
+    }
+
+    if (el.tagName === 'IMG' || (el.tagName === 'INPUT' && el.type === 'image')) {
+      return (el.getAttribute('alt') || '').trim();
+    }
+
+    if (el.tagName === 'INPUT') {
+      return ['submit', 'button', 'reset'].includes(el.type) ? (el.value || (el.type === 'submit' ? 'Submit' : '')).trim() : '';
+    }
+
+    if (el.tagName === 'SELECT' || el.tagName === 'TEXTAREA') return '';
+
+    // Text content, counting alt text of images inside (icon links with a labeled image)
+    const parts = [];
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        parts.push(node.textContent);
+      } else if (node.tagName === 'IMG' || node.getAttribute('role') === 'img') {
+        parts.push(node.getAttribute('alt') || node.getAttribute('aria-label') || '');
+      }
+    }
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  visible(selector) {
+    return window.elementIndex.queryAll(selector).filter(el => window.elementIndex.isVisible(el));
+  }
+
+  /**
+   * First opaque background behind an element, or null when an image sits behind it
+   */
+  getBackground(el) {
+    const layers = [];
+
+    for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+
+      const layer = this.parseColor(style.backgroundColor);
+      if (layer && layer.a > 0) {
+        layers.push(layer);
+        if (layer.a >= 1) break;
+      }
+    }
+
+    // Composite from the opaque base up, over a white page
+    let color = { r: 255, g: 255, b: 255, a: 1 };
+    for (let i = layers.length - 1; i >= 0; i--) {
+      color = this.blend(layers[i], color);
+    }
+    return color;
+  }
+
+  parseColor(value) {
+    const match = value && value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)/);
+    if (!match) return null;
+
+    let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+    if (match[4] && match[4].endsWith('%')) alpha /= 100;
+    return { r: +match[1], g: +match[2], b: +match[3], a: alpha };
+  }
+
+  blend(top, bottom) {
+    const a = top.a;
+    return {
+      r: top.r * a + bottom.r * (1 - a),
+      g: top.g * a + bottom.g * (1 - a),
+      b: top.b * a + bottom.b * (1 - a),
+      a: 1
+    };
+  }
+
+  luminance({ r, g, b }) {
+    const channel = value => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  }
+
+  contrastRatio(a, b) {
+    const [light, dark] = [this.luminance(a), this.luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+  }
+
+  /**
+   * Selector and markup snippet identifying a failing element in the report
+   */
+  describeNode(el) {
+    let selector = el.tagName.toLowerCase();
+    if (el.id) {
+      selector += `#${CSS.escape(el.id)}`;
+    } else if (typeof el.className === 'string' && el.className.trim()) {
+      selector += '.' + el.className.trim().split(/\s+/).slice(0, 2).map(c => CSS.escape(c)).join('.');
+    }
+
+    const snippet = el === document.documentElement
+      ? '<html>'
+      : el.outerHTML.replace(/\s+/g, ' ').substring(0, 150);
+
+    const example = { selector, snippet };
+    if (this.contrast.has(el)) example.contrast = this.contrast.get(el);
+    return example;
+  }
+
+  plural(count, noun, rest) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}${rest ? ' ' + rest : ''}`;
+  }
+}
+
+window.accessibilityAudit = new AccessibilityAudit();
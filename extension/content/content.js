@@ -6,16 +6,64 @@
 // Import utilities (loaded via manifest)
 let voiceManager;
 let apiClient;
+let intentParser;
+let pageOutline;
+let pageReader;
+let elementIndex;
+let routeTracker;
+let liveRegionMonitor;
+let actionGuard;
+let imageDescriber;
+let accessibilityAudit;
+let pageQuestions;
+let tableNavigator;
+let formAnalyzer;
+let controlHandler;
+let pageContext;
 let currentElements = [];
 let highlightedElement = null;
 let pendingSummary = null;
+let lastSummary = null;
 let autoSpeakOnLoad = false;
+let resumePlan = null;
+let planInProgress = false;
+let summaryRequestId = 0;
+// Aborts the spoken summary stream in flight (Escape, or a newer request replacing it)
+let summaryAbortController = null;
+// Values fields held before the assistant typed into them, by action log entry id
+const fieldHistory = new Map();
+// Same as the background's ACTION_LOG_LIMIT: older entries have left the log and can never be undone
+const FIELD_HISTORY_LIMIT = 50;
+// Commands about the history itself are not recorded as commands
+const HISTORY_INTENTS = ['lastAction', 'undo', 'repeatCommand', 'whereFrom'];
+// Field kinds the form wizard can fill by voice; the rest are left for the user
+const WIZARD_FIELD_KINDS = ['text', 'textarea', 'date', 'select', 'listbox', 'checkbox', 'radio', 'range'];
+// Commands that move around or read the selected table
+const TABLE_INTENTS = ['tableMove', 'readRowHeader', 'readColumnHeader', 'readColumn', 'readRow', 'readCell', 'exitTable'];
+// Intents run by the background worker with chrome.tabs and chrome.sessions
+const TAB_INTENTS = ['listTabs', 'newTab', 'newWindow', 'reopenTab', 'closeTab', 'goToTab', 'switchTab'];
+// Intents that open a website or a web search, resolved by the background worker
+const SITE_INTENTS = ['openWebsite', 'openInNewTab', 'webSearch', 'searchFor'];
+// "search for shoes on this page" searches with the page's own search box
+const PAGE_SEARCH_PATTERN = / on (?:this|the) (?:page|site)$/;
+const SEARCH_FIELD_SELECTOR = 'input[type="search"], [role="search"] input, [role="searchbox"], input[name="q"], input[name="query"], input[name="search"]';
+// "open package.json" names a file in a listing, not a website
+const FILE_NAME_PATTERN = /\.(?:json|md|markdown|html?|txt|pdf|csv|xml|ya?ml|js|mjs|ts|tsx|jsx|css|py|rb|java|go|rs|sh|lock|log|zip|png|jpe?g|gif|svg)$/;
+// Pending plan steps older than this are discarded instead of resumed
+const PLAN_RESUME_WINDOW_MS = 30000;
+// Candidates scoring within this margin of the best match are offered as choices
+const CANDIDATE_MARGIN = 0.1;
+
 let settings = {
   enabled: true,
   autoSummary: true,
+  actionContext: false,
   highlightColor: '#FFD700',
   speechRate: 1.0,
-  language: 'en-US'
+  language: 'en-US',
+  liveRegionVerbosity: 'all',
+  liveRegionMutedSites: [],
+  riskyActionSites: {}
 };
 
 // Initialize
@@ -34,6 +82,12 @@ let settings = {
     return;
   }
 
+  // Subframes only serve element requests from the top frame and forward shortcuts to it
+  if (!elementIndex.isTopFrame()) {
+    initSubframe();
+    return;
+  }
+
   // Check if we navigated here via a voice command — auto-speak summary if so
   const { autoSpeak } = await chrome.storage.local.get('autoSpeak');
   if (autoSpeak) {
@@ -41,6 +95,14 @@ let settings = {
     autoSpeakOnLoad = true;
   }
 
+  // Resume a multi-step plan that was interrupted by page navigation in this tab
+  const { plan: pendingPlan } = await chrome.runtime.sendMessage({ action: 'takePendingPlan' }).catch(() => ({}));
+  if (pendingPlan) {
+    if (Date.now() - pendingPlan.savedAt < PLAN_RESUME_WINDOW_MS) {
+      resumePlan = pendingPlan;
+    }
+  }
+
   // Wait for page to be fully loaded
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', onPageReady);
@@ -56,6 +118,25 @@ let settings = {
       startVoiceCommand();
     } else if (e.key === 'Escape') {
       stopAllSpeech();
+    } else if (e.altKey && e.code === 'KeyH') {
+      e.preventDefault();
+      stopAllSpeech();
+      announceOutlineEntry(e.shiftKey ? pageOutline.previousHeading() : pageOutline.nextHeading(), 'heading');
+    } else if (e.altKey && e.code === 'KeyL') {
+      e.preventDefault();
+      stopAllSpeech();
+      announceOutlineEntry(e.shiftKey ? pageOutline.previousLandmark() : pageOutline.nextLandmark(), 'landmark');
+    } else if (e.altKey && e.code === 'KeyP' && pageReader.isActive()) {
+      e.preventDefault();
+      if (!pageReader.pause()) pageReader.resume();
+    } else if (e.altKey && (e.code === 'Period' || e.code === 'Comma') && pageReader.isActive()) {
+      e.preventDefault();
+      pageReader.skipParagraph(e.code === 'Period' ? 1 : -1);
+    } else if (e.altKey && /^Digit[1-6]$/.test(e.code)) {
+      e.preventDefault();
+      stopAllSpeech();
+      const level = parseInt(e.code.substring(5));
+      announceOutlineEntry(e.shiftKey ? pageOutline.previousHeading(level) : pageOutline.nextHeading(level), `level ${level} heading`);
     }
   });
 })();
@@ -68,9 +149,23 @@ async function loadUtilities() {
   // Access them from window scope
   voiceManager = window.voiceManager;
   apiClient = window.apiClient;
+  intentParser = window.intentParser;
+  pageOutline = window.pageOutline;
+  pageReader = window.pageReader;
+  elementIndex = window.elementIndex;
+  routeTracker = window.routeTracker;
+  liveRegionMonitor = window.liveRegionMonitor;
+  actionGuard = window.actionGuard;
+  imageDescriber = window.imageDescriber;
+  accessibilityAudit = window.accessibilityAudit;
+  pageQuestions = window.pageQuestions;
+  tableNavigator = window.tableNavigator;
+  formAnalyzer = window.formAnalyzer;
+  controlHandler = window.controlHandler;
+  pageContext = window.pageContext;
 
   // Verify utilities are loaded
-  if (!voiceManager || !apiClient) {
+  if (!voiceManager || !apiClient || !intentParser || !pageOutline || !pageReader || !elementIndex || !routeTracker || !liveRegionMonitor || !actionGuard || !imageDescriber || !accessibilityAudit || !pageQuestions || !tableNavigator || !formAnalyzer || !controlHandler || !pageContext) {
     console.error('Failed to load utilities');
     throw new Error('Utilities not available');
   }
@@ -85,9 +180,13 @@ async function loadSettings() {
   const stored = await chrome.storage.sync.get([
     'enabled',
     'autoSummary',
+    'actionContext',
     'highlightColor',
     'speechRate',
-    'language'
+    'language',
+    'liveRegionVerbosity',
+    'liveRegionMutedSites',
+    'riskyActionSites'
   ]);
 
   settings = { ...settings, ...stored };
@@ -96,6 +195,11 @@ async function loadSettings() {
     voiceManager.setSpeechRate(settings.speechRate);
     voiceManager.setLanguage(settings.language);
   }
+
+  if (liveRegionMonitor) {
+    liveRegionMonitor.setVerbosity(settings.liveRegionVerbosity);
+    liveRegionMonitor.setMuted((settings.liveRegionMutedSites || []).includes(window.location.hostname));
+  }
 }
 
 /**
@@ -104,12 +208,89 @@ async function loadSettings() {
 async function onPageReady() {
   console.log('Page ready for accessibility processing');
 
+  // Continue a multi-step plan started on the previous page
+  if (resumePlan) {
+    const plan = resumePlan;
+    resumePlan = null;
+    setTimeout(() => {
+      runActionPlan(plan.steps, plan.stepNumber, plan.totalSteps, false);
+    }, 1000);
+  }
+
   // Fetch summary silently in background — will be spoken on first Alt+A
   if (settings.autoSummary) {
     setTimeout(() => {
       fetchSummary();
     }, 1000);
   }
+
+  // Single-page apps change views without a new document load
+  routeTracker.start(onRouteChange);
+
+  // Speak alerts, status messages and toasts as they appear
+  liveRegionMonitor.start({
+    speak: speakLiveRegion,
+    isBusy: () => pageReader.state === 'reading' || voiceManager.isListening || window.speechSynthesis.speaking
+  });
+
+  // Notice keyboard traps while the user tabs around, for the accessibility audit
+  accessibilityAudit.startMonitoring();
+}
+
+/**
+ * Speak a live region announcement. Assertive ones interrupt, pausing
+ * reader mode and picking it back up afterwards.
+ */
+async function speakLiveRegion(text, priority) {
+  console.log(`📢 Live region (${priority}):`, text);
+
+  const wasReading = priority === 'assertive' && pageReader.pause();
+  await voiceManager.speak(text);
+
+  if (wasReading) {
+    pageReader.resume();
+  }
+}
+
+/**
+ * Called when a single-page app shows a new view: refresh everything a real load would
+ * @param {{reason: string, url: string}} change
+ */
+async function onRouteChange(change) {
+  console.log('🔀 Route changed:', change.reason, change.url);
+
+  // Anything tied to the old view is stale now
+  if (pageReader.isActive()) pageReader.stop();
+  pendingSummary = null;
+  lastSummary = null;
+  currentElements = extractInteractiveElements();
+
+  if (change.reason === 'navigation') {
+    chrome.runtime.sendMessage({ action: 'logNavigation', url: change.url, title: getPageTitle() });
+  }
+
+  // A voice-command click that navigated in-app leaves the same flag a real load consumes
+  const { autoSpeak } = await chrome.storage.local.get('autoSpeak');
+  if (autoSpeak) {
+    await chrome.storage.local.remove('autoSpeak');
+    autoSpeakOnLoad = true;
+  } else if (!planInProgress) {
+    chrome.runtime.sendMessage({ action: 'speak', text: `New page: ${getPageTitle()}.` });
+  }
+
+  // Running plans announce their own steps
+  if (planInProgress) autoSpeakOnLoad = false;
+
+  if (settings.autoSummary) {
+    fetchSummary();
+  }
+}
+
+/**
+ * Title used in summaries and announcements
+ */
+function getPageTitle() {
+  return document.title || window.location.hostname || 'Untitled Page';
 }
 
 /**
@@ -119,32 +300,96 @@ async function fetchSummary() {
   try {
     console.log('Fetching page summary in background...');
 
-    const pageContent = extractPageContent();
-    const pageTitle = document.title || window.location.hostname || 'Untitled Page';
-    const interactiveElements = extractInteractiveElements();
-    const mainElements = interactiveElements.slice(0, 25).map(el => ({
-      type: el.tag,
-      text: el.text || el.ariaLabel || 'unlabeled'
-    }));
+    // Route changes start a new request; answers for an older view are dropped
+    const requestId = ++summaryRequestId;
+    cancelSpokenSummary();
 
-    const result = await apiClient.analyzePage(pageContent, pageTitle, mainElements);
-    pendingSummary = result.summary;
-    console.log('✅ Summary ready:', pendingSummary.substring(0, 80) + '...');
+    const pageContent = extractPageContent();
+    const pageTitle = getPageTitle();
+    const mainElements = getSummaryElements();
 
-    // If we navigated here via voice command, speak summary automatically
+    // If we navigated here via voice command, speak each sentence as it is generated
     if (autoSpeakOnLoad) {
       autoSpeakOnLoad = false;
-      chrome.runtime.sendMessage({
-        action: 'speak',
-        text: pendingSummary + ' Press Option A to give a voice command.'
+      chrome.runtime.sendMessage({ action: 'speak', text: `New page: ${pageTitle}.` });
+
+      const result = await apiClient.streamSummary(pageContent, pageTitle, mainElements, {
+        signal: startSpokenSummary(),
+        onSentence: sentence => {
+          if (requestId === summaryRequestId) {
+            chrome.runtime.sendMessage({ action: 'speak', text: sentence, enqueue: true });
+          }
+        }
       });
+      if (requestId !== summaryRequestId) return;
+
+      lastSummary = result.summary;
       pendingSummary = null;
+      chrome.runtime.sendMessage({ action: 'speak', text: 'Press Option A to give a voice command.', enqueue: true });
+      return;
     }
+
+    const result = await apiClient.analyzePage(pageContent, pageTitle, mainElements);
+    if (requestId !== summaryRequestId) return;
+
+    pendingSummary = result.summary;
+    lastSummary = result.summary;
+    console.log('✅ Summary ready:', pendingSummary.substring(0, 80) + '...', result.cached ? '(cached)' : '');
   } catch (error) {
+    if (error.name === 'AbortError') return;
     console.error('Error fetching summary:', error);
   }
 }
 
+/**
+ * Summary for a user who asked for it: sentences are spoken through the
+ * page's voice as they stream in, so speech starts before generation ends
+ */
+async function speakStreamedSummary() {
+  const requestId = ++summaryRequestId;
+  voiceManager.stopSpeaking();
+
+  try {
+    const result = await apiClient.streamSummary(extractPageContent(), getPageTitle(), getSummaryElements(), {
+      signal: startSpokenSummary(),
+      onSentence: sentence => {
+        if (requestId === summaryRequestId) voiceManager.enqueue(sentence);
+      }
+    });
+    if (requestId === summaryRequestId) lastSummary = result.summary;
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('Error streaming summary:', error);
+    voiceManager.speak('Sorry, the page summary is not available.');
+  }
+}
+
+/**
+ * Abort any spoken summary in flight and return the signal for a new one
+ */
+function startSpokenSummary() {
+  cancelSpokenSummary();
+  summaryAbortController = new AbortController();
+  return summaryAbortController.signal;
+}
+
+function cancelSpokenSummary() {
+  if (summaryAbortController) {
+    summaryAbortController.abort();
+    summaryAbortController = null;
+  }
+}
+
+/**
+ * First interactive elements, in the short form the summary prompt uses
+ */
+function getSummaryElements() {
+  return extractInteractiveElements().slice(0, 25).map(el => ({
+    type: el.tag,
+    text: el.text || el.ariaLabel || 'unlabeled'
+  }));
+}
+
 /**
  * Extract meaningful content from page
  */
@@ -171,6 +416,16 @@ function extractPageContent() {
     }
   });
 
+  // Image alt text only: descriptions arriving later would change the text, and with it
+  // the server's summary cache key for an unchanged page
+  const images = imageDescriber.collectImages()
+    .map(image => image.alt)
+    .filter(Boolean)
+    .slice(0, 5);
+  if (images.length > 0) {
+    content += `Images: ${images.join('; ')}. `;
+  }
+
   // Extract paragraphs or main content
   const mainContent = document.querySelector('main, article, [role="main"]');
   if (mainContent) {
@@ -207,7 +462,7 @@ function extractPageContent() {
 }
 
 /**
- * Extract interactive elements from page
+ * Extract interactive elements from page, including open shadow roots and same-origin iframes
  */
 function extractInteractiveElements() {
   const elements = [];
@@ -219,13 +474,22 @@ function extractInteractiveElements() {
     'select',
     '[role="button"]',
     '[role="link"]',
+    '[role="checkbox"]',
+    '[role="switch"]',
+    '[role="radio"]',
+    '[role="slider"]',
+    '[role="spinbutton"]',
+    '[role="combobox"]',
+    '[role="listbox"]',
+    '[role="option"]',
     '[onclick]'
   ];
 
-  const allElements = document.querySelectorAll(selectors.join(','));
+  const allElements = elementIndex.queryAll(selectors.join(','));
+  elementIndex.clear();
 
   allElements.forEach((el, index) => {
-    if (!isElementVisible(el)) return;
+    if (!isElementVisible(el) && !hasVisibleLabel(el)) return;
 
     const elementData = {
       index: index,
@@ -236,18 +500,54 @@ function extractInteractiveElements() {
       type: el.type || '',
       href: el.href || '',
       id: el.id || '',
-      className: el.className || ''
+      className: typeof el.className === 'string' ? el.className : ''
     };
 
+    // Lists carry their options so "choose California" can find the state dropdown
+    const options = getElementOptions(el);
+    if (options.length > 0) {
+      elementData.options = options;
+    }
+
+    // Icon-only controls are matched by their image description once one has been fetched
+    if (!elementData.text && !elementData.ariaLabel && imageDescriber.isUnlabeledControl(el)) {
+      elementData.unlabeled = true;
+      const description = imageDescriber.getCached(el);
+      if (description) {
+        elementData.text = description;
+        elementData.imageDescription = description;
+      }
+    }
+
     elements.push(elementData);
 
     // Store reference to actual DOM element
-    el.dataset.accessibilityIndex = index;
+    elementIndex.register(index, el);
   });
 
   return elements;
 }
 
+/**
+ * Extract elements from this page plus any cross-origin frames.
+ * Frame elements carry a frameId and are acted on through the background worker.
+ */
+async function extractAllElements() {
+  const elements = extractInteractiveElements();
+  await describeUnlabeledElements(elements);
+
+  try {
+    const frames = await chrome.runtime.sendMessage({ action: 'collectFrameElements' });
+    (frames || []).forEach(frame => {
+      frame.elements.forEach(el => elements.push({ ...el, frameId: frame.frameId }));
+    });
+  } catch (error) {
+    console.warn('Could not collect frame elements:', error);
+  }
+
+  return elements;
+}
+
 /**
  * Get visible text from element
  */
@@ -257,6 +557,12 @@ function getElementText(el) {
     return el.getAttribute('aria-label');
   }
 
+  // Form fields are named by their label; a select's own text is every option
+  if (el.matches(FORM_FIELD_SELECTOR)) {
+    const label = formAnalyzer.getLabel(el);
+    if (label) return label.substring(0, 100);
+  }
+
   // Try visible text
   let text = el.textContent?.trim() || '';
 
@@ -269,22 +575,39 @@ function getElementText(el) {
   return text.substring(0, 100);
 }
 
+/**
+ * Option labels of a select or listbox, capped so long country lists stay small
+ */
+function getElementOptions(el) {
+  const kind = formAnalyzer.getKind(el);
+  if (kind !== 'select' && kind !== 'listbox') return [];
+  return (formAnalyzer.describeField(el).options || []).slice(0, 50).map(option => option.label.substring(0, 60));
+}
+
+/**
+ * Styled checkboxes and radios hide the real input; a visible label stands in for it
+ */
+function hasVisibleLabel(el) {
+  return (el.type === 'checkbox' || el.type === 'radio') && formAnalyzer.isVisible(el) &&
+    Array.from(el.labels || []).some(isElementVisible);
+}
+
 /**
  * Check if element is visible
  */
 function isElementVisible(el) {
-  const style = window.getComputedStyle(el);
-  return style.display !== 'none' &&
-         style.visibility !== 'hidden' &&
-         style.opacity !== '0' &&
-         el.offsetWidth > 0 &&
-         el.offsetHeight > 0;
+  return elementIndex.isVisible(el);
 }
 
 /**
  * Stop all speech (both browser TTS and background chrome.tts)
  */
 function stopAllSpeech() {
+  // A summary still being generated is cancelled on the server too
+  cancelSpokenSummary();
+
+  // Reader mode keeps its place so "resume" continues from here
+  pageReader.pause();
   voiceManager.stopSpeaking();
   chrome.runtime.sendMessage({ action: 'stopSpeaking' });
 }
@@ -302,13 +625,8 @@ async function startVoiceCommand() {
 
     await voiceManager.speak('Listening for your command...');
 
-    // Extract current page elements
-    currentElements = extractInteractiveElements();
-
-    if (currentElements.length === 0) {
-      await voiceManager.speak('No interactive elements found on this page.');
-      return;
-    }
+    // Extract current page elements (local commands still work when there are none)
+    currentElements = await extractAllElements();
 
     // Reset recognition so it can be restarted after previous use
     voiceManager.resetRecognition();
@@ -335,6 +653,37 @@ async function processVoiceCommand(command) {
     console.log('📝 Processing command:', command);
     console.log('📊 Total elements available:', currentElements.length);
 
+    // Fixed navigation and control commands never reach the backend
+    const intent = intentParser.parse(command);
+    if (!intent || !HISTORY_INTENTS.includes(intent.name)) {
+      logAction({ type: 'command', text: `Heard "${command}"`, command });
+    }
+
+    if (intent) {
+      console.log('⚡ Local command:', intent.name);
+      const handled = await handleLocalIntent(intent);
+      if (handled) return;
+    }
+
+    // Questions about the content ("what's the price") are answered from the page text
+    const question = intentParser.parseQuestion(command);
+    if (question) {
+      await answerPageQuestion(question);
+      return;
+    }
+
+    if (currentElements.length === 0) {
+      if (await openKnownSite(command)) return;
+      await voiceManager.speak('No interactive elements found on this page.');
+      return;
+    }
+
+    // Compound commands ("search for shoes and open the first result") run as a plan
+    if (isMultiStepCommand(command)) {
+      await processActionPlan(command);
+      return;
+    }
+
     voiceManager.speak('Searching for element...');
 
     // Send to backend to find matching element
@@ -345,31 +694,32 @@ async function processVoiceCommand(command) {
 
     if (!result.found) {
       console.warn('❌ Element not found:', result.message);
+      if (await openKnownSite(command)) return;
       voiceManager.speak(result.message || 'Could not find matching element.');
       return;
     }
 
-    // Speak result
-    console.log('🎯 Found element:', result.element);
-    await voiceManager.speak(result.message);
-
-    // Find and interact with element
-    const elementData = result.element;
-    console.log('🔎 Looking for element with index:', elementData.index);
+    // Several near-equal matches: let the user pick instead of guessing
+    const choices = getCloseCandidates(result);
+    let elementData = result.element;
 
-    const domElement = document.querySelector(
-      `[data-accessibility-index="${elementData.index}"]`
-    );
+    if (choices.length > 1) {
+      elementData = await chooseCandidate(choices);
+      if (!elementData) return;
 
-    console.log('📍 DOM element found:', !!domElement);
-
-    if (domElement) {
-      await interactWithElement(domElement, elementData, command);
+      // Later "it" and "that" should mean the element the user picked
+      const chosen = choices.find(choice => choice.element === elementData);
+      if (chosen.elementIndex !== result.elementIndex) {
+        apiClient.recordChoice(elementData, chosen.elementIndex);
+      }
     } else {
-      console.error('❌ Element found in list but not in DOM');
-      voiceManager.speak('Element found but could not interact with it.');
+      // Speak result
+      console.log('🎯 Found element:', result.element);
+      await voiceManager.speak(result.message);
     }
 
+    await actOnElement(elementData, command, result.value);
+
   } catch (error) {
     console.error('❌ Error processing voice command:', error);
     console.error('Error details:', error.message, error.stack);
@@ -378,69 +728,1524 @@ async function processVoiceCommand(command) {
 }
 
 /**
- * Interact with DOM element
+ * Move around the selected table and read rows, columns and headers
  */
-async function interactWithElement(element, elementData, command) {
-  // Highlight element
-  highlightElement(element);
+function handleTableIntent(intent) {
+  if (intent.name === 'exitTable') {
+    tableNavigator.exit();
+    voiceManager.speak('Left table mode.');
+    return;
+  }
 
-  // Scroll into view
-  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  if (!tableNavigator.ensureTable()) {
+    voiceManager.speak(tableNavigator.tables.length > 0
+      ? 'Say "list tables", then "read table" and a number.'
+      : 'This page has no data tables.');
+    return;
+  }
 
-  // Wait a moment for visual feedback
-  await new Promise(resolve => setTimeout(resolve, 500));
+  let text;
+  switch (intent.name) {
+    case 'tableMove': {
+      const direction = intent.match[1];
+      const onRows = intent.match[2] === 'row' || direction === 'up' || direction === 'down';
+      const step = direction === 'next' || direction === 'down' || direction === 'right' ? 1 : -1;
+      text = onRows ? tableNavigator.move(step, 0) : tableNavigator.move(0, step);
+      break;
+    }
+    case 'readRowHeader':
+      text = tableNavigator.readRowHeader();
+      break;
+    case 'readColumnHeader':
+      text = tableNavigator.readColumnHeader();
+      break;
+    case 'readColumn':
+      text = tableNavigator.readColumn(intent.match[1]) || `There is no column called ${intent.match[1]}. Columns: ${tableNavigator.getColumnNames().join(', ') || 'none named'}.`;
+      break;
+    case 'readRow':
+      text = tableNavigator.readRow();
+      break;
+    case 'readCell':
+      text = tableNavigator.describeCell(true, true);
+      break;
+  }
 
-  // Determine action based on element type and command
-  if (command.toLowerCase().includes('click') ||
-      element.tagName === 'BUTTON' ||
-      element.tagName === 'A') {
-    // If it's a link that navigates away, flag the next page to auto-speak
-    if (element.tagName === 'A' && element.href && !element.href.startsWith('javascript')) {
-      await chrome.storage.local.set({ autoSpeak: true });
+  showTableCell();
+  voiceManager.speak(text);
+}
+
+/**
+ * Highlight the table cell under the cursor
+ */
+function showTableCell() {
+  const cell = tableNavigator.cell;
+  if (!cell) return;
+  highlightElement(cell);
+  cell.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
+}
+
+/**
+ * Walk through a form field by field, asking for each value by voice,
+ * then offer to submit and read back any validation errors
+ * @param {object} [form] - From formAnalyzer.analyze(); defaults to the form the user is in
+ * @param {Array} [onlyFields] - Ask only these fields (used to fix errors)
+ */
+async function runFormWizard(form = null, onlyFields = null) {
+  form = form || formAnalyzer.findCurrentForm(formAnalyzer.analyze(), highlightedElement);
+  if (!form) {
+    voiceManager.speak('There are no forms on this page.');
+    return;
+  }
+
+  const candidates = onlyFields || form.fields;
+  const fields = candidates.filter(field => WIZARD_FIELD_KINDS.includes(field.kind) &&
+    !field.element.readOnly && !(field.kind === 'range' && field.element.tagName !== 'INPUT'));
+  const manual = candidates.length - fields.length;
+
+  if (fields.length === 0) {
+    voiceManager.speak(`${form.name} has no fields I can fill by voice.`);
+    return;
+  }
+
+  await voiceManager.speak(`${onlyFields ? 'Fixing' : 'Filling in'} ${form.name}: ${fields.length} ${fields.length === 1 ? 'field' : 'fields'}.` +
+    `${manual > 0 ? ` ${manual} more must be filled in by hand.` : ''} Answer each question, or say skip, back, repeat or stop.`);
+
+  let i = 0;
+  while (i < fields.length) {
+    const outcome = await askFormField(fields[i]);
+    if (outcome === 'stop') {
+      await voiceManager.speak('Stopped filling in the form.');
+      return;
     }
-    element.click();
-    voiceManager.speak('Clicked.');
-  } else if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-    element.focus();
-    voiceManager.speak('Focused on input field. You can now type.');
-  } else {
-    element.click();
-    voiceManager.speak('Activated.');
+    i = outcome === 'back' ? Math.max(0, i - 1) : i + 1;
   }
+
+  await offerFormSubmit(form);
 }
 
 /**
- * Highlight element
+ * Ask for one field's value and apply it
+ * @returns {Promise<'next'|'skip'|'back'|'stop'>}
  */
-function highlightElement(element) {
-  // Remove previous highlight
-  if (highlightedElement) {
-    highlightedElement.classList.remove('accessibility-highlight');
+async function askFormField(field) {
+  const element = field.element;
+  const target = field.kind === 'radio' ? element.closest('fieldset, [role="radiogroup"]') || element : element;
+  highlightElement(target);
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.focus({ preventScroll: true });
+
+  const prompt = describeFieldPrompt(field);
+  await voiceManager.speak(prompt);
+
+  // One retry after silence or an answer that does not fit the field
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const answer = await voiceManager.listenOnce();
+    if (!answer) {
+      if (attempt === 0) await voiceManager.speak(`I didn't hear anything. ${field.label || 'This field'}?`);
+      continue;
+    }
+
+    const command = intentParser.parseFormCommand(answer);
+    if (command === 'repeat') {
+      await voiceManager.speak(prompt);
+      attempt--;
+      continue;
+    }
+    if (command === 'skip' || command === 'back' || command === 'stop') return command;
+
+    const result = applyFieldAnswer(field, command === 'clear' ? '' : answer);
+    await voiceManager.speak(result.message);
+    if (result.ok) return 'next';
   }
 
-  // Add highlight
-  element.classList.add('accessibility-highlight');
-  highlightedElement = element;
+  await voiceManager.speak('Skipping this field.');
+  return 'skip';
+}
 
-  // Remove highlight after 3 seconds
-  setTimeout(() => {
-    element.classList.remove('accessibility-highlight');
-    if (highlightedElement === element) {
-      highlightedElement = null;
+/**
+ * Question for a field, with its state and, for choices, the options
+ */
+function describeFieldPrompt(field) {
+  formAnalyzer.refreshValue(field);
+  const label = field.label || `Unlabeled ${field.kind} field`;
+  const required = field.required ? ', required' : '';
+  const current = field.value && field.kind !== 'checkbox' && field.type !== 'password' ? ` Currently ${field.value}.` : '';
+  const error = field.invalid && field.error ? ` Error: ${field.error}.` : '';
+
+  switch (field.kind) {
+    case 'select':
+    case 'listbox':
+    case 'radio':
+      return `${label}${required}. Choose from: ${formAnalyzer.describeOptions(field)}.${current}${error}`;
+    case 'checkbox':
+      return `${label}${required}, ${field.value}. Yes or no?${error}`;
+    case 'range':
+      return `${label}${required}, from ${field.element.min || 0} to ${field.element.max || 100}.${current} Say a number.${error}`;
+    case 'date':
+      return `${label}${required}. Say a date.${current}${error}`;
+    default:
+      return `${label}${required}.${current}${error} What should I enter?`;
+  }
+}
+
+/**
+ * Set a field from a spoken answer
+ * @returns {{ok: boolean, message: string}}
+ */
+function applyFieldAnswer(field, answer) {
+  const element = field.element;
+  const label = field.label || 'Field';
+
+  if (field.kind === 'select' || field.kind === 'listbox' || field.kind === 'radio') {
+    const option = formAnalyzer.matchOption(field.options, answer);
+    if (!option) {
+      return { ok: false, message: `No option matches "${answer}". Options are: ${formAnalyzer.describeOptions(field)}.` };
     }
-  }, 3000);
+
+    if (field.kind === 'select') {
+      formAnalyzer.selectOption(element, option);
+    } else if (field.kind === 'listbox') {
+      option.element.click();
+    } else {
+      formAnalyzer.setChecked(option.element, true);
+    }
+    logAction({ type: 'choice', text: `Chose ${option.label} for ${label}` });
+    return { ok: true, message: `${label}: ${option.label}.` };
+  }
+
+  if (field.kind === 'checkbox') {
+    const checked = intentParser.parseYesNo(answer);
+    if (checked === null) return { ok: false, message: 'Please say yes or no.' };
+
+    formAnalyzer.setChecked(element, checked);
+    const state = formAnalyzer.isChecked(element) ? 'checked' : 'not checked';
+    logAction({ type: 'choice', text: `${label}: ${state}` });
+    return { ok: true, message: `${label}, now ${state}.` };
+  }
+
+  let value = answer;
+  if (field.kind === 'range') {
+    const number = parseFloat(answer.replace(/[^\d.-]/g, ''));
+    if (isNaN(number)) return { ok: false, message: 'Please say a number.' };
+    value = String(number);
+  } else if (field.kind === 'date' && answer) {
+    value = parseSpokenDate(answer, element.type);
+    if (!value) return { ok: false, message: `I couldn't understand "${answer}" as a date.` };
+  } else if (field.type === 'email') {
+    value = parseSpokenEmail(answer);
+  }
+
+  typeIntoField(element, { text: label }, value);
+  formAnalyzer.refreshValue(field);
+  const problem = field.invalid && field.error ? ` That looks wrong: ${field.error}.` : '';
+  return { ok: true, message: `${value ? describeFilledValue(element, { text: label }) : `${label} cleared.`}${problem}` };
 }
 
-// Listen for messages from popup or background
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'summarizePage') {
-    startVoiceCommand();
-    sendResponse({ success: true });
-  } else if (request.action === 'startVoiceCommand') {
-    startVoiceCommand();
-    sendResponse({ success: true });
-  } else if (request.action === 'updateSettings') {
-    loadSettings();
-    sendResponse({ success: true });
+/**
+ * "john dot smith at example dot com" -> "john.smith@example.com"
+ */
+function parseSpokenEmail(text) {
+  return text.toLowerCase()
+    .replace(/\s+at\s+/g, '@')
+    .replace(/\s+dot\s+/g, '.')
+    .replace(/\s+(?:underscore)\s+/g, '_')
+    .replace(/\s+(?:dash|hyphen)\s+/g, '-')
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Spoken date ("March 5th 2025", "5 March", "today") in the format a date input expects
+ * @returns {string|null}
+ */
+function parseSpokenDate(text, type) {
+  const cleaned = text.toLowerCase().replace(/(\d+)(?:st|nd|rd|th)\b/g, '$1').replace(/\bof\b/g, '').trim();
+  let date;
+  if (cleaned === 'today') {
+    date = new Date();
+  } else if (cleaned === 'tomorrow') {
+    date = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  } else if (/\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b|\d{1,4}[/-]\d{1,2}/.test(cleaned)) {
+    date = new Date(/\d{4}/.test(cleaned) ? cleaned : `${cleaned} ${new Date().getFullYear()}`);
+  }
+  if (!date || isNaN(date.getTime())) return null;
+
+  const pad = n => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  if (type === 'month') return day.substring(0, 7);
+  if (type === 'datetime-local') return `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  return day;
+}
+
+/**
+ * After the last field: submit on request, then report errors if the page stays
+ */
+async function offerFormSubmit(form) {
+  const button = formAnalyzer.findSubmitButton(form);
+  if (!button && !form.element) {
+    await voiceManager.speak('That was the last field.');
+    return;
+  }
+
+  await voiceManager.speak(`That was the last field. Say "submit" to send ${form.name}, or "stop" to leave it unsent.`);
+  const answer = await voiceManager.listenOnce();
+  if (!answer || !/^(?:submit|send|yes|submit it|send it|submit (?:the|this) form)$/.test(intentParser.normalize(answer))) {
+    await voiceManager.speak('The form was not submitted.');
+    return;
+  }
+
+  const target = button || form.fields[form.fields.length - 1].element;
+  const label = button ? (button.textContent.trim() || button.value || 'Submit') : form.name;
+  const elementData = { text: label, tag: target.tagName.toLowerCase() };
+
+  // Confirm before flagging the next page, so a tab that loads while we ask does not speak
+  const risk = actionGuard.classifySubmit(target);
+  if (risk && (!elementIndex.isTopFrame() || !(await confirmRiskyAction(risk, elementData)))) return;
+
+  await chrome.storage.local.set({ autoSpeak: true });
+  await performElementOperation(target, elementData, { operation: 'submit', confirmed: true });
+
+  // A new page load ends this script; still running means the form stayed, usually with errors
+  await waitForDomChange(3000);
+  await chrome.storage.local.remove('autoSpeak');
+  await reportFormErrors(form, true);
+}
+
+/**
+ * Read the form's validation errors and offer to go back to those fields
+ * @param {boolean} afterSubmit - Whether the form was just submitted
+ */
+async function reportFormErrors(form, afterSubmit) {
+  // Frameworks often re-render the form on submit; look it up again by one of its fields
+  const anchor = form.fields.map(field => field.element).find(el => el.isConnected);
+  const current = formAnalyzer.findCurrentForm(formAnalyzer.analyze(), anchor) || form;
+  const errors = formAnalyzer.getErrors(current);
+
+  if (errors.length === 0) {
+    const alerts = formAnalyzer.getFormAlerts(current);
+    if (alerts.length > 0) {
+      voiceManager.speak(`The page says: ${alerts.join('. ')}`);
+    } else {
+      voiceManager.speak(afterSubmit ? 'Submitted. No errors were reported.' : 'No errors in this form.');
+    }
+    return;
+  }
+
+  const list = errors.map(error => `${error.field.label || 'Unlabeled field'}: ${error.message}`).join('; ');
+  await voiceManager.speak(`${errors.length} ${errors.length === 1 ? 'problem' : 'problems'}. ${list}. Say "fix" to correct ${errors.length === 1 ? 'it' : 'them'}, or "stop".`);
+
+  const answer = await voiceManager.listenOnce();
+  if (answer && /^(?:fix|fix (?:it|them|those|the errors)|yes|correct (?:it|them))$/.test(intentParser.normalize(answer))) {
+    await runFormWizard(current, errors.map(error => error.field));
+  }
+}
+
+/**
+ * Answer a question from the full page text, reading the supporting quote
+ */
+async function answerPageQuestion(question) {
+  voiceManager.speak('Checking the page...');
+
+  try {
+    const result = await pageQuestions.ask(question);
+    console.log('💬 Answer:', result);
+
+    const evidence = result.evidence[0];
+    if (!result.found || !evidence) {
+      voiceManager.speak(result.answer || 'I could not find that on this page.');
+      return;
+    }
+
+    const quote = evidence.quote.length > 200 ? evidence.quote.substring(0, 200) + '...' : evidence.quote;
+    const answer = result.answer.includes(evidence.quote) ? result.answer : `${result.answer} The page says: "${quote}".`;
+    voiceManager.speak(`${answer} Say "show me" to go to it.`);
+  } catch (error) {
+    console.error('Error answering question:', error);
+    voiceManager.speak('Sorry, I could not answer that question.');
+  }
+}
+
+/**
+ * Scroll to and highlight the passage the last answer was quoted from
+ */
+function showAnswerSource() {
+  if (!pageQuestions.lastAnswer) {
+    voiceManager.speak('Ask a question about the page first.');
+    return;
+  }
+
+  const source = pageQuestions.findSource();
+  if (!source) {
+    voiceManager.speak('I could not find that passage on the page any more.');
+    return;
+  }
+
+  source.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  highlightElement(source.element);
+  pageQuestions.highlightSource(source);
+  voiceManager.speak(`Here: ${source.quote}`);
+}
+
+/**
+ * Fetch descriptions for icon-only controls so they can be targeted by voice.
+ * Waits briefly; anything slower is cached for the next command.
+ */
+async function describeUnlabeledElements(elements) {
+  const pending = elements.filter(el => el.unlabeled && !el.imageDescription);
+  if (pending.length === 0) return;
+
+  const domElements = pending.map(el => elementIndex.get(el.index)).filter(Boolean);
+  await imageDescriber.describeAll(domElements.slice(0, 20), 'icon', 2500);
+
+  pending.forEach(el => {
+    const domElement = elementIndex.get(el.index);
+    const description = domElement && imageDescriber.getCached(domElement);
+    if (description) {
+      el.text = description;
+      el.imageDescription = description;
+    }
+  });
+}
+
+/**
+ * Read out the images on the page, describing those without alt text
+ */
+async function describePageImages() {
+  const images = imageDescriber.collectImages().slice(0, 10);
+  if (images.length === 0) {
+    voiceManager.speak('There are no images on this page.');
+    return;
+  }
+
+  const unlabeled = images.filter(image => image.alt === null).map(image => image.element);
+  if (unlabeled.length > 0) {
+    voiceManager.speak('Describing images...');
+    await imageDescriber.describeAll(unlabeled, 'image', 10000);
+  }
+
+  const descriptions = images.map((image, i) => {
+    const text = image.alt !== null ? image.alt : imageDescriber.getCached(image.element);
+    return `${i + 1}: ${text || 'no description available'}`;
+  });
+
+  const note = unlabeled.length > 0 ? ' Images without alt text were described automatically.' : '';
+  voiceManager.speak(`${images.length} images. ${descriptions.join('; ')}.${note}`);
+}
+
+/**
+ * Find and interact with a matched element
+ */
+async function actOnElement(elementData, command, value) {
+  console.log('🔎 Looking for element with index:', elementData.index);
+
+  // Elements in cross-origin frames are handled by that frame's content script
+  if (elementData.frameId !== undefined) {
+    const response = await performFrameAction(elementData, { operation: 'interact', command, value });
+    if (!response || (!response.success && !response.cancelled)) {
+      voiceManager.speak('Element found but could not interact with it.');
+    }
+    return;
+  }
+
+  const domElement = elementIndex.get(elementData.index);
+
+  console.log('📍 DOM element found:', !!domElement);
+
+  if (domElement) {
+    await performElementOperation(domElement, elementData, { operation: 'interact', command, value });
+  } else {
+    console.error('❌ Element found in list but not in DOM');
+    voiceManager.speak('Element found but could not interact with it.');
+  }
+}
+
+/**
+ * Add an entry to this tab's action log in the background
+ * @param {object} entry - { type: 'command' | 'click' | 'field' | 'undo', text, ... }
+ */
+function logAction(entry) {
+  chrome.runtime.sendMessage({ action: 'logAction', entry: { url: window.location.href, ...entry } });
+}
+
+async function getActionLog() {
+  const response = await chrome.runtime.sendMessage({ action: 'getActionLog' });
+  return (response && response.log) || [];
+}
+
+/**
+ * Click an element and record it
+ */
+function clickElement(element, elementData) {
+  logAction({ type: 'click', text: `Clicked ${elementData.text || elementData.ariaLabel || elementData.tag}` });
+  element.click();
+}
+
+/**
+ * Type into a field, remembering its old value for undo
+ */
+function typeIntoField(element, elementData, value) {
+  const id = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  fieldHistory.set(id, { element, previousValue: element.isContentEditable ? element.textContent : element.value });
+  trimFieldHistory();
+
+  formAnalyzer.setValue(element, value);
+
+  const label = elementData.text || elementData.ariaLabel || element.name || 'field';
+  const typed = element.type === 'password' ? `${value.length} characters` : `"${value}"`;
+  logAction({ type: 'field', id, text: `Typed ${typed} into ${label}`, label });
+}
+
+/**
+ * Speak the most recent click or field change and where it led
+ */
+async function describeLastAction() {
+  const log = await getActionLog();
+  let index = log.length - 1;
+  while (index >= 0 && log[index].type !== 'click' && log[index].type !== 'field') index--;
+
+  if (index < 0) {
+    voiceManager.speak("I haven't done anything on this tab yet.");
+    return;
+  }
+
+  const entry = log[index];
+  const arrival = log.slice(index + 1).find(e => e.type === 'navigation');
+  const outcome = entry.undone ? ', and that was undone' : arrival ? `, which opened ${arrival.title}` : '';
+  voiceManager.speak(`${entry.text}${outcome}.`);
+}
+
+/**
+ * Revert the most recent click or field change: restore the field's old value,
+ * or go back when the click navigated away
+ */
+async function undoLastAction() {
+  const { entry } = await chrome.runtime.sendMessage({ action: 'takeUndoableAction' }) || {};
+  if (!entry) {
+    voiceManager.speak('There is nothing to undo.');
+    return;
+  }
+
+  if (entry.type === 'click') {
+    if (entry.url !== window.location.href) {
+      logAction({ type: 'undo', text: `Went back from ${getPageTitle()}` });
+      await chrome.storage.local.set({ autoSpeak: true });
+      await voiceManager.speak('Going back.');
+      history.back();
+    } else {
+      voiceManager.speak(`${entry.text} did not change the page, so there is nothing to go back to.`);
+    }
+    return;
+  }
+
+  // Field changes are undone by the frame that made them
+  const restored = entry.frameId
+    ? await chrome.runtime.sendMessage({ action: 'frameCommand', frameId: entry.frameId, message: { action: 'restoreField', id: entry.id } })
+    : restoreField(entry.id);
+
+  if (restored && restored.success) {
+    logAction({ type: 'undo', text: `Restored ${entry.label}` });
+    voiceManager.speak(`Restored the previous value of ${entry.label}.`);
+  } else {
+    voiceManager.speak(`${entry.label} is no longer on the page, so it cannot be restored.`);
+  }
+}
+
+/**
+ * Drop saved values for fields that left the page, and the oldest beyond the log's
+ * length, so old values (passwords included) and detached nodes are not kept for good
+ */
+function trimFieldHistory() {
+  fieldHistory.forEach((saved, id) => {
+    if (!saved.element.isConnected) fieldHistory.delete(id);
+  });
+  for (const id of fieldHistory.keys()) {
+    if (fieldHistory.size <= FIELD_HISTORY_LIMIT) break;
+    fieldHistory.delete(id);
+  }
+}
+
+/**
+ * Put back a field's value from before the assistant typed into it
+ */
+function restoreField(id) {
+  const saved = fieldHistory.get(id);
+  if (!saved || !saved.element.isConnected) return { success: false };
+
+  formAnalyzer.setValue(saved.element, saved.previousValue);
+  fieldHistory.delete(id);
+  return { success: true };
+}
+
+/**
+ * Candidates whose scores are close to the best match
+ * @returns {Array<{elementIndex: number, score: number, element: object}>}
+ */
+function getCloseCandidates(result) {
+  const candidates = (result.candidates || []).filter(c => c.element);
+  if (candidates.length < 2) return [];
+
+  const best = candidates[0].score;
+  return candidates.filter(c => best - c.score <= CANDIDATE_MARGIN);
+}
+
+/**
+ * Read numbered options and wait for "one", "two" or "cancel"
+ * @returns {Promise<object|null>} - The chosen element data, or null when cancelled
+ */
+async function chooseCandidate(choices) {
+  const options = choices
+    .map((choice, i) => `${i + 1}: ${describeCandidate(choice.element)}`)
+    .join('; ');
+
+  await voiceManager.speak(`I found ${choices.length} matches. ${options}. Say a number, or cancel.`);
+
+  // One retry when the answer is missing or not understood
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const answer = await voiceManager.listenOnce();
+    const choice = answer ? intentParser.parseChoice(answer, choices.length) : null;
+
+    if (choice === 'cancel') {
+      await voiceManager.speak('Cancelled.');
+      return null;
+    }
+    if (choice !== null) {
+      return choices[choice].element;
+    }
+    if (attempt === 0) {
+      await voiceManager.speak(`Please say a number from 1 to ${choices.length}, or cancel.`);
+    }
+  }
+
+  await voiceManager.speak('No option chosen. Cancelled.');
+  return null;
+}
+
+/**
+ * Element label plus where it sits, e.g. "Edit, in row Invoice 42"
+ */
+function describeCandidate(elementData) {
+  const label = elementData.text || elementData.ariaLabel || elementData.placeholder || elementData.tag;
+  const element = elementData.frameId === undefined ? elementIndex.get(elementData.index) : null;
+  const context = element ? describeElementContext(element) : '';
+  return context ? `${label}, ${context}` : label;
+}
+
+/**
+ * Short description of an element's surroundings: its table row, its group,
+ * or the heading above it
+ */
+function describeElementContext(element) {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim().substring(0, 60);
+
+  const row = element.closest('tr');
+  if (row) {
+    const cells = Array.from(row.querySelectorAll('th, td'));
+    const header = cells.find(cell => cell.tagName === 'TH' && !cell.contains(element)) ||
+      cells.find(cell => !cell.contains(element) && clean(cell.textContent));
+    if (header) return `in row ${clean(header.textContent)}`;
+  }
+
+  const fieldset = element.closest('fieldset');
+  const legend = fieldset && fieldset.querySelector('legend');
+  if (legend && clean(legend.textContent)) return `in ${clean(legend.textContent)}`;
+
+  const item = element.closest('li, article, [role="listitem"], [role="article"]');
+  if (item) {
+    const title = item.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+    if (title && !title.contains(element) && clean(title.textContent)) return `in ${clean(title.textContent)}`;
+  }
+
+  const heading = pageOutline.headingBefore(element);
+  return heading ? `under ${clean(heading.text)}` : '';
+}
+
+/**
+ * Pass a tab or window command to the background worker. It speaks the result
+ * itself, since this tab may be closed or hidden by the time it is done.
+ * "Go to the settings tab" may mean a tab widget on the page: the page wins when
+ * it has an element with that name, and so does a name no browser tab matches.
+ * @returns {Promise<boolean>} - false when the page should handle the command instead
+ */
+async function handleTabIntent(intent) {
+  const request = { action: 'tabCommand', command: intent.name };
+  if (intent.name === 'goToTab') {
+    request.number = intentParser.parseNumber(intent.match[1]);
+  } else if (intent.name === 'switchTab' || intent.name === 'closeTab') {
+    request.query = intent.match[1] || null;
+  }
+
+  if (request.query && hasElementNamed(request.query)) {
+    return false;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage(request);
+    // An empty message for a named tab means no browser tab matched
+    if (request.query && response && response.success && !response.message) {
+      return false;
+    }
+  } catch (error) {
+    console.error('Tab command failed:', error);
+    voiceManager.speak('Sorry, tabs could not be changed.');
+  }
+  return true;
+}
+
+/**
+ * Open a website or web search. "search for ..." searches the web unless the page's
+ * search box has focus or the user says "on this page", and "open X in a new tab"
+ * only opens sites it can resolve.
+ * @returns {Promise<boolean>} - false when the page should handle the command instead
+ */
+async function handleSiteIntent(intent) {
+  const text = intent.match[0];
+  if (intent.name === 'searchFor' && isMultiStepCommand(text)) {
+    return false;
+  }
+
+  if (intent.name === 'searchFor') {
+    const onPage = PAGE_SEARCH_PATTERN.test(text);
+    if (onPage || isPageSearchFocused()) {
+      if (!hasPageSearchField()) {
+        voiceManager.speak('This page has no search box.');
+        return true;
+      }
+      await processActionPlan(`search for ${intent.match[1].replace(PAGE_SEARCH_PATTERN, '')}`);
+      return true;
+    }
+  }
+
+  // A link on the page with that name wins ("open readme.md" in a file listing)
+  if (intent.name === 'openWebsite' && (FILE_NAME_PATTERN.test(intent.match[1]) || hasElementNamed(intent.match[1]))) {
+    return false;
+  }
+
+  const search = intent.name === 'webSearch' || intent.name === 'searchFor';
+  const response = await chrome.runtime.sendMessage({
+    action: 'tabCommand',
+    command: search ? 'webSearch' : 'openSite',
+    query: intent.match[1],
+    newTab: / in (?:a )?new tab$/.test(text),
+    onlyKnown: intent.name === 'openInNewTab'
+  });
+
+  // An empty message means the name is not a known site (failures are already spoken)
+  return !response || !response.success || !!response.message;
+}
+
+/**
+ * "go to wikipedia" when the page has no such link: open the site if the name is
+ * a known shortcut, bookmark or visited page
+ * @returns {Promise<boolean>} - Whether a site was opened
+ */
+async function openKnownSite(command) {
+  const match = intentParser.normalize(command).match(/^(?:go to|open|visit|navigate to|take me to) (?:the )?(.+)$/);
+  if (!match || FILE_NAME_PATTERN.test(match[1])) return false;
+
+  const response = await chrome.runtime.sendMessage({ action: 'tabCommand', command: 'openSite', query: match[1], onlyKnown: true });
+  return !!(response && response.success && response.message);
+}
+
+/**
+ * Whether an extracted element's label contains the spoken name as whole words
+ */
+function hasElementNamed(name) {
+  return currentElements.some(element => {
+    const label = intentParser.normalize(element.text || element.ariaLabel || '');
+    return label && ` ${label} `.includes(` ${name} `);
+  });
+}
+
+/**
+ * Whether the page has its own search box for "search for ..." to type into
+ */
+function hasPageSearchField() {
+  return elementIndex.queryAll(SEARCH_FIELD_SELECTOR).some(isElementVisible);
+}
+
+/**
+ * Whether the user is in the page's search box, so "search for ..." searches there
+ */
+function isPageSearchFocused() {
+  const focused = document.activeElement;
+  return !!(focused && focused !== document.body && focused.matches(SEARCH_FIELD_SELECTOR));
+}
+
+/**
+ * Run a command recognized by the local intent parser
+ * @param {{name: string, match: Array}} intent
+ * @returns {Promise<boolean>} - false when the command should go to the backend instead
+ */
+async function handleLocalIntent(intent) {
+  if (TABLE_INTENTS.includes(intent.name)) {
+    handleTableIntent(intent);
+    return true;
+  }
+
+  if (TAB_INTENTS.includes(intent.name)) {
+    return handleTabIntent(intent);
+  }
+
+  if (SITE_INTENTS.includes(intent.name)) {
+    return handleSiteIntent(intent);
+  }
+
+  switch (intent.name) {
+    case 'scrollDown':
+      window.scrollBy({ top: window.innerHeight * 0.8, behavior: 'smooth' });
+      voiceManager.speak('Scrolled down.');
+      break;
+    case 'scrollUp':
+      window.scrollBy({ top: -window.innerHeight * 0.8, behavior: 'smooth' });
+      voiceManager.speak('Scrolled up.');
+      break;
+    case 'scrollTop':
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      voiceManager.speak('Top of page.');
+      break;
+    case 'scrollBottom':
+      window.scrollTo({ top: document.documentElement.scrollHeight, behavior: 'smooth' });
+      voiceManager.speak('Bottom of page.');
+      break;
+    case 'goBack':
+      await chrome.storage.local.set({ autoSpeak: true });
+      await voiceManager.speak('Going back.');
+      history.back();
+      break;
+    case 'goForward':
+      await chrome.storage.local.set({ autoSpeak: true });
+      await voiceManager.speak('Going forward.');
+      history.forward();
+      break;
+    case 'reload':
+      await chrome.storage.local.set({ autoSpeak: true });
+      await voiceManager.speak('Reloading.');
+      location.reload();
+      break;
+    case 'stop':
+      stopAllSpeech();
+      break;
+    case 'readAgain':
+      pendingSummary = null;
+      if (lastSummary) {
+        voiceManager.speak(lastSummary);
+      } else {
+        await speakStreamedSummary();
+      }
+      break;
+    case 'whatPage':
+      voiceManager.speak(`This page is ${document.title || 'untitled'}, on ${window.location.hostname || 'a local file'}.`);
+      break;
+    case 'whereAmI': {
+      const focused = document.activeElement && document.activeElement !== document.body ? document.activeElement : null;
+      voiceManager.speak(pageContext.describe(focused || highlightedElement));
+      break;
+    }
+    case 'nextHeading':
+      announceOutlineEntry(pageOutline.nextHeading(), 'heading');
+      break;
+    case 'previousHeading':
+      announceOutlineEntry(pageOutline.previousHeading(), 'heading');
+      break;
+    case 'headingLevel': {
+      const level = intentParser.parseNumber(intent.match[2]);
+      const entry = intent.match[1] === 'previous' ? pageOutline.previousHeading(level) : pageOutline.nextHeading(level);
+      announceOutlineEntry(entry, `level ${level} heading`);
+      break;
+    }
+    case 'listHeadings': {
+      const headings = pageOutline.describeHeadings();
+      voiceManager.speak(headings.length > 0
+        ? `${headings.length} headings: ${headings.join('; ')}.`
+        : 'This page has no headings.');
+      break;
+    }
+    case 'nextLandmark':
+      announceOutlineEntry(pageOutline.nextLandmark(), 'landmark');
+      break;
+    case 'previousLandmark':
+      announceOutlineEntry(pageOutline.previousLandmark(), 'landmark');
+      break;
+    case 'listLandmarks': {
+      const landmarks = pageOutline.describeLandmarks();
+      voiceManager.speak(landmarks.length > 0
+        ? `${landmarks.length} landmarks: ${landmarks.join(', ')}.`
+        : 'This page has no landmarks.');
+      break;
+    }
+    case 'goToLandmark': {
+      const landmark = pageOutline.findLandmark(intent.match[1]);
+      if (landmark) {
+        announceOutlineEntry(landmark, 'landmark');
+      } else if (/ (?:landmark|region)$/.test(intent.match[0])) {
+        voiceManager.speak(`This page has no ${intent.match[1]} landmark.`);
+      } else {
+        // "go to search" without a search landmark most likely means the search box or link
+        return false;
+      }
+      break;
+    }
+    case 'readPage':
+      pageReader.stop();
+      if (!pageReader.start()) {
+        voiceManager.speak('Could not find any text to read on this page.');
+      }
+      break;
+    case 'pauseReading':
+      if (!pageReader.pause()) {
+        voiceManager.speak('Nothing is being read.');
+      }
+      break;
+    case 'resumeReading':
+      // "continue" is also a common button label
+      if (!pageReader.resume()) return false;
+      break;
+    case 'nextParagraph':
+    case 'previousParagraph':
+      if (!pageReader.isActive()) {
+        voiceManager.speak('Say "read this page" to start reading.');
+      } else if (!pageReader.skipParagraph(intent.name === 'nextParagraph' ? 1 : -1)) {
+        voiceManager.speak(intent.name === 'nextParagraph' ? 'This is the last paragraph.' : 'This is the first paragraph.');
+      }
+      break;
+    case 'faster':
+      await changeSpeechRate(getCurrentSpeechRate() + 0.25);
+      break;
+    case 'slower':
+      await changeSpeechRate(getCurrentSpeechRate() - 0.25);
+      break;
+    case 'setSpeed':
+      await changeSpeechRate(parseFloat(intent.match[1]));
+      break;
+    case 'describeImages':
+      await describePageImages();
+      break;
+    case 'listTables': {
+      const tables = tableNavigator.describeTables();
+      voiceManager.speak(tables.length > 0
+        ? `${tables.length} ${tables.length === 1 ? 'table' : 'tables'}: ${tables.join('; ')}. Say "read table" and a number.`
+        : 'This page has no data tables.');
+      break;
+    }
+    case 'readTable': {
+      const count = tableNavigator.refresh().length;
+      const choice = intentParser.parseChoice(intent.match[1], count);
+      const announcement = typeof choice === 'number' ? tableNavigator.select(choice + 1) : null;
+      if (!announcement) {
+        voiceManager.speak(count > 0 ? `There ${count === 1 ? 'is 1 table' : `are ${count} tables`} on this page.` : 'This page has no data tables.');
+        break;
+      }
+      showTableCell();
+      voiceManager.speak(announcement);
+      break;
+    }
+    case 'fillForm':
+      await runFormWizard();
+      break;
+    case 'describeForm': {
+      const form = formAnalyzer.findCurrentForm(formAnalyzer.analyze(), highlightedElement);
+      voiceManager.speak(form ? formAnalyzer.describeForm(form) : 'There are no forms on this page.');
+      break;
+    }
+    case 'formErrors': {
+      const form = formAnalyzer.findCurrentForm(formAnalyzer.analyze(), highlightedElement);
+      if (form) {
+        await reportFormErrors(form, false);
+      } else {
+        voiceManager.speak('There are no forms on this page.');
+      }
+      break;
+    }
+    case 'showAnswerSource':
+      showAnswerSource();
+      break;
+    case 'auditPage': {
+      const report = accessibilityAudit.run();
+      console.log('🩺 Accessibility audit:', report);
+      voiceManager.speak(accessibilityAudit.describeReport(report));
+      break;
+    }
+    case 'lastAction':
+      await describeLastAction();
+      break;
+    case 'undo':
+      await undoLastAction();
+      break;
+    case 'repeatCommand': {
+      const log = await getActionLog();
+      const last = [...log].reverse().find(entry => entry.type === 'command');
+      if (!last) {
+        voiceManager.speak('There is no earlier command to repeat.');
+        break;
+      }
+      await voiceManager.speak(`Repeating: ${last.command}.`);
+      currentElements = await extractAllElements();
+      await processVoiceCommand(last.command);
+      break;
+    }
+    case 'whereFrom': {
+      const log = await getActionLog();
+      const previous = [...log].reverse().find(entry => entry.type === 'navigation' && entry.url !== window.location.href);
+      voiceManager.speak(previous
+        ? `You came from ${previous.title}, on ${new URL(previous.url).hostname}.`
+        : 'This is the first page in this tab.');
+      break;
+    }
+    case 'forgetSession':
+      try {
+        await apiClient.forgetSession();
+        voiceManager.speak('Done. I have forgotten your earlier commands, so "it" and "that" start fresh.');
+      } catch (error) {
+        voiceManager.speak('Could not reach the server to forget your history.');
+      }
+      break;
+    case 'help':
+      voiceManager.speak(`You can say: ${intentParser.getHelpPhrases().join(', ')}. Or describe any button, link or field, like "click sign in" or "type hello into search".`);
+      break;
+  }
+
+  return true;
+}
+
+/**
+ * Speech rate in effect: the reader's while reading, otherwise the global setting
+ */
+function getCurrentSpeechRate() {
+  return pageReader.isActive() ? pageReader.getRate() : voiceManager.speechRate;
+}
+
+/**
+ * Change speed mid-read, or the saved speech rate when not reading
+ */
+async function changeSpeechRate(rate) {
+  if (isNaN(rate)) return;
+
+  if (pageReader.isActive()) {
+    const applied = pageReader.setRate(rate);
+    if (pageReader.state === 'paused') {
+      voiceManager.speak(`Reading speed ${applied}.`, { rate: applied });
+    }
+    return;
+  }
+
+  voiceManager.setSpeechRate(Math.max(0.5, Math.min(2.0, rate)));
+  settings.speechRate = voiceManager.speechRate;
+  await chrome.storage.sync.set({ speechRate: voiceManager.speechRate });
+  voiceManager.speak(`Speech rate ${voiceManager.speechRate.toFixed(2).replace(/\.?0+$/, '')}.`);
+}
+
+/**
+ * Move to a heading or landmark from the page outline: highlight it, focus it and read its text
+ * @param {object|null} entry - Heading ({ element, level, text }) or landmark ({ element, role, label })
+ * @param {string} kind - Spoken name of what was looked for
+ */
+function announceOutlineEntry(entry, kind) {
+  if (!entry) {
+    voiceManager.speak(`No more ${kind}s.`);
+    return;
+  }
+
+  const element = entry.element;
+  highlightElement(element);
+  element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+  // Move keyboard focus too, so Tab continues from here
+  if (!element.hasAttribute('tabindex') && element.tabIndex < 0) {
+    element.setAttribute('tabindex', '-1');
+  }
+  element.focus({ preventScroll: true });
+
+  if (entry.level) {
+    const sectionText = pageOutline.getSectionText(entry);
+    voiceManager.speak(`Heading level ${entry.level}: ${entry.text}. ${sectionText}`);
+  } else {
+    voiceManager.speak(`${entry.label}. ${pageOutline.getLandmarkText(entry)}`);
+  }
+}
+
+/**
+ * Whether a command chains several actions with "and" / "then"
+ */
+function isMultiStepCommand(command) {
+  return /\s(?:and then|and|then)\s+(?:click|press|tap|open|go|select|choose|type|enter|write|search|submit|find|scroll)\b/i.test(command);
+}
+
+/**
+ * Ask the backend to plan a compound command, then run the steps
+ */
+async function processActionPlan(command) {
+  voiceManager.speak('Planning your steps...');
+
+  const plan = await apiClient.planActions(command, currentElements);
+
+  if (!plan.steps || plan.steps.length === 0) {
+    voiceManager.speak(plan.message || 'Could not work out the steps for your command.');
+    return;
+  }
+
+  await runActionPlan(plan.steps, 1, plan.steps.length, true);
+}
+
+/**
+ * Run plan steps in order. Remaining steps are saved for this tab (savePendingPlan)
+ * before each step, so a step that navigates away resumes on the next page.
+ * @param {Array} steps - Steps left to run
+ * @param {number} stepNumber - Number of the first step, for announcements
+ * @param {number} totalSteps - Step count of the whole plan
+ * @param {boolean} indexesValid - Whether step element indexes refer to currentElements
+ */
+async function runActionPlan(steps, stepNumber, totalSteps, indexesValid) {
+  // The navigation we were waiting for has already happened
+  if (!indexesValid) {
+    while (steps.length > 0 && steps[0].action === 'wait' && steps[0].for === 'navigation') {
+      steps = steps.slice(1);
+      stepNumber++;
+    }
+  }
+
+  planInProgress = true;
+
+  try {
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const remaining = steps.slice(i + 1);
+
+      if (remaining.length > 0) {
+        await savePendingPlan({ steps: remaining, stepNumber: stepNumber + i + 1, totalSteps, savedAt: Date.now() });
+      } else {
+        await savePendingPlan(null);
+      }
+
+      await voiceManager.speak(`Step ${stepNumber + i} of ${totalSteps}: ${describeStep(step)}`);
+
+      const outcome = await executePlanStep(step, indexesValid);
+      if (outcome !== 'done') {
+        await savePendingPlan(null);
+        voiceManager.speak(outcome === 'cancelled' ? 'Stopping.' : `Could not find ${step.target}. Stopping.`);
+        return;
+      }
+
+      // Anything after a wait runs against a changed page
+      if (step.action === 'wait') {
+        indexesValid = false;
+      }
+    }
+
+    voiceManager.speak('All steps done.');
+  } catch (error) {
+    console.error('❌ Error running action plan:', error);
+    await savePendingPlan(null);
+    voiceManager.speak('Error running your steps: ' + error.message);
+  } finally {
+    planInProgress = false;
+  }
+}
+
+/**
+ * Remember the steps left for this tab, or clear them with null. The background
+ * keeps them per tab, so a page loading in another tab never picks them up.
+ */
+function savePendingPlan(plan) {
+  return chrome.runtime.sendMessage({ action: 'savePendingPlan', plan });
+}
+
+/**
+ * Execute a single plan step
+ * @returns {Promise<'done'|'missing'|'cancelled'>} - 'missing' when its element cannot be found
+ */
+async function executePlanStep(step, indexesValid) {
+  if (step.action === 'wait') {
+    if (step.for === 'navigation') {
+      await waitForNavigation();
+    } else {
+      await waitForDomChange();
+    }
+    return 'done';
+  }
+
+  const target = await resolveStepElement(step, indexesValid);
+  if (!target) return 'missing';
+
+  const { domElement, elementData } = target;
+  const request = { operation: step.action, value: step.value };
+
+  if (elementData.frameId !== undefined) {
+    const response = await performFrameAction(elementData, request);
+    if (response && response.cancelled) return 'cancelled';
+    return response && response.success ? 'done' : 'missing';
+  }
+
+  const outcome = await performElementOperation(domElement, elementData, request);
+  return outcome.cancelled ? 'cancelled' : 'done';
+}
+
+/**
+ * Run an operation on an element in this document. Risky clicks are confirmed
+ * first; subframes cannot ask, so they hand the risk back to the top frame.
+ * @param {object} request - { operation: 'interact' | 'click' | 'type' | 'submit' | 'find', command, value, confirmed }
+ * @returns {Promise<{performed: boolean, cancelled?: boolean, risk?: object}>}
+ */
+async function performElementOperation(element, elementData, request) {
+  const activates = request.operation === 'click' || request.operation === 'submit' ||
+    (request.operation === 'interact' && !(request.value && isTextEntryElement(element)));
+  let risk = null;
+  if (activates && !request.confirmed) {
+    risk = request.operation === 'submit' ? actionGuard.classifySubmit(element) : actionGuard.classify(element);
+  }
+
+  if (risk) {
+    if (!elementIndex.isTopFrame()) return { performed: false, risk };
+    if (!(await confirmRiskyAction(risk, elementData))) return { performed: false, cancelled: true };
+  }
+
+  if (request.operation === 'interact') {
+    await interactWithElement(element, elementData, request.command, request.value);
+    return { performed: true };
+  }
+
+  highlightElement(element);
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  if (request.operation === 'type') {
+    typeIntoField(element, elementData, request.value);
+    await voiceManager.speak(describeFilledValue(element, elementData));
+  } else if (request.operation === 'submit') {
+    logAction({ type: 'click', text: `Submitted ${elementData.text || elementData.ariaLabel || elementData.tag}` });
+    submitField(element);
+  } else if (request.operation === 'click') {
+    clickElement(element, elementData);
+  } else {
+    await voiceManager.speak(`Found ${elementData.text || elementData.ariaLabel || elementData.tag}.`);
+  }
+  return { performed: true };
+}
+
+/**
+ * Ask the user to confirm a risky action, honouring the site's allow/deny rule
+ * @param {{category: string, reason: string}} risk - From actionGuard.classify
+ * @returns {Promise<boolean>}
+ */
+async function confirmRiskyAction(risk, elementData) {
+  const label = elementData.text || elementData.ariaLabel || elementData.tag;
+  const policy = actionGuard.getSitePolicy(settings.riskyActionSites);
+  console.log('⚠️ Risky action:', label, risk.category, policy);
+
+  if (policy === 'allow') return true;
+
+  if (policy === 'deny') {
+    await voiceManager.speak(`${label} ${risk.reason}. Risky actions are blocked on this site.`);
+    return false;
+  }
+
+  await voiceManager.speak(`Warning: ${label} ${risk.reason}. Say "yes, confirm" to continue, or anything else to cancel.`);
+  const answer = await voiceManager.listenOnce();
+
+  if (answer && intentParser.parseConfirmation(answer)) {
+    return true;
+  }
+
+  await voiceManager.speak('Cancelled.');
+  return false;
+}
+
+/**
+ * Ask the content script of a cross-origin frame to operate on one of its elements.
+ * A risky action comes back unperformed and is re-sent once the user confirms.
+ */
+async function performFrameAction(elementData, request) {
+  try {
+    const send = extra => chrome.runtime.sendMessage({
+      action: 'frameCommand',
+      frameId: elementData.frameId,
+      message: { action: 'frameElementAction', index: elementData.index, elementData, ...request, ...extra }
+    });
+
+    const response = await send({});
+    if (!response || !response.risk) return response;
+
+    if (!(await confirmRiskyAction(response.risk, elementData))) {
+      return { success: false, cancelled: true };
+    }
+    return await send({ confirmed: true });
+  } catch (error) {
+    console.error('❌ Frame action failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Set up a content script running inside an iframe
+ */
+function initSubframe() {
+  // Shortcuts pressed while focus is inside the frame go to the top frame
+  document.addEventListener('keydown', (e) => {
+    if (e.altKey && e.key === 'a') {
+      e.preventDefault();
+      chrome.runtime.sendMessage({ action: 'forwardToTop', message: { action: 'startVoiceCommand' } });
+    } else if (e.key === 'Escape') {
+      chrome.runtime.sendMessage({ action: 'forwardToTop', message: { action: 'stopSpeaking' } });
+    }
+  });
+}
+
+/**
+ * Find the DOM element for a step, using its planned index while the page is
+ * unchanged and asking the element finder again otherwise
+ */
+async function resolveStepElement(step, indexesValid) {
+  const planned = indexesValid && step.elementIndex >= 0 ? currentElements[step.elementIndex] : null;
+  if (planned) {
+    const domElement = planned.frameId === undefined ? elementIndex.get(planned.index) : null;
+    if (domElement || planned.frameId !== undefined) return { domElement, elementData: planned };
+  }
+
+  currentElements = await extractAllElements();
+  if (currentElements.length === 0 || !step.target) return null;
+
+  const result = await apiClient.findElement(step.target, currentElements);
+  if (!result.found) return null;
+
+  if (result.element.frameId !== undefined) {
+    return { domElement: null, elementData: result.element };
+  }
+
+  const domElement = elementIndex.get(result.element.index);
+  return domElement ? { domElement, elementData: result.element } : null;
+}
+
+/**
+ * Spoken description of a plan step
+ */
+function describeStep(step) {
+  switch (step.action) {
+    case 'type':
+      return `typing ${step.value} into ${step.target}.`;
+    case 'submit':
+      return `submitting ${step.target}.`;
+    case 'wait':
+      return step.for === 'navigation' ? 'waiting for the page to load.' : 'waiting for the page to update.';
+    case 'find':
+      return `finding ${step.target}.`;
+    default:
+      return `clicking ${step.target}.`;
+  }
+}
+
+/**
+ * Submit the form a field belongs to, or press Enter on it
+ */
+function submitField(element) {
+  if (element.tagName === 'BUTTON' || element.type === 'submit') {
+    element.click();
+  } else if (element.form) {
+    element.form.requestSubmit ? element.form.requestSubmit() : element.form.submit();
+  } else {
+    ['keydown', 'keypress', 'keyup'].forEach(type => {
+      element.dispatchEvent(new KeyboardEvent(type, { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true }));
+    });
+  }
+}
+
+/**
+ * Wait for a client-side URL change. A full page load ends this script,
+ * and the saved plan resumes on the new page instead.
+ */
+async function waitForNavigation(timeout = 8000) {
+  const startUrl = window.location.href;
+  const start = Date.now();
+
+  while (Date.now() - start < timeout) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    if (window.location.href !== startUrl) {
+      await waitForDomChange(3000);
+      return;
+    }
+  }
+}
+
+/**
+ * Wait until the DOM changes and then stays quiet briefly, or the timeout passes
+ */
+function waitForDomChange(timeout = 5000, quietPeriod = 400) {
+  return new Promise(resolve => {
+    let quietTimer = null;
+
+    const finish = () => {
+      observer.disconnect();
+      clearTimeout(timeoutTimer);
+      clearTimeout(quietTimer);
+      resolve();
+    };
+
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(finish, quietPeriod);
+    });
+
+    const timeoutTimer = setTimeout(finish, timeout);
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  });
+}
+
+/**
+ * Interact with DOM element
+ * @param {string|null} value - Text to insert when the command dictates into a field
+ */
+async function interactWithElement(element, elementData, command, value = null) {
+  // Highlight element
+  highlightElement(element);
+
+  // Scroll into view
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  // Wait a moment for visual feedback
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  // Dictation: insert the value and read it back
+  if (value && isTextEntryElement(element)) {
+    typeIntoField(element, elementData, value);
+    speakActionResult(describeFilledValue(element, elementData), element);
+    return;
+  }
+
+  // Selects, checkboxes, radios and sliders are set directly and read back
+  const control = await controlHandler.handle(element, command, value);
+  if (control) {
+    if (control.log) logAction({ type: 'choice', text: control.log });
+    speakActionResult(control.message, element);
+    return;
+  }
+
+  // Determine action based on element type and command
+  if (command.toLowerCase().includes('click') ||
+      element.tagName === 'BUTTON' ||
+      element.tagName === 'A') {
+    // If it's a link that navigates away, flag the next page to auto-speak
+    const navigates = element.tagName === 'A' && element.href && !element.href.startsWith('javascript');
+    if (navigates) {
+      await chrome.storage.local.set({ autoSpeak: true });
+    }
+    clickElement(element, elementData);
+    if (navigates) {
+      voiceManager.speak('Clicked.');
+    } else {
+      speakActionResult('Clicked.', element);
+    }
+  } else if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+    element.focus();
+    speakActionResult('Focused on input field. You can now type.', element);
+  } else {
+    clickElement(element, elementData);
+    speakActionResult('Activated.', element);
+  }
+}
+
+/**
+ * Speak the outcome of an action, followed by where it left the user
+ * when "describe position after actions" is on
+ */
+function speakActionResult(message, element) {
+  const context = settings.actionContext ? pageContext.describeBrief(element) : '';
+  voiceManager.speak(context ? `${message} ${context}` : message);
+}
+
+/**
+ * Whether the element accepts typed text
+ */
+function isTextEntryElement(element) {
+  const nonText = ['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'image', 'range', 'color', 'hidden'];
+  if (element.tagName === 'TEXTAREA' || element.isContentEditable) return true;
+  if (element.tagName === 'INPUT') return !nonText.includes(element.type);
+  return false;
+}
+
+/**
+ * Build the spoken read-back for a filled field (never reads passwords aloud)
+ */
+function describeFilledValue(element, elementData) {
+  const label = elementData.text || elementData.ariaLabel || element.name || 'Field';
+  const filled = element.isContentEditable ? element.textContent : element.value;
+
+  if (element.type === 'password') {
+    return `${label} now contains ${filled.length} characters.`;
+  }
+  return `${label} now contains: ${filled}`;
+}
+
+/**
+ * Highlight element
+ */
+function highlightElement(element) {
+  // Remove previous highlight
+  if (highlightedElement) {
+    highlightedElement.classList.remove('accessibility-highlight');
+  }
+
+  // Add highlight (shadow roots and injected-less frames need their own copy of the styles)
+  elementIndex.ensureHighlightStyles(element);
+  element.classList.add('accessibility-highlight');
+  highlightedElement = element;
+
+  // Heading and landmark navigation continues from here
+  pageOutline.setCursor(element);
+
+  // Remove highlight after 3 seconds
+  setTimeout(() => {
+    element.classList.remove('accessibility-highlight');
+    if (highlightedElement === element) {
+      highlightedElement = null;
+    }
+  }, 3000);
+}
+
+// Listen for messages from popup or background
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Requests from the top frame to a cross-origin frame
+  if (request.action === 'extractFrameElements') {
+    // Frames the parent can reach directly are already covered by its traversal
+    if (elementIndex.isReachableFromParent()) {
+      sendResponse(null);
+    } else {
+      sendResponse({ elements: extractInteractiveElements() });
+    }
+    return;
+  } else if (request.action === 'restoreField') {
+    sendResponse(restoreField(request.id));
+    return;
+  } else if (request.action === 'frameElementAction') {
+    const element = elementIndex.get(request.index);
+    if (!element) {
+      sendResponse({ success: false });
+      return;
+    }
+    performElementOperation(element, request.elementData, request)
+      .then(outcome => sendResponse({ success: outcome.performed, risk: outcome.risk }))
+      .catch(() => sendResponse({ success: false }));
+    return true;
+  }
+
+  // Popup and page-level commands are handled once, by the top frame
+  if (!elementIndex.isTopFrame()) return;
+
+  if (request.action === 'summarizePage') {
+    startVoiceCommand();
+    sendResponse({ success: true });
+  } else if (request.action === 'startVoiceCommand') {
+    stopAllSpeech();
+    startVoiceCommand();
+    sendResponse({ success: true });
+  } else if (request.action === 'stopSpeaking') {
+    stopAllSpeech();
+    sendResponse({ success: true });
+  } else if (request.action === 'updateSettings') {
+    loadSettings();
+    sendResponse({ success: true });
+  } else if (request.action === 'runAudit') {
+    try {
+      sendResponse({ success: true, report: accessibilityAudit.run() });
+    } catch (error) {
+      console.error('Accessibility audit failed:', error);
+      sendResponse({ success: false, error: error.message });
+    }
   }
 });
@@ -0,0 +1,401 @@
+/**
+ * Typed control handlers - choose options in selects, listboxes and comboboxes,
+ * toggle checkboxes and switches, pick radios and set sliders from a voice command
+ */
+
+// How long an opened combobox gets to render its options
+const CONTROL_POPUP_TIMEOUT = 1500;
+// Safety cap on arrow-key presses when stepping an ARIA slider
+const CONTROL_MAX_SLIDER_STEPS = 200;
+
+class ControlHandler {
+  /**
+   * Handle a command aimed at a form control. Returns null for elements that are
+   * not typed controls, so the caller falls back to a plain click or focus.
+   * @param {Element} element - Element the command resolved to
+   * @param {string} command - The spoken command
+   * @param {string|null} value - Value the backend split off the command, if any
+   * @returns {Promise<{message: string, log?: string}|null>}
+   */
+  async handle(element, command, value = null) {
+    const control = this.resolve(element);
+    if (!control) return null;
+
+    const request = this.parseCommand(command);
+    if (value && !request.value) request.value = value;
+
+    switch (control.kind) {
+      case 'select':
+        return this.chooseInSelect(control.element, request);
+      case 'listbox':
+        return this.chooseInListbox(control.element, request);
+      case 'combobox':
+        return this.chooseInCombobox(control.element, request);
+      case 'option':
+        return this.chooseOption(control.element);
+      case 'checkbox':
+        return this.toggle(control.element, request);
+      case 'radio':
+        return this.pickRadio(control.element, request);
+      case 'range':
+        return this.setRange(control.element, request);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * The control behind an element (a label stands for its input) and its kind
+   * @returns {{element: Element, kind: string}|null}
+   */
+  resolve(element) {
+    let el = element;
+    if (el.tagName === 'LABEL' && el.control) el = el.control;
+
+    const role = el.getAttribute('role');
+    if (role === 'option') return { element: el, kind: 'option' };
+    // Autocomplete inputs and buttons that open a listbox behave like comboboxes
+    if (role === 'combobox' || el.getAttribute('aria-haspopup') === 'listbox') return { element: el, kind: 'combobox' };
+
+    const kind = window.formAnalyzer.getKind(el);
+    return ['select', 'listbox', 'checkbox', 'radio', 'range'].includes(kind) ? { element: el, kind } : null;
+  }
+
+  /**
+   * What the command asks for: "check", "uncheck", "toggle", "choose X", "set to X",
+   * "increase", "decrease", or a plain "activate" (click / go to)
+   * @returns {{action: string, value: string|null}}
+   */
+  parseCommand(command) {
+    const text = (command || '').toLowerCase().replace(/[.!?]+$/, '').replace(/^please\s+/, '').trim();
+    let match;
+
+    if ((match = text.match(/^(?:set|change|adjust|move|put)\s+.+?\s+to\s+(.+)$/))) {
+      return { action: 'set', value: match[1] };
+    }
+    if (/^(?:increase|raise|turn up)\b/.test(text)) return { action: 'increase', value: null };
+    if (/^(?:decrease|lower|reduce|turn down)\b/.test(text)) return { action: 'decrease', value: null };
+    if (/^(?:un-?check|untick|deselect|unselect|turn off|switch off|disable)\b/.test(text)) return { action: 'uncheck', value: null };
+    if (/^(?:check|tick|turn on|switch on|enable)\b/.test(text)) return { action: 'check', value: null };
+    if (/^toggle\b/.test(text)) return { action: 'toggle', value: null };
+    if ((match = text.match(/^(?:choose|select|pick|use)\s+(.+)$/))) return { action: 'choose', value: match[1] };
+
+    return { action: 'activate', value: null };
+  }
+
+  /**
+   * Option names a spoken value could mean, most literal first.
+   * "the express shipping option" -> "express shipping"; "california in state" -> "california".
+   */
+  optionCandidates(value) {
+    const base = String(value || '').trim().replace(/^(?:the|an?)\s+/, '').replace(/\s+(?:option|choice)$/, '');
+    if (!base) return [];
+
+    const candidates = [base];
+    const field = base.match(/^(.+?)\s+(?:in|from|for|as|under)\s+(?:the\s+)?.+$/);
+    if (field) candidates.push(field[1]);
+    return candidates;
+  }
+
+  findOption(options, request) {
+    for (const candidate of this.optionCandidates(request.value)) {
+      const option = window.formAnalyzer.matchOption(options, candidate);
+      if (option) return option;
+    }
+    return null;
+  }
+
+  /**
+   * Spoken answer when no option was picked: the options on offer, and why
+   */
+  describeChoices(label, options, current, request) {
+    const field = { options };
+    const list = options.length > 0 ? window.formAnalyzer.describeOptions(field) : 'none';
+
+    if (request.value) {
+      return { message: `No option called "${this.optionCandidates(request.value)[0]}" in ${label}. Options are: ${list}.` };
+    }
+    return { message: `${label}, currently ${current || 'nothing selected'}. Options are: ${list}. Say choose and an option.` };
+  }
+
+  chooseInSelect(select, request) {
+    const field = window.formAnalyzer.describeField(select);
+    const label = field.label || 'List';
+
+    const option = this.findOption(field.options, request);
+    if (!option) return this.describeChoices(label, field.options, field.value, request);
+
+    if (!window.formAnalyzer.selectOption(select, option)) {
+      return { message: `${label} did not accept ${option.label}.` };
+    }
+    return { message: `${label}: ${option.label} selected.`, log: `Chose ${option.label} for ${label}` };
+  }
+
+  chooseInListbox(listbox, request) {
+    const field = window.formAnalyzer.describeField(listbox);
+    const label = field.label || 'List';
+
+    const option = this.findOption(field.options, request);
+    if (!option) return this.describeChoices(label, field.options, field.value, request);
+
+    option.element.click();
+    return { message: `${label}: ${option.label} selected.`, log: `Chose ${option.label} for ${label}` };
+  }
+
+  /**
+   * Open a combobox (typing the value first for autocomplete inputs), wait for
+   * its options and click the one that matches
+   */
+  async chooseInCombobox(box, request) {
+    const label = window.formAnalyzer.getLabel(box) || 'Combo box';
+    const [typed] = this.optionCandidates(request.value);
+
+    if (typed && box.tagName === 'INPUT') {
+      window.formAnalyzer.setValue(box, typed, false);
+    }
+    this.open(box);
+
+    const options = await this.waitForOptions(box);
+    if (options.length === 0) {
+      return { message: typed && box.tagName === 'INPUT' ? `Typed ${typed} into ${label}, but no suggestions appeared.` : `${label} did not show any options.` };
+    }
+
+    const option = this.findOption(options, request);
+    if (!option) return this.describeChoices(label, options, this.currentValue(box), request);
+
+    option.element.click();
+    return { message: `${label}: ${option.label} selected.`, log: `Chose ${option.label} for ${label}` };
+  }
+
+  /**
+   * Expand a combobox the way a user would: click it, then Alt+Down if it stayed shut
+   */
+  open(box) {
+    if (box.getAttribute('aria-expanded') === 'true') return;
+
+    box.focus();
+    box.click();
+    if (box.getAttribute('aria-expanded') !== 'true') {
+      box.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', altKey: true, bubbles: true }));
+    }
+  }
+
+  /**
+   * Options of the combobox's popup, polling until they render or the timeout passes
+   * @returns {Promise<Array<{label: string, value: string, element: Element}>>}
+   */
+  async waitForOptions(box) {
+    const deadline = Date.now() + CONTROL_POPUP_TIMEOUT;
+    let options = this.getPopupOptions(box);
+    while (options.length === 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      options = this.getPopupOptions(box);
+    }
+    return options;
+  }
+
+  /**
+   * Visible options in the listbox a combobox controls, or in any open listbox
+   */
+  getPopupOptions(box) {
+    const root = box.getRootNode();
+    const ids = `${box.getAttribute('aria-controls') || ''} ${box.getAttribute('aria-owns') || ''}`.split(/\s+/).filter(Boolean);
+    let popups = ids.map(id => root.getElementById && root.getElementById(id)).filter(Boolean);
+    if (popups.length === 0) {
+      popups = Array.from(document.querySelectorAll('[role="listbox"]')).filter(popup => popup.getClientRects().length > 0);
+    }
+
+    return popups
+      .flatMap(popup => Array.from(popup.querySelectorAll('[role="option"]')))
+      .filter(option => option.getClientRects().length > 0 && option.getAttribute('aria-disabled') !== 'true')
+      .map(option => {
+        const text = window.formAnalyzer.clean(option.textContent);
+        return { label: text, value: option.getAttribute('data-value') || text, element: option };
+      })
+      .filter(option => option.label);
+  }
+
+  currentValue(box) {
+    return box.tagName === 'INPUT' ? box.value : window.formAnalyzer.clean(box.textContent);
+  }
+
+  /**
+   * An option matched directly, e.g. in a listbox that is already open
+   */
+  chooseOption(option) {
+    const text = window.formAnalyzer.clean(option.getAttribute('aria-label') || option.textContent);
+    option.click();
+    return { message: `${text} selected.`, log: `Chose ${text}` };
+  }
+
+  /**
+   * Check, uncheck or toggle a checkbox or switch and read back the new state
+   */
+  toggle(el, request) {
+    const analyzer = window.formAnalyzer;
+    const label = analyzer.getLabel(el) || 'Checkbox';
+    const isSwitch = el.getAttribute('role') === 'switch';
+    const stateOf = checked => isSwitch ? (checked ? 'on' : 'off') : (checked ? 'checked' : 'not checked');
+    const current = analyzer.isChecked(el);
+
+    let wanted;
+    if (request.action === 'check' || request.action === 'choose') {
+      wanted = true;
+    } else if (request.action === 'uncheck') {
+      wanted = false;
+    } else if (request.action === 'set') {
+      wanted = window.intentParser.parseYesNo(request.value);
+      if (wanted === null) return { message: `${label} can only be on or off.` };
+    } else {
+      wanted = !current;
+    }
+
+    if (wanted === current) {
+      return { message: `${label} is already ${stateOf(current)}.` };
+    }
+
+    analyzer.setChecked(el, wanted);
+    const now = analyzer.isChecked(el);
+    if (now !== wanted) {
+      return { message: `${label} did not change. It is still ${stateOf(now)}.` };
+    }
+    return { message: `${label}, now ${stateOf(now)}.`, log: `${label}: ${stateOf(now)}` };
+  }
+
+  /**
+   * Pick a radio button. A spoken option name picks its sibling in the same group.
+   */
+  pickRadio(el, request) {
+    const analyzer = window.formAnalyzer;
+    const groupLabel = this.getRadioGroupLabel(el);
+
+    if (request.action === 'uncheck') {
+      return { message: `Radio buttons cannot be cleared. Choose another option${groupLabel ? ` for ${groupLabel}` : ''} instead.` };
+    }
+
+    const options = this.getRadioGroup(el).map(radio => analyzer.describeOption(radio));
+    const option = (request.value && this.findOption(options, request)) || analyzer.describeOption(el);
+    const prefix = groupLabel ? `${groupLabel}: ` : '';
+
+    if (!analyzer.setChecked(option.element, true)) {
+      return { message: `${prefix}${option.label} could not be selected.` };
+    }
+    return { message: `${prefix}${option.label} selected.`, log: `Chose ${option.label}${groupLabel ? ` for ${groupLabel}` : ''}` };
+  }
+
+  /**
+   * Radios that share a group with this one: same name in the same form, or the same radiogroup
+   */
+  getRadioGroup(el) {
+    if (el.tagName === 'INPUT') {
+      if (!el.name) return [el];
+      const scope = el.form || el.getRootNode();
+      return Array.from(scope.querySelectorAll('input[type="radio"]'))
+        .filter(radio => radio.name === el.name && radio.form === el.form);
+    }
+
+    const group = el.closest('[role="radiogroup"]');
+    return group ? Array.from(group.querySelectorAll('[role="radio"]')) : [el];
+  }
+
+  getRadioGroupLabel(el) {
+    const group = el.closest('fieldset, [role="radiogroup"]');
+    return group ? window.formAnalyzer.getGroupLabel(group) : '';
+  }
+
+  /**
+   * Set a range input or ARIA slider to a spoken number, or step it up or down
+   */
+  setRange(el, request) {
+    const label = window.formAnalyzer.getLabel(el) || 'Slider';
+    const { min, max, step } = this.getRangeBounds(el);
+    const current = this.getRangeValue(el);
+
+    let target;
+    if (request.action === 'increase' || request.action === 'decrease') {
+      const change = Math.max(step, (max - min) / 10);
+      target = current + (request.action === 'increase' ? change : -change);
+    } else if (request.value) {
+      target = this.parseRangeValue(request.value, min, max);
+      if (target === null) return { message: `Please say a number between ${min} and ${max}.` };
+    } else {
+      return { message: `${label}, ${this.describeRangeValue(el)}. From ${min} to ${max}. Say set ${label} to a number.` };
+    }
+
+    target = Math.min(max, Math.max(min, min + Math.round((target - min) / step) * step));
+
+    if (el.tagName === 'INPUT') {
+      window.formAnalyzer.setValue(el, String(target));
+    } else {
+      this.stepSlider(el, target);
+    }
+
+    const now = this.describeRangeValue(el);
+    if (this.getRangeValue(el) === current && target !== current) {
+      return { message: `${label} did not change. It is still ${now}.` };
+    }
+    return { message: `${label}: ${now}.`, log: `Set ${label} to ${now}` };
+  }
+
+  getRangeBounds(el) {
+    const read = (attr, aria, fallback) => {
+      const number = parseFloat(el.tagName === 'INPUT' ? el[attr] : el.getAttribute(aria));
+      return isNaN(number) ? fallback : number;
+    };
+    const min = read('min', 'aria-valuemin', 0);
+    const max = read('max', 'aria-valuemax', 100);
+    const step = read('step', 'data-step', 1) || 1;
+    return { min, max, step };
+  }
+
+  getRangeValue(el) {
+    const value = parseFloat(el.tagName === 'INPUT' ? el.value : el.getAttribute('aria-valuenow'));
+    return isNaN(value) ? 0 : value;
+  }
+
+  describeRangeValue(el) {
+    return el.getAttribute('aria-valuetext') || String(this.getRangeValue(el));
+  }
+
+  /**
+   * Number from speech: "50", "50 percent", "minimum", "maximum", "half"
+   * @returns {number|null}
+   */
+  parseRangeValue(spoken, min, max) {
+    const text = String(spoken).toLowerCase().trim();
+    if (/^(?:min|minimum|lowest|zero|none)$/.test(text)) return min;
+    if (/^(?:max|maximum|highest|full)$/.test(text)) return max;
+    if (/^(?:half|halfway|middle|the middle)$/.test(text)) return (min + max) / 2;
+
+    const number = parseFloat(text.replace(/[^\d.-]/g, ''));
+    if (isNaN(number)) return null;
+    // "30 percent" on a slider that is not 0-100 means a share of its range
+    if (/%|percent/.test(text) && !(min === 0 && max === 100)) return min + (max - min) * number / 100;
+    return number;
+  }
+
+  /**
+   * ARIA sliders only move through their own key handlers, so press Home/End or
+   * the arrow keys until aria-valuenow reaches the target or stops changing
+   */
+  stepSlider(el, target) {
+    const press = key => el.dispatchEvent(new KeyboardEvent('keydown', { key, code: key, bubbles: true, cancelable: true }));
+    const { min, max } = this.getRangeBounds(el);
+    el.focus();
+
+    if (target === min) return press('Home');
+    if (target === max) return press('End');
+
+    for (let i = 0; i < CONTROL_MAX_SLIDER_STEPS; i++) {
+      const before = this.getRangeValue(el);
+      if (before === target) return;
+
+      press(before < target ? 'ArrowRight' : 'ArrowLeft');
+      const after = this.getRangeValue(el);
+      // Stop when the slider ignores keys or has stepped past the target
+      if (after === before || (after - target) * (before - target) < 0) return;
+    }
+  }
+}
+
+window.controlHandler = new ControlHandler();
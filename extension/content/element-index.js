@@ -0,0 +1,146 @@
+/**
+ * Element index - finds elements across open shadow roots and same-origin
+ * iframes, and maps accessibility indexes back to their DOM elements
+ */
+
+// Highlight rules copied into shadow roots and frames that content.css does not reach
+const DEEP_HIGHLIGHT_CSS = `
+.accessibility-highlight {
+  outline: 4px solid var(--accessibility-highlight-color, #FFD700) !important;
+  outline-offset: 2px !important;
+  box-shadow: 0 0 20px rgba(255, 215, 0, 0.6) !important;
+  position: relative !important;
+  z-index: 999999 !important;
+}
+`;
+
+class ElementIndex {
+  constructor() {
+    this.elements = new Map();
+  }
+
+  /**
+   * Whether this script runs in the top-level frame
+   */
+  isTopFrame() {
+    return window === window.top;
+  }
+
+  /**
+   * Whether the parent frame can already reach this frame's DOM directly.
+   * Such frames are covered by the parent's traversal and must not report twice.
+   */
+  isReachableFromParent() {
+    if (this.isTopFrame()) return true;
+    try {
+      return !!window.parent.document;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Document of a same-origin iframe, or null when cross-origin or not loaded
+   */
+  getFrameDocument(frame) {
+    try {
+      return frame.contentDocument || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * querySelectorAll that also descends into open shadow roots and same-origin iframes,
+   * in document order
+   * @param {string} selector - CSS selector
+   * @param {Document|ShadowRoot} root - Where to start (defaults to this document)
+   * @returns {Array<Element>}
+   */
+  queryAll(selector, root = document, results = []) {
+    root.querySelectorAll('*').forEach(el => {
+      if (el.matches(selector)) {
+        results.push(el);
+      }
+
+      if (el.shadowRoot) {
+        this.queryAll(selector, el.shadowRoot, results);
+      }
+
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        const frameDocument = this.getFrameDocument(el);
+        if (frameDocument && frameDocument.documentElement && el.offsetWidth > 0 && el.offsetHeight > 0) {
+          this.queryAll(selector, frameDocument, results);
+        }
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Forget all registered elements (called before each extraction)
+   */
+  clear() {
+    this.elements.clear();
+  }
+
+  /**
+   * Remember the element for an accessibility index
+   */
+  register(index, element) {
+    this.elements.set(Number(index), element);
+    element.dataset.accessibilityIndex = index;
+  }
+
+  /**
+   * Element for an accessibility index, if it is still on the page
+   * @returns {Element|null}
+   */
+  get(index) {
+    const element = this.elements.get(Number(index));
+    if (element && element.isConnected) return element;
+    return document.querySelector(`[data-accessibility-index="${index}"]`);
+  }
+
+  /**
+   * Computed style from the element's own window (differs for iframe content)
+   */
+  getComputedStyle(element) {
+    const view = element.ownerDocument.defaultView || window;
+    return view.getComputedStyle(element);
+  }
+
+  /**
+   * Whether an element is rendered with a size and not hidden by CSS
+   */
+  isVisible(element) {
+    const style = this.getComputedStyle(element);
+    return style.display !== 'none' &&
+      style.visibility !== 'hidden' &&
+      style.opacity !== '0' &&
+      element.offsetWidth > 0 &&
+      element.offsetHeight > 0;
+  }
+
+  /**
+   * Make sure highlight styles exist where the element lives. content.css only
+   * applies to documents the content script was injected into, never to shadow trees.
+   */
+  ensureHighlightStyles(element) {
+    const root = element.getRootNode();
+    const isShadow = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!root.host;
+    const isOtherDocument = root !== document && root.nodeType === Node.DOCUMENT_NODE;
+    if (!isShadow && !isOtherDocument) return;
+
+    const container = isShadow ? root : root.head || root.documentElement;
+    if (!container || container.querySelector(':scope > style[data-accessibility-styles]')) return;
+
+    const style = (root.ownerDocument || root).createElement('style');
+    style.dataset.accessibilityStyles = 'true';
+    style.textContent = DEEP_HIGHLIGHT_CSS;
+    container.appendChild(style);
+  }
+}
+
+window.elementIndex = new ElementIndex();
@@ -0,0 +1,443 @@
+/**
+ * Form analysis - groups fields by form and fieldset, resolves their labels
+ * and reads required, invalid and current-value state
+ */
+
+const FORM_FIELD_SELECTOR = [
+  'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"])',
+  'select', 'textarea', '[contenteditable="true"]',
+  '[role="textbox"]', '[role="combobox"]', '[role="checkbox"]', '[role="switch"]', '[role="radio"]', '[role="listbox"]', '[role="slider"]', '[role="spinbutton"]'
+].join(', ');
+const FORM_SUBMIT_SELECTOR = 'button:not([type="button"]):not([type="reset"]), input[type="submit"], input[type="image"]';
+const FORM_ERROR_CONTAINER = '[role="alert"], [aria-live="assertive"], .error, .errors, .invalid-feedback, .field-error, .form-error, [class*="error-message"], [class*="errorMessage"]';
+// Options read out when offering a choice; longer lists are summarized
+const FORM_OPTIONS_SPOKEN = 8;
+
+class FormAnalyzer {
+  /**
+   * Every form on the page with its fields, grouped by fieldset.
+   * Fields outside any <form> are collected into one extra group.
+   * @returns {Array<{element: Element|null, name: string, groups: Array<{legend: string, fields: Array}>, fields: Array}>}
+   */
+  analyze() {
+    const forms = new Map();
+    const radioGroups = new Map();
+
+    window.elementIndex.queryAll(FORM_FIELD_SELECTOR)
+      .filter(el => this.isVisible(el) && !el.disabled && el.getAttribute('aria-disabled') !== 'true')
+      .forEach(el => {
+        // Controls nested in another field (a checkbox inside a listbox option) belong to it
+        if (el.parentElement && el.parentElement.closest('[role="listbox"], [role="combobox"]') && !el.matches('input, select, textarea')) return;
+
+        const formElement = el.form || el.closest('form, [role="form"]');
+        if (!forms.has(formElement)) forms.set(formElement, new Map());
+        const groups = forms.get(formElement);
+
+        const group = el.closest('fieldset, [role="group"], [role="radiogroup"]');
+        const legend = group ? this.getGroupLabel(group) : '';
+        if (!groups.has(legend)) groups.set(legend, []);
+
+        // Radios sharing a name (or an unnamed group) are a single choice
+        if (this.getKind(el) === 'radio') {
+          const key = el.name ? `${legend}|${el.name}` : group || el;
+          if (!radioGroups.has(formElement)) radioGroups.set(formElement, new Map());
+          const radios = radioGroups.get(formElement);
+
+          if (radios.has(key)) {
+            radios.get(key).options.push(this.describeOption(el));
+            return;
+          }
+          const field = this.describeField(el, group);
+          field.options = [this.describeOption(el)];
+          radios.set(key, field);
+          groups.get(legend).push(field);
+          return;
+        }
+
+        groups.get(legend).push(this.describeField(el, group));
+      });
+
+    // Radio state is read once all options of each group are known
+    radioGroups.forEach(radios => radios.forEach(field => this.refreshValue(field)));
+
+    return [...forms.entries()]
+      .map(([element, groups], i) => {
+        const groupList = [...groups.entries()].map(([legend, fields]) => ({ legend, fields }));
+        return {
+          element,
+          name: element ? this.getFormName(element, i) : 'Fields outside a form',
+          groups: groupList,
+          fields: groupList.flatMap(group => group.fields)
+        };
+      })
+      .filter(form => form.fields.length > 0);
+  }
+
+  isVisible(el) {
+    if (el.type !== 'checkbox' && el.type !== 'radio') return window.elementIndex.isVisible(el);
+
+    // Styled checkboxes and radios hide the real input (no size, no opacity) but stay usable
+    const style = window.elementIndex.getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden';
+  }
+
+  /**
+   * @returns {'text'|'textarea'|'select'|'listbox'|'combobox'|'checkbox'|'radio'|'range'|'date'|'file'|'color'}
+   */
+  getKind(el) {
+    const role = el.getAttribute('role');
+    if (el.tagName === 'SELECT') return 'select';
+    if (el.tagName === 'TEXTAREA') return 'textarea';
+    if (el.type === 'checkbox' || role === 'checkbox' || role === 'switch') return 'checkbox';
+    if (el.type === 'radio' || role === 'radio') return 'radio';
+    if (el.type === 'range' || role === 'slider' || role === 'spinbutton') return 'range';
+    if (role === 'listbox') return 'listbox';
+    if (role === 'combobox' && el.tagName !== 'INPUT') return 'combobox';
+    if (['date', 'datetime-local', 'month'].includes(el.type)) return 'date';
+    if (el.type === 'file' || el.type === 'color') return el.type;
+    return 'text';
+  }
+
+  /**
+   * Field descriptor with label, state and, for choices, the options
+   */
+  describeField(el, group = null) {
+    const kind = this.getKind(el);
+    const field = {
+      element: el,
+      kind,
+      type: el.type || el.getAttribute('role') || el.tagName.toLowerCase(),
+      label: kind === 'radio' && group ? this.getGroupLabel(group) || this.getLabel(el) : this.getLabel(el),
+      required: this.isRequired(el),
+      options: null,
+      value: ''
+    };
+
+    if (kind === 'select') {
+      field.options = Array.from(el.options)
+        .filter(option => !option.disabled && option.textContent.trim())
+        .map(option => ({ label: option.textContent.trim(), value: option.value, element: option }));
+    } else if (kind === 'listbox') {
+      field.options = Array.from(el.querySelectorAll('[role="option"]'))
+        .filter(option => option.getAttribute('aria-disabled') !== 'true')
+        .map(option => ({ label: this.clean(option.textContent), value: option.getAttribute('data-value') || this.clean(option.textContent), element: option }));
+    }
+
+    this.refreshValue(field);
+    return field;
+  }
+
+  describeOption(el) {
+    return { label: this.getLabel(el) || el.value, value: el.value, element: el };
+  }
+
+  /**
+   * Re-read the value, required and invalid state from the page
+   */
+  refreshValue(field) {
+    const el = field.element;
+    field.invalid = this.isInvalid(el) || (field.options && field.kind === 'radio' && field.options.some(o => this.isInvalid(o.element)));
+    field.error = field.invalid ? this.getErrorMessage(el) : '';
+    field.required = field.required || (field.kind === 'radio' && field.options && field.options.some(o => this.isRequired(o.element)));
+
+    switch (field.kind) {
+      case 'select':
+        field.value = el.selectedIndex >= 0 && el.value ? el.options[el.selectedIndex].textContent.trim() : '';
+        break;
+      case 'listbox': {
+        const selected = el.querySelector('[role="option"][aria-selected="true"]');
+        field.value = selected ? this.clean(selected.textContent) : '';
+        break;
+      }
+      case 'checkbox':
+        field.value = this.isChecked(el) ? 'checked' : 'not checked';
+        break;
+      case 'radio': {
+        const checked = (field.options || []).find(option => this.isChecked(option.element));
+        field.value = checked ? checked.label : '';
+        break;
+      }
+      case 'range':
+        field.value = el.getAttribute('aria-valuetext') || el.getAttribute('aria-valuenow') || el.value || '';
+        break;
+      case 'combobox':
+        field.value = this.clean(el.textContent);
+        break;
+      default:
+        field.value = el.isContentEditable ? this.clean(el.textContent) : (el.value || this.clean(el.getAttribute('role') ? el.textContent : ''));
+    }
+    return field;
+  }
+
+  isChecked(el) {
+    if (el.tagName === 'INPUT') return el.checked;
+    return el.getAttribute('aria-checked') === 'true';
+  }
+
+  isRequired(el) {
+    if (el.required || el.getAttribute('aria-required') === 'true') return true;
+    // Many sites only mark required fields with an asterisk in the label
+    return /\*\s*$/.test(this.getLabel(el));
+  }
+
+  /**
+   * Invalid as the page reports it: aria-invalid, or the browser's own check once the user has interacted
+   */
+  isInvalid(el) {
+    if (el.getAttribute('aria-invalid') === 'true') return true;
+    try {
+      return el.matches(':user-invalid');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * The error text shown for a field: aria-errormessage, an error in aria-describedby,
+   * an alert next to the field, or the browser's validation message
+   */
+  getErrorMessage(el) {
+    const root = el.getRootNode();
+    const byId = ids => (ids || '').split(/\s+/).map(id => id && root.getElementById && root.getElementById(id)).filter(Boolean);
+
+    const errorMessage = byId(el.getAttribute('aria-errormessage')).map(node => this.clean(node.textContent)).join(' ');
+    if (errorMessage) return errorMessage;
+
+    const described = byId(el.getAttribute('aria-describedby'))
+      .filter(node => node.matches(FORM_ERROR_CONTAINER) || /error|invalid/i.test(node.id))
+      .map(node => this.clean(node.textContent))
+      .join(' ');
+    if (described) return described;
+
+    // An error element inside the field's wrapper
+    const wrapper = el.closest('.form-group, .field, .form-field, .input-group, li, p, div');
+    const nearby = wrapper && Array.from(wrapper.querySelectorAll(FORM_ERROR_CONTAINER)).find(node => this.clean(node.textContent));
+    if (nearby) return this.clean(nearby.textContent);
+
+    return el.validationMessage || '';
+  }
+
+  /**
+   * Accessible label: aria-labelledby, aria-label, <label>, wrapping label, title, placeholder, then the name attribute
+   */
+  getLabel(el) {
+    const root = el.getRootNode();
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy && root.getElementById) {
+      const text = labelledBy.split(/\s+/).map(id => root.getElementById(id)?.textContent || '').join(' ');
+      if (this.clean(text)) return this.clean(text);
+    }
+
+    if (el.getAttribute('aria-label')) return this.clean(el.getAttribute('aria-label'));
+
+    if (el.labels && el.labels.length > 0) {
+      const text = Array.from(el.labels).map(label => this.labelText(label, el)).join(' ');
+      if (this.clean(text)) return this.clean(text);
+    }
+
+    if (el.id && root.querySelector) {
+      const label = root.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+      if (label && this.clean(label.textContent)) return this.labelText(label, el);
+    }
+
+    const wrapping = el.closest('label');
+    if (wrapping && this.labelText(wrapping, el)) return this.labelText(wrapping, el);
+
+    const fallback = el.getAttribute('title') || el.getAttribute('placeholder') || '';
+    if (fallback.trim()) return this.clean(fallback);
+
+    return el.name ? this.clean(el.name.replace(/[_\-[\]]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2')) : '';
+  }
+
+  /**
+   * Label text without the text of the control inside it (a select's options)
+   */
+  labelText(label, control) {
+    const copy = label.cloneNode(true);
+    copy.querySelectorAll('select, textarea, option').forEach(node => node.remove());
+    return this.clean(copy.textContent);
+  }
+
+  getGroupLabel(group) {
+    const legend = group.tagName === 'FIELDSET' ? group.querySelector('legend') : null;
+    if (legend) return this.clean(legend.textContent);
+    return this.getLabel(group);
+  }
+
+  getFormName(form, i) {
+    const name = this.getLabel(form) ||
+      window.pageOutline.headingBefore(form)?.text ||
+      this.clean(form.querySelector('h1, h2, h3, h4, legend')?.textContent);
+    return name || `Form ${i + 1}`;
+  }
+
+  clean(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * The form the user is working in: the one holding focus or the last highlighted
+   * element, else the one most visible in the viewport
+   */
+  findCurrentForm(forms, hint = null) {
+    const anchor = hint || document.activeElement;
+    const owning = anchor && forms.find(form => form.element && form.element.contains(anchor));
+    if (owning) return owning;
+
+    const visibleFields = form => form.fields.filter(field => {
+      const rect = field.element.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight;
+    }).length;
+
+    return [...forms].sort((a, b) => visibleFields(b) - visibleFields(a) || b.fields.length - a.fields.length)[0] || null;
+  }
+
+  findSubmitButton(form) {
+    if (!form.element) return null;
+    return form.element.querySelector(FORM_SUBMIT_SELECTOR) ||
+      (form.element.id ? document.querySelector(`[form="${CSS.escape(form.element.id)}"]`) : null);
+  }
+
+  /**
+   * Spoken overview: form name, field count, and each field with its state
+   */
+  describeForm(form) {
+    const required = form.fields.filter(field => field.required).length;
+    const fields = form.groups.map(group => {
+      const items = group.fields.map(field => this.describeFieldState(field)).join('; ');
+      return group.legend ? `${group.legend}: ${items}` : items;
+    }).join('. ');
+
+    return `${form.name}. ${form.fields.length} ${form.fields.length === 1 ? 'field' : 'fields'}` +
+      `${required ? `, ${required} required` : ''}. ${fields}.`;
+  }
+
+  /**
+   * "Email, required, empty" / "Country, choice of 12, currently Canada" / "Email, invalid: Enter a valid email"
+   */
+  describeFieldState(field) {
+    this.refreshValue(field);
+    const parts = [field.label || `unlabeled ${field.kind} field`];
+
+    if (field.kind === 'select' || field.kind === 'listbox' || field.kind === 'radio') {
+      parts.push(`choice of ${field.options.length}`);
+    } else if (field.kind === 'checkbox') {
+      parts.push('checkbox');
+    }
+    if (field.required) parts.push('required');
+
+    const secret = field.type === 'password';
+    if (field.kind === 'checkbox') {
+      parts.push(field.value);
+    } else if (field.value) {
+      parts.push(secret ? `contains ${field.value.length} characters` : `currently ${field.value}`);
+    } else {
+      parts.push('empty');
+    }
+
+    if (field.invalid) parts.push(`invalid${field.error ? `: ${field.error}` : ''}`);
+    return parts.join(', ');
+  }
+
+  /**
+   * Options as a spoken list, shortened for long lists
+   */
+  describeOptions(field) {
+    const labels = field.options.map(option => option.label);
+    if (labels.length <= FORM_OPTIONS_SPOKEN) return labels.join(', ');
+    return `${labels.slice(0, FORM_OPTIONS_SPOKEN).join(', ')}, and ${labels.length - FORM_OPTIONS_SPOKEN} more`;
+  }
+
+  /**
+   * Fields reported invalid after a submission, with their messages.
+   * The browser's own validity counts here, since the user has tried to submit.
+   */
+  getErrors(form) {
+    return form.fields
+      .map(field => {
+        this.refreshValue(field);
+        const elements = field.kind === 'radio' ? field.options.map(option => option.element) : [field.element];
+        const invalid = field.invalid || elements.some(el => el.validity && !el.validity.valid);
+        return invalid ? { field, message: field.error || this.getErrorMessage(elements[0]) || 'invalid' } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Error summaries the page shows at form level (not tied to a field)
+   */
+  getFormAlerts(form) {
+    const root = form.element || document;
+    return Array.from(root.querySelectorAll('[role="alert"]'))
+      .map(node => this.clean(node.textContent))
+      .filter(Boolean)
+      .slice(0, 3);
+  }
+
+  /**
+   * Best option for a spoken answer: exact label, label containing the answer, then shared words
+   * @returns {object|null}
+   */
+  matchOption(options, spoken) {
+    const normalize = text => this.clean(text).toLowerCase().replace(/[^a-z0-9\s]/g, '');
+    const wanted = normalize(spoken);
+    if (!wanted) return null;
+
+    const exact = options.find(option => normalize(option.label) === wanted || normalize(option.value) === wanted);
+    if (exact) return exact;
+
+    const containing = options.filter(option => normalize(option.label).includes(wanted));
+    if (containing.length > 0) return containing.sort((a, b) => a.label.length - b.label.length)[0];
+
+    const words = wanted.split(' ');
+    const scored = options
+      .map(option => ({ option, score: words.filter(word => normalize(option.label).split(' ').includes(word)).length }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score);
+    return scored.length > 0 ? scored[0].option : null;
+  }
+
+  /**
+   * Pick an option in a native select, firing the events frameworks listen for
+   * @returns {boolean}
+   */
+  selectOption(select, option) {
+    this.setValue(select, option.value);
+    return select.value === option.value;
+  }
+
+  /**
+   * Set a field's value so frameworks (React, Vue) see the change.
+   * Uses the native value setter because React overrides the instance property.
+   * @param {boolean} commit - Also fire change, as when the user leaves the field;
+   *   typing into a combobox leaves it out so the suggestion list stays open
+   */
+  setValue(element, value, commit = true) {
+    element.focus();
+
+    if (element.isContentEditable) {
+      element.textContent = value;
+    } else {
+      const proto = { TEXTAREA: HTMLTextAreaElement, SELECT: HTMLSelectElement }[element.tagName] || HTMLInputElement;
+      Object.getOwnPropertyDescriptor(proto.prototype, 'value').set.call(element, value);
+    }
+
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    if (commit) element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Check or uncheck a checkbox, switch or radio by clicking it like a user would
+   * @returns {boolean} - Whether it ended in the wanted state
+   */
+  setChecked(el, checked) {
+    if (this.isChecked(el) !== checked) {
+      // Visually hidden inputs are usually toggled through their label
+      const target = el.tagName === 'INPUT' && el.getClientRects().length === 0 && el.labels && el.labels[0] ? el.labels[0] : el;
+      target.click();
+    }
+    return this.isChecked(el) === checked;
+  }
+}
+
+window.formAnalyzer = new FormAnalyzer();
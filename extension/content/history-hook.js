@@ -0,0 +1,16 @@
+/**
+ * Runs in the page's own JavaScript world (see manifest) so it can see
+ * single-page-app route changes made through history.pushState, which the
+ * isolated content script world cannot observe directly. replaceState is left
+ * alone: apps use it to record filters, sorting and scroll state, not new pages.
+ */
+(function () {
+  const notify = () => window.dispatchEvent(new Event('accessibility-locationchange'));
+
+  const original = history.pushState;
+  history.pushState = function (...args) {
+    const result = original.apply(this, args);
+    notify();
+    return result;
+  };
+})();
@@ -0,0 +1,216 @@
+/**
+ * Image describer - finds images and icon-only controls with no accessible
+ * name, asks the backend to describe them and caches the answers per image
+ */
+
+const IMAGE_CACHE_KEY = 'imageDescriptions';
+const IMAGE_CACHE_LIMIT = 500;
+// Inline images above this size are not sent to the backend
+const IMAGE_DATA_LIMIT = 200 * 1024;
+const IMAGE_MIN_SIZE = 12;
+
+class ImageDescriber {
+  constructor() {
+    // Model descriptions, kept across pages in chrome.storage.local
+    this.cache = new Map();
+    // Empty and fallback answers are kept for this page load only, so a rate limit
+    // or timeout does not stop the image from being described later
+    this.pageCache = new Map();
+    this.inFlight = new Map();
+    // Inline image hashes per element, so large data: URLs are not re-hashed on every lookup
+    this.dataKeys = new WeakMap();
+    this.loaded = this.loadCache();
+  }
+
+  async loadCache() {
+    try {
+      const stored = await chrome.storage.local.get(IMAGE_CACHE_KEY);
+      Object.entries(stored[IMAGE_CACHE_KEY] || {}).forEach(([key, description]) => this.cache.set(key, description));
+    } catch (e) {
+      console.warn('Image description cache unavailable:', e);
+    }
+  }
+
+  saveCache() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      // Keep the newest entries; Map preserves insertion order
+      const entries = [...this.cache.entries()].slice(-IMAGE_CACHE_LIMIT);
+      chrome.storage.local.set({ [IMAGE_CACHE_KEY]: Object.fromEntries(entries) });
+    }, 1000);
+  }
+
+  /**
+   * Whether an interactive element has no name a screen reader could announce
+   */
+  isUnlabeledControl(el) {
+    if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return false;
+    if (el.getAttribute('aria-label') || el.getAttribute('aria-labelledby') || el.getAttribute('title')) return false;
+    if (el.textContent.trim()) return false;
+    if (el.tagName === 'INPUT') return el.type === 'image' && !el.alt;
+
+    const img = el.querySelector('img[alt]');
+    return !(img && img.alt.trim());
+  }
+
+  /**
+   * Whether a content image is missing its text alternative.
+   * alt="" marks an image as decorative and is respected.
+   */
+  isUnlabeledImage(el) {
+    if (el.tagName === 'IMG') {
+      return !el.hasAttribute('alt') && !el.getAttribute('aria-label') && el.getAttribute('role') !== 'presentation';
+    }
+    return el.getAttribute('role') === 'img' && !el.getAttribute('aria-label') && !el.getAttribute('aria-labelledby');
+  }
+
+  /**
+   * Images on the page, with the description a user would hear
+   * @returns {Array<{element: Element, alt: string|null}>} - alt is null when the image is unlabeled
+   */
+  collectImages() {
+    return window.elementIndex.queryAll('img, [role="img"]')
+      .filter(el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width >= IMAGE_MIN_SIZE && rect.height >= IMAGE_MIN_SIZE &&
+          el.getAttribute('alt') !== '' && !el.closest('[aria-hidden="true"]');
+      })
+      .map(el => ({
+        element: el,
+        alt: this.isUnlabeledImage(el) ? null : (el.getAttribute('alt') || el.getAttribute('aria-label') || '').trim()
+      }));
+  }
+
+  /**
+   * The picture behind an element: an <img>, an image input, or a CSS background
+   * @returns {string|null}
+   */
+  getImageUrl(el) {
+    const img = el.tagName === 'IMG' || el.tagName === 'INPUT' ? el : el.querySelector('img');
+    if (img) return img.currentSrc || img.src || null;
+
+    const style = window.elementIndex.getComputedStyle(el);
+    const match = style.backgroundImage && style.backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Clues for naming icons without looking at them (class names, sprite ids, titles)
+   */
+  getHints(el) {
+    const svg = el.tagName === 'svg' ? el : el.querySelector('svg');
+    const icon = el.querySelector('i, span[class*="icon" i], svg') || el;
+    const use = svg && svg.querySelector('use');
+    const row = el.closest('li, tr, figure, article');
+
+    return {
+      title: (svg && svg.querySelector('title')?.textContent) || el.getAttribute('title') || '',
+      className: [el, icon].map(node => node.getAttribute('class') || '').join(' ').trim(),
+      id: el.id || '',
+      dataIcon: icon.getAttribute('data-icon') || el.getAttribute('data-icon') || '',
+      useHref: use ? (use.getAttribute('href') || use.getAttribute('xlink:href') || '') : '',
+      nearbyText: row ? row.textContent.replace(/\s+/g, ' ').trim().substring(0, 100) : ''
+    };
+  }
+
+  /**
+   * Cache key: the image URL, a hash of an inline (data:) image's content, or the
+   * icon's hints when it has no image (inline SVG, icon fonts)
+   */
+  getCacheKey(el, imageUrl) {
+    if (imageUrl && imageUrl.startsWith('data:')) {
+      const known = this.dataKeys.get(el);
+      if (known && known.imageUrl === imageUrl) return known.key;
+
+      const key = `data:${imageUrl.length}:${this.hashText(imageUrl)}`;
+      this.dataKeys.set(el, { imageUrl, key });
+      return key;
+    }
+    if (imageUrl) return imageUrl;
+
+    const hints = this.getHints(el);
+    return `hints:${hints.title}|${hints.className}|${hints.dataIcon}|${hints.useHref}`;
+  }
+
+  /**
+   * 53-bit string hash (cyrb53), enough to tell inline images apart
+   */
+  hashText(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  /**
+   * Cached description for an element, without fetching
+   * @returns {string|null|undefined} - undefined when not described yet
+   */
+  getCached(el) {
+    const key = this.getCacheKey(el, this.getImageUrl(el));
+    return this.cache.has(key) ? this.cache.get(key) : this.pageCache.get(key);
+  }
+
+  /**
+   * Describe one image or icon, fetching at most once per image
+   * @param {Element} el
+   * @param {'image'|'icon'} kind
+   * @returns {Promise<string|null>}
+   */
+  async describe(el, kind) {
+    await this.loaded;
+
+    let imageUrl = this.getImageUrl(el);
+    const key = this.getCacheKey(el, imageUrl);
+    if (this.cache.has(key)) return this.cache.get(key);
+    if (this.pageCache.has(key)) return this.pageCache.get(key);
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    // blob: URLs mean nothing off the page; huge inline images are not worth sending
+    if (imageUrl && (imageUrl.startsWith('blob:') || (imageUrl.startsWith('data:') && imageUrl.length > IMAGE_DATA_LIMIT))) {
+      imageUrl = null;
+    }
+
+    const request = window.apiClient.describeImage({ imageUrl, hints: this.getHints(el), kind })
+      .then(({ description, usedFallback }) => {
+        if (description && !usedFallback) {
+          this.cache.set(key, description);
+          this.saveCache();
+        } else {
+          this.pageCache.set(key, description);
+        }
+        return description;
+      })
+      .catch(error => {
+        console.warn('Image description failed:', error.message);
+        return null;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Describe unlabeled controls, a few at a time, giving up after a time limit
+   * @param {Array<Element>} elements
+   * @param {number} timeout - Milliseconds to wait in total
+   */
+  async describeAll(elements, kind, timeout = 4000) {
+    const work = (async () => {
+      for (let i = 0; i < elements.length; i += 4) {
+        await Promise.all(elements.slice(i, i + 4).map(el => this.describe(el, kind)));
+      }
+    })();
+
+    await Promise.race([work, new Promise(resolve => setTimeout(resolve, timeout))]);
+  }
+}
+
+window.imageDescriber = new ImageDescriber();
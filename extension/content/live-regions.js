@@ -0,0 +1,212 @@
+/**
+ * Live region monitor - announces ARIA live regions, alerts and toast
+ * notifications as they change, with polite or assertive priority
+ */
+
+const LIVE_REGION_SELECTOR = [
+  '[aria-live]:not([aria-live="off"])',
+  '[role="alert"]',
+  '[role="alertdialog"]',
+  '[role="status"]',
+  '[role="log"]'
+].join(',');
+
+// Common toast/snackbar/flash message containers that lack ARIA markup
+const TOAST_SELECTOR = [
+  '[class*="toast" i]',
+  '[class*="snackbar" i]',
+  '[class*="flash-message" i]',
+  '[class~="alert"]',
+  '[id*="toast" i]'
+].join(',');
+
+const LIVE_REGION_REPEAT_MS = 3000;
+const LIVE_REGION_MAX_LENGTH = 300;
+
+class LiveRegionMonitor {
+  constructor() {
+    this.verbosity = 'all'; // all | assertive | off
+    this.muted = false;
+    this.observer = null;
+    this.pending = new Map();
+    this.queue = [];
+    this.recent = new Map();
+    this.flushTimer = null;
+    this.drainTimer = null;
+    this.speak = null;
+    this.isBusy = null;
+  }
+
+  /**
+   * Start watching the page
+   * @param {object} handlers
+   * @param {function} handlers.speak - Speaks text; called with (text, priority)
+   * @param {function} handlers.isBusy - True while polite announcements should wait
+   */
+  start({ speak, isBusy }) {
+    this.speak = speak;
+    this.isBusy = isBusy;
+
+    this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+    this.drainTimer = setInterval(() => this.drain(), 500);
+  }
+
+  stop() {
+    if (this.observer) this.observer.disconnect();
+    clearInterval(this.drainTimer);
+    clearTimeout(this.flushTimer);
+    this.queue = [];
+  }
+
+  /**
+   * @param {string} verbosity - 'all', 'assertive' (alerts only) or 'off'
+   */
+  setVerbosity(verbosity) {
+    this.verbosity = ['all', 'assertive', 'off'].includes(verbosity) ? verbosity : 'all';
+    // Only polite announcements wait in the queue
+    if (this.verbosity !== 'all') this.queue = [];
+  }
+
+  setMuted(muted) {
+    this.muted = !!muted;
+    if (this.muted) this.queue = [];
+  }
+
+  /**
+   * Collect the regions touched by a batch of mutations and the text they gained
+   */
+  handleMutations(mutations) {
+    if (this.verbosity === 'off' || this.muted) return;
+
+    mutations.forEach(mutation => {
+      const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+      if (!target) return;
+
+      if (mutation.type === 'characterData') {
+        const region = this.findRegion(target);
+        if (region) this.markChanged(region, null);
+        return;
+      }
+
+      mutation.addedNodes.forEach(node => {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!element) return;
+
+        // A freshly inserted region (a toast or alert, possibly in a wrapper) is read whole
+        const inserted = node.nodeType === Node.ELEMENT_NODE ? this.findInsertedRegion(element) : null;
+        const region = inserted || this.findRegion(target);
+        if (!region) return;
+
+        this.markChanged(region, (inserted || region.getAttribute('aria-atomic') === 'true') ? null : node.textContent);
+      });
+    });
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), 250);
+  }
+
+  /**
+   * Closest live region or toast container around an element
+   */
+  findRegion(element) {
+    const region = element.closest(LIVE_REGION_SELECTOR);
+    if (region) return region;
+
+    const toast = element.closest(TOAST_SELECTOR);
+    return toast && this.isToastSized(toast) ? toast : null;
+  }
+
+  /**
+   * Live region or toast that is, or sits inside, a newly added element
+   */
+  findInsertedRegion(element) {
+    if (element.matches(LIVE_REGION_SELECTOR)) return element;
+    if (element.matches(TOAST_SELECTOR) && this.isToastSized(element)) return element;
+
+    const region = element.querySelector(LIVE_REGION_SELECTOR);
+    if (region) return region;
+
+    const toast = element.querySelector(TOAST_SELECTOR);
+    return toast && this.isToastSized(toast) ? toast : null;
+  }
+
+  /**
+   * Class-name matches only count for small containers, so a page-wide
+   * "has-toast" wrapper does not turn every change into an announcement
+   */
+  isToastSized(element) {
+    return element !== document.body &&
+      element !== document.documentElement &&
+      element.getElementsByTagName('*').length < 50;
+  }
+
+  /**
+   * @param {Element} region
+   * @param {string|null} addedText - Text of added nodes, or null to read the whole region
+   */
+  markChanged(region, addedText) {
+    const entry = this.pending.get(region) || { whole: false, parts: [] };
+    if (addedText === null) {
+      entry.whole = true;
+    } else {
+      entry.parts.push(addedText);
+    }
+    this.pending.set(region, entry);
+  }
+
+  /**
+   * Turn pending region changes into announcements
+   */
+  flush() {
+    const now = Date.now();
+
+    this.pending.forEach((entry, region) => {
+      if (region.closest('[aria-hidden="true"]') || !region.isConnected) return;
+
+      const raw = entry.whole ? region.textContent : entry.parts.join(' ');
+      const text = raw.replace(/\s+/g, ' ').trim().substring(0, LIVE_REGION_MAX_LENGTH);
+      if (!text) return;
+
+      // Frameworks often re-render the same message; say it once
+      if (this.recent.has(text) && now - this.recent.get(text) < LIVE_REGION_REPEAT_MS) return;
+      this.recent.set(text, now);
+
+      const priority = this.getPriority(region);
+      if (this.verbosity === 'assertive' && priority !== 'assertive') return;
+
+      if (priority === 'assertive') {
+        this.speak(text, 'assertive');
+      } else {
+        this.queue.push({ text, priority });
+      }
+    });
+
+    this.pending.clear();
+    this.recent.forEach((time, text) => {
+      if (now - time > LIVE_REGION_REPEAT_MS) this.recent.delete(text);
+    });
+  }
+
+  /**
+   * Assertive for alerts and aria-live="assertive", polite otherwise
+   */
+  getPriority(region) {
+    const live = region.getAttribute('aria-live');
+    const role = region.getAttribute('role');
+    if (live === 'assertive' || role === 'alert' || role === 'alertdialog') return 'assertive';
+    return 'polite';
+  }
+
+  /**
+   * Speak the next polite announcement once nothing else is talking
+   */
+  drain() {
+    if (this.queue.length === 0 || (this.isBusy && this.isBusy())) return;
+    const item = this.queue.shift();
+    this.speak(item.text, item.priority);
+  }
+}
+
+window.liveRegionMonitor = new LiveRegionMonitor();
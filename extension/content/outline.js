@@ -0,0 +1,275 @@
+/**
+ * Page outline - headings and ARIA landmarks in document order,
+ * with a cursor for next/previous structural navigation
+ */
+
+const LANDMARK_SELECTORS = {
+  main: 'main, [role="main"]',
+  navigation: 'nav, [role="navigation"]',
+  search: '[role="search"], search',
+  banner: '[role="banner"], body > header, body > * > header:not(article header):not(section header)',
+  contentinfo: '[role="contentinfo"], body > footer, body > * > footer:not(article footer):not(section footer)',
+  complementary: 'aside, [role="complementary"]',
+  form: 'form[aria-label], form[aria-labelledby], [role="form"]',
+  region: 'section[aria-label], section[aria-labelledby], [role="region"][aria-label], [role="region"][aria-labelledby]'
+};
+
+const LANDMARK_NAMES = {
+  main: 'main content',
+  navigation: 'navigation',
+  search: 'search',
+  banner: 'header',
+  contentinfo: 'footer',
+  complementary: 'sidebar',
+  form: 'form',
+  region: 'region'
+};
+
+// Spoken names mapped to landmark roles
+const LANDMARK_ALIASES = {
+  'main content': 'main',
+  'main': 'main',
+  'content': 'main',
+  'navigation': 'navigation',
+  'nav': 'navigation',
+  'menu': 'navigation',
+  'search': 'search',
+  'header': 'banner',
+  'banner': 'banner',
+  'footer': 'contentinfo',
+  'sidebar': 'complementary',
+  'complementary': 'complementary'
+};
+
+class PageOutline {
+  constructor() {
+    this.headings = [];
+    this.landmarks = [];
+    this.current = null;
+  }
+
+  /**
+   * Rebuild headings and landmarks from the current DOM
+   */
+  refresh() {
+    this.headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]'))
+      .filter(el => window.elementIndex.isVisible(el) && el.textContent.trim())
+      .map(el => ({
+        element: el,
+        level: this.getHeadingLevel(el),
+        text: el.textContent.trim().replace(/\s+/g, ' ').substring(0, 150)
+      }));
+
+    const seen = new Set();
+    this.landmarks = [];
+    Object.entries(LANDMARK_SELECTORS).forEach(([role, selector]) => {
+      document.querySelectorAll(selector).forEach(el => {
+        if (seen.has(el) || !window.elementIndex.isVisible(el)) return;
+        seen.add(el);
+        this.landmarks.push({ element: el, role, label: this.getLandmarkLabel(el, role) });
+      });
+    });
+
+    this.landmarks.sort((a, b) =>
+      a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+
+    // Drop the cursor if its element has left the page
+    if (this.current && !document.contains(this.current)) {
+      this.current = null;
+    }
+  }
+
+  /**
+   * Heading level from the tag name or aria-level
+   */
+  getHeadingLevel(el) {
+    const ariaLevel = parseInt(el.getAttribute('aria-level'));
+    if (!isNaN(ariaLevel)) return ariaLevel;
+    const tagLevel = parseInt(el.tagName.substring(1));
+    return isNaN(tagLevel) ? 2 : tagLevel;
+  }
+
+  /**
+   * Accessible name of a landmark, falling back to its role name
+   */
+  getLandmarkLabel(el, role) {
+    let label = el.getAttribute('aria-label');
+
+    if (!label && el.getAttribute('aria-labelledby')) {
+      label = el.getAttribute('aria-labelledby')
+        .split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent.trim())
+        .filter(Boolean)
+        .join(' ');
+    }
+
+    const name = LANDMARK_NAMES[role];
+    return label ? `${label} ${name}` : name;
+  }
+
+  /**
+   * First entry after (or before) the cursor
+   * @param {Array} entries - Headings or landmarks
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  step(entries, direction) {
+    if (entries.length === 0) return null;
+
+    let entry;
+    if (!this.current) {
+      entry = direction > 0 ? entries[0] : entries[entries.length - 1];
+    } else {
+      const ordered = direction > 0 ? entries : [...entries].reverse();
+      const wanted = direction > 0 ? Node.DOCUMENT_POSITION_FOLLOWING : Node.DOCUMENT_POSITION_PRECEDING;
+      entry = ordered.find(e =>
+        e.element !== this.current &&
+        !e.element.contains(this.current) &&
+        (this.current.compareDocumentPosition(e.element) & wanted)
+      );
+    }
+
+    if (entry) this.current = entry.element;
+    return entry || null;
+  }
+
+  nextHeading(level = null) {
+    this.refresh();
+    const headings = level ? this.headings.filter(h => h.level === level) : this.headings;
+    return this.step(headings, 1);
+  }
+
+  previousHeading(level = null) {
+    this.refresh();
+    const headings = level ? this.headings.filter(h => h.level === level) : this.headings;
+    return this.step(headings, -1);
+  }
+
+  /**
+   * Closest heading above an element, for describing where it sits
+   * @returns {{element: Element, level: number, text: string}|null}
+   */
+  headingBefore(element) {
+    this.refresh();
+    let found = null;
+    for (const heading of this.headings) {
+      if (heading.element.contains(element)) continue;
+      if (!(heading.element.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)) break;
+      found = heading;
+    }
+    return found;
+  }
+
+  /**
+   * Innermost landmark that contains an element
+   * @returns {{element: Element, role: string, label: string}|null}
+   */
+  landmarkOf(element) {
+    this.refresh();
+    let found = null;
+    for (const landmark of this.landmarks) {
+      // Landmarks are in document order, so a later container is nested deeper
+      if (landmark.element.contains(element)) found = landmark;
+    }
+    return found;
+  }
+
+  nextLandmark() {
+    this.refresh();
+    return this.step(this.landmarks, 1);
+  }
+
+  previousLandmark() {
+    this.refresh();
+    return this.step(this.landmarks, -1);
+  }
+
+  /**
+   * Find a landmark by spoken name ("main content", "navigation", or an aria-label)
+   */
+  findLandmark(name) {
+    this.refresh();
+    const spoken = name.toLowerCase().trim();
+    const role = LANDMARK_ALIASES[spoken];
+
+    const entry = this.landmarks.find(l => role && l.role === role) ||
+      this.landmarks.find(l => l.label.toLowerCase().includes(spoken));
+
+    if (entry) this.current = entry.element;
+    return entry || null;
+  }
+
+  /**
+   * Text under a heading, up to the next heading of the same or higher level
+   */
+  getSectionText(heading, maxLength = 400) {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    walker.currentNode = heading.element;
+
+    let text = '';
+    let node = walker.nextNode();
+    while (node && text.length < maxLength) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(node.tagName)) {
+          node = this.skipSubtree(walker, node);
+          continue;
+        }
+        if (/^H[1-6]$/.test(node.tagName) || node.getAttribute('role') === 'heading') {
+          if (this.getHeadingLevel(node) <= heading.level) break;
+        }
+      } else if (!heading.element.contains(node)) {
+        text += node.textContent.replace(/\s+/g, ' ');
+      }
+      node = walker.nextNode();
+    }
+
+    return this.truncate(text.trim(), maxLength);
+  }
+
+  /**
+   * Opening text of a landmark
+   */
+  getLandmarkText(landmark, maxLength = 400) {
+    return this.truncate((landmark.element.innerText || '').replace(/\s+/g, ' ').trim(), maxLength);
+  }
+
+  skipSubtree(walker, node) {
+    let next = node.nextSibling;
+    let parent = node.parentNode;
+    while (!next && parent && parent !== document.body) {
+      next = parent.nextSibling;
+      parent = parent.parentNode;
+    }
+    if (next) walker.currentNode = next;
+    return next;
+  }
+
+  truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.substring(0, maxLength);
+    const lastStop = cut.lastIndexOf('. ');
+    return lastStop > maxLength / 2 ? cut.substring(0, lastStop + 1) : cut + '...';
+  }
+
+  /**
+   * Spoken list of headings or landmarks
+   */
+  describeHeadings() {
+    this.refresh();
+    return this.headings.map(h => `level ${h.level}, ${h.text}`);
+  }
+
+  describeLandmarks() {
+    this.refresh();
+    return this.landmarks.map(l => l.label);
+  }
+
+  /**
+   * Remember the element a command or highlight landed on, so next/previous continue from there
+   */
+  setCursor(element) {
+    this.current = element;
+  }
+}
+
+window.pageOutline = new PageOutline();
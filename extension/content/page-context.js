@@ -0,0 +1,159 @@
+/**
+ * Page context - "where am I": the heading and landmark around an element,
+ * how far down the page the user is, and what the viewport shows
+ */
+
+const CONTEXT_NAME_LENGTH = 60;
+const CONTEXT_SNIPPET_LENGTH = 120;
+// Viewport headings read out before the rest are left off
+const CONTEXT_HEADINGS_SPOKEN = 2;
+
+class PageContext {
+  /**
+   * Full spoken answer to "where am I"
+   * @param {Element|null} element - Focused or last-highlighted element, if any
+   */
+  describe(element = null) {
+    const parts = [`You are on ${document.title || 'an untitled page'}.`];
+
+    const anchor = element && element.isConnected ? element : this.elementAtCenter();
+    const location = anchor ? this.describeLocation(anchor) : '';
+    const name = element && element.isConnected ? this.getName(element) : '';
+
+    if (name) {
+      parts.push(`Focus is on ${name}${location ? `, ${location}` : ''}.`);
+    } else if (location) {
+      parts.push(`You are ${location}.`);
+    }
+
+    parts.push(this.describeScroll());
+    parts.push(this.describeViewport());
+    return parts.filter(Boolean).join(' ');
+  }
+
+  /**
+   * Short context spoken after an action: landmark, heading and scroll position
+   */
+  describeBrief(element) {
+    if (!element || !element.isConnected) return '';
+    const location = this.describeLocation(element);
+    const scroll = this.describeScroll();
+    return [location ? `Now ${location}.` : '', scroll].filter(Boolean).join(' ');
+  }
+
+  /**
+   * "in the main content, under the heading Shipping"
+   */
+  describeLocation(element) {
+    const landmark = window.pageOutline.landmarkOf(element);
+    const heading = window.pageOutline.headingBefore(element);
+
+    const parts = [];
+    if (landmark) parts.push(`in the ${landmark.label}`);
+    if (heading) parts.push(`under the heading ${heading.text}`);
+    return parts.join(', ');
+  }
+
+  /**
+   * How far down the page the viewport is, in words
+   */
+  describeScroll() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    if (scrollable <= 0) return 'The whole page fits on screen.';
+
+    const percent = this.getScrollPercent();
+    if (percent <= 2) return 'At the top of the page.';
+    if (percent >= 98) return 'At the bottom of the page.';
+    return `${percent} percent down the page.`;
+  }
+
+  getScrollPercent() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    if (scrollable <= 0) return 0;
+    return Math.round(Math.min(1, Math.max(0, window.scrollY / scrollable)) * 100);
+  }
+
+  /**
+   * What is on screen: headings in view, counts of links, buttons, fields and
+   * images, and the first words of the visible text
+   */
+  describeViewport() {
+    window.pageOutline.refresh();
+    const headings = window.pageOutline.headings.filter(h => this.isInViewport(h.element));
+    const count = selector => Array.from(document.querySelectorAll(selector)).filter(el => this.isInViewport(el)).length;
+
+    const items = [];
+    headings.slice(0, CONTEXT_HEADINGS_SPOKEN).forEach(h => items.push(`the heading ${h.text}`));
+    if (headings.length > CONTEXT_HEADINGS_SPOKEN) items.push(this.plural(headings.length - CONTEXT_HEADINGS_SPOKEN, 'more heading'));
+    [
+      ['a[href], [role="link"]', 'link'],
+      ['button, [role="button"], input[type="submit"], input[type="button"]', 'button'],
+      [FORM_FIELD_SELECTOR, 'form field'],
+      ['img, [role="img"], svg[aria-label]', 'image']
+    ].forEach(([selector, noun]) => {
+      const total = count(selector);
+      if (total > 0) items.push(this.plural(total, noun));
+    });
+
+    const snippet = this.visibleSnippet();
+    const onScreen = items.length > 0 ? `On screen: ${this.joinList(items)}.` : '';
+    return [onScreen, snippet ? `The text starts: ${snippet}` : ''].filter(Boolean).join(' ') || 'Nothing is on screen.';
+  }
+
+  /**
+   * First words of the first paragraph-like block in view
+   */
+  visibleSnippet() {
+    const block = Array.from(document.querySelectorAll('p, li, blockquote, dd, td, figcaption'))
+      .find(el => this.isInViewport(el) && el.textContent.trim().length > 20);
+    if (!block) return '';
+
+    const text = block.textContent.replace(/\s+/g, ' ').trim();
+    if (text.length <= CONTEXT_SNIPPET_LENGTH) return text;
+    const cut = text.substring(0, CONTEXT_SNIPPET_LENGTH);
+    return cut.substring(0, cut.lastIndexOf(' ')) + '...';
+  }
+
+  /**
+   * Element in the middle of the viewport, standing in for "here" when nothing is focused
+   */
+  elementAtCenter() {
+    const el = document.elementFromPoint(window.innerWidth / 2, window.innerHeight / 2);
+    return el && el !== document.documentElement ? el : null;
+  }
+
+  /**
+   * Whether any part of the element is inside the viewport and rendered
+   */
+  isInViewport(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return false;
+    if (rect.bottom <= 0 || rect.top >= window.innerHeight || rect.right <= 0 || rect.left >= window.innerWidth) return false;
+
+    const style = window.elementIndex.getComputedStyle(el);
+    return style.visibility !== 'hidden' && style.opacity !== '0';
+  }
+
+  /**
+   * Short spoken name of the focused or highlighted element
+   */
+  getName(el) {
+    if (el === document.body || el === document.documentElement) return '';
+    const name = el.matches(FORM_FIELD_SELECTOR)
+      ? window.formAnalyzer.getLabel(el)
+      : window.accessibilityAudit.getAccessibleName(el);
+    if (!name) return '';
+    return name.length > CONTEXT_NAME_LENGTH ? name.substring(0, CONTEXT_NAME_LENGTH) + '...' : name;
+  }
+
+  plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+
+  joinList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+  }
+}
+
+window.pageContext = new PageContext();
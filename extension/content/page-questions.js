@@ -0,0 +1,180 @@
+/**
+ * Page questions - splits the whole page text into chunks for the ask-page
+ * endpoint and finds the passage an answer was quoted from
+ */
+
+const QUESTION_CHUNK_SIZE = 800;
+// Text beyond this is left out; enough for long articles and product pages
+const QUESTION_PAGE_LIMIT = 100000;
+const QUESTION_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS']);
+const QUESTION_HIGHLIGHT = 'accessibility-answer-source';
+
+class PageQuestions {
+  constructor() {
+    this.chunks = [];
+    this.lastAnswer = null;
+  }
+
+  /**
+   * Visible text grouped by the block element it is laid out in, in page order
+   * @returns {Array<{element: Element, text: string}>}
+   */
+  collectBlocks() {
+    const blocks = new Map();
+    const blockOf = new Map();
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        for (let el = node.parentElement; el && el !== document.body; el = el.parentElement) {
+          if (QUESTION_SKIP_TAGS.has(el.tagName.toUpperCase()) || el.getAttribute('aria-hidden') === 'true') {
+            return NodeFilter.FILTER_REJECT;
+          }
+        }
+        return node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+    });
+
+    let total = 0;
+    let node;
+    while ((node = walker.nextNode()) && total < QUESTION_PAGE_LIMIT) {
+      const block = this.getBlock(node.parentElement, blockOf);
+      if (!block) continue;
+
+      if (!blocks.has(block)) blocks.set(block, []);
+      blocks.get(block).push(node.textContent);
+      total += node.textContent.length;
+    }
+
+    return [...blocks.entries()]
+      .map(([element, parts]) => ({ element, text: parts.join(' ').replace(/\s+/g, ' ').trim() }))
+      .filter(block => block.text);
+  }
+
+  /**
+   * Nearest ancestor laid out as a block, or null when the text is hidden
+   */
+  getBlock(el, cache) {
+    if (cache.has(el)) return cache.get(el);
+
+    const style = window.elementIndex.getComputedStyle(el);
+    let block;
+    if (style.display === 'none' || style.visibility === 'hidden') {
+      block = null;
+    } else if (el === document.body || !(style.display.startsWith('inline') || style.display === 'contents')) {
+      block = el;
+    } else {
+      block = this.getBlock(el.parentElement, cache);
+    }
+
+    cache.set(el, block);
+    return block;
+  }
+
+  /**
+   * Pack blocks into chunks of about QUESTION_CHUNK_SIZE characters.
+   * Each chunk remembers its blocks so a quote can be traced back to the page.
+   * @returns {Array<{id: number, text: string}>} - What is sent to the server
+   */
+  buildChunks() {
+    this.chunks = [];
+    let current = null;
+
+    const startChunk = () => {
+      current = { id: this.chunks.length, text: '', blocks: [] };
+      this.chunks.push(current);
+    };
+
+    this.collectBlocks().forEach(block => {
+      this.splitText(block.text).forEach(piece => {
+        if (!current || current.text.length + piece.length > QUESTION_CHUNK_SIZE) startChunk();
+        current.text += (current.text ? '\n' : '') + piece;
+        current.blocks.push(block);
+      });
+    });
+
+    return this.chunks.map(({ id, text }) => ({ id, text }));
+  }
+
+  /**
+   * Split long blocks at sentence ends so no piece is much longer than a chunk
+   */
+  splitText(text) {
+    if (text.length <= QUESTION_CHUNK_SIZE) return [text];
+
+    const pieces = [];
+    let piece = '';
+    text.split(/(?<=[.!?])\s+/).forEach(sentence => {
+      if (piece && piece.length + sentence.length > QUESTION_CHUNK_SIZE) {
+        pieces.push(piece);
+        piece = '';
+      }
+      piece += (piece ? ' ' : '') + sentence;
+    });
+    if (piece) pieces.push(piece);
+
+    return pieces.flatMap(p => p.match(new RegExp(`[\\s\\S]{1,${QUESTION_CHUNK_SIZE}}`, 'g')));
+  }
+
+  /**
+   * Ask the backend a question about the current page
+   * @returns {Promise<{found: boolean, answer: string, evidence: Array<{chunkId: number, quote: string}>}>}
+   */
+  async ask(question) {
+    const chunks = this.buildChunks();
+    if (chunks.length === 0) {
+      return { found: false, answer: 'There is no text on this page to search.', evidence: [] };
+    }
+
+    const result = await window.apiClient.askPage(question, chunks, document.title);
+    this.lastAnswer = { question, ...result };
+    return result;
+  }
+
+  /**
+   * Element and text range holding the first quote of the last answer
+   * @returns {{element: Element, range: Range|null, quote: string}|null}
+   */
+  findSource() {
+    const evidence = this.lastAnswer && this.lastAnswer.evidence[0];
+    const chunk = evidence && this.chunks[evidence.chunkId];
+    if (!chunk) return null;
+
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    const quote = normalize(evidence.quote);
+    const words = quote.split(' ');
+
+    // The block containing the quote, or failing that the one sharing the most words
+    const block = chunk.blocks.find(b => normalize(b.text).includes(quote)) ||
+      [...chunk.blocks].sort((a, b) => this.overlap(words, b.text) - this.overlap(words, a.text))[0];
+    if (!block || !block.element.isConnected) return null;
+
+    const content = block.element.textContent;
+    const start = content.toLowerCase().indexOf(evidence.quote.toLowerCase());
+    const range = start >= 0 ? window.pageReader.createRange(block.element, start, start + evidence.quote.length) : null;
+
+    return { element: block.element, range, quote: evidence.quote };
+  }
+
+  overlap(words, text) {
+    const lower = text.toLowerCase();
+    return words.filter(word => lower.includes(word)).length;
+  }
+
+  /**
+   * Mark the quoted words on the page, where the CSS Highlight API exists
+   */
+  highlightSource(source) {
+    this.clearHighlight();
+    if (source.range && window.CSS && CSS.highlights && window.Highlight) {
+      CSS.highlights.set(QUESTION_HIGHLIGHT, new Highlight(source.range));
+      setTimeout(() => this.clearHighlight(), 8000);
+    }
+  }
+
+  clearHighlight() {
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.delete(QUESTION_HIGHLIGHT);
+    }
+  }
+}
+
+window.pageQuestions = new PageQuestions();
@@ -0,0 +1,316 @@
+/**
+ * Continuous reader - extracts the main article text and reads it
+ * sentence by sentence with pause, resume, skip and speed control
+ */
+
+// Class/id hints for scoring article containers
+const READER_POSITIVE = /article|content|post|entry|main|body|story|text|blog/i;
+const READER_NEGATIVE = /comment|footer|nav|sidebar|menu|share|social|related|promo|advert|sponsor|banner|cookie|popup|modal|subscribe|breadcrumb/i;
+
+const READER_BLOCKS = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, figcaption, td, dd';
+const READER_ABBREVIATIONS = /\b(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|vs|etc|e\.g|i\.e|Inc|Ltd|No|Fig)\.$/i;
+const READER_HIGHLIGHT = 'accessibility-reader-sentence';
+
+class PageReader {
+  constructor() {
+    this.paragraphs = [];
+    this.paragraphIndex = 0;
+    this.sentenceIndex = 0;
+    this.state = 'idle'; // idle | reading | paused
+    this.generation = 0;
+    this.rate = null;
+  }
+
+  /**
+   * Whether a reading session exists (reading or paused)
+   */
+  isActive() {
+    return this.state !== 'idle';
+  }
+
+  /**
+   * Score block containers the way reader views do: paragraph text raises
+   * the parent (and half to the grandparent), link-heavy or nav-like blocks lose.
+   * @returns {Element}
+   */
+  findArticleRoot() {
+    const scores = new Map();
+
+    document.querySelectorAll('p, pre, blockquote').forEach(p => {
+      const text = p.textContent.trim();
+      if (text.length < 25) return;
+
+      const points = 1 + (text.match(/,/g) || []).length + Math.min(text.length / 100, 3);
+      [[p.parentElement, 1], [p.parentElement?.parentElement, 0.5]].forEach(([container, weight]) => {
+        if (!container || container === document.documentElement) return;
+        scores.set(container, (scores.get(container) || 0) + points * weight);
+      });
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, container) => {
+      const hints = `${container.className} ${container.id}`;
+      if (READER_POSITIVE.test(hints)) score *= 1.25;
+      if (READER_NEGATIVE.test(hints)) score *= 0.3;
+      if (container.closest('nav, footer, aside, [role="navigation"], [role="contentinfo"], [role="complementary"]')) score *= 0.3;
+      if (container.matches('article, main, [role="main"]')) score *= 1.25;
+      score *= 1 - this.getLinkDensity(container);
+
+      if (score > bestScore) {
+        best = container;
+        bestScore = score;
+      }
+    });
+
+    return best || document.querySelector('article, main, [role="main"]') || document.body;
+  }
+
+  /**
+   * Share of an element's text that sits inside links
+   */
+  getLinkDensity(element) {
+    const textLength = element.textContent.length || 1;
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(a => {
+      linkLength += a.textContent.length;
+    });
+    return Math.min(linkLength / textLength, 1);
+  }
+
+  /**
+   * Build the paragraph/sentence queue from the article root
+   */
+  extractParagraphs() {
+    const root = this.findArticleRoot();
+    const blocks = Array.from(root.querySelectorAll(READER_BLOCKS));
+
+    // Headings just above the article root (a title outside the body container)
+    const title = root.closest('article')?.querySelector('h1') || document.querySelector('h1');
+    if (title && !root.contains(title)) {
+      blocks.unshift(title);
+    }
+
+    const chosen = new Set();
+    return blocks
+      .filter(block => {
+        // Skip blocks nested in another chosen block (a <p> inside an <li>)
+        for (let parent = block.parentElement; parent && parent !== root; parent = parent.parentElement) {
+          if (chosen.has(parent)) return false;
+        }
+        const text = block.textContent.trim();
+        if (!text || !window.elementIndex.isVisible(block)) return false;
+        if (block.tagName === 'LI' && this.getLinkDensity(block) > 0.5) return false;
+        chosen.add(block);
+        return true;
+      })
+      .map(block => ({ element: block, sentences: this.splitSentences(block.textContent) }))
+      .filter(paragraph => paragraph.sentences.length > 0);
+  }
+
+  /**
+   * Split text into sentences, keeping character offsets into the original text
+   * @returns {Array<{text: string, start: number, end: number}>}
+   */
+  splitSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?]+["')\]”’]*\s+/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+      const end = match.index + match[0].trimEnd().length;
+      const candidate = text.substring(start, end);
+      if (READER_ABBREVIATIONS.test(candidate.trim())) continue;
+      this.pushSentence(sentences, text, start, end);
+      start = match.index + match[0].length;
+    }
+    this.pushSentence(sentences, text, start, text.length);
+
+    return sentences;
+  }
+
+  pushSentence(sentences, text, start, end) {
+    const spoken = text.substring(start, end).replace(/\s+/g, ' ').trim();
+    if (!spoken) return;
+
+    // Offsets exclude leading whitespace so the highlight starts on the first word
+    const leading = text.substring(start, end).search(/\S/);
+    sentences.push({ text: spoken, start: start + Math.max(leading, 0), end });
+  }
+
+  /**
+   * Start reading the page from the top
+   */
+  start() {
+    this.paragraphs = this.extractParagraphs();
+    this.paragraphIndex = 0;
+    this.sentenceIndex = 0;
+
+    if (this.paragraphs.length === 0) {
+      this.state = 'idle';
+      return false;
+    }
+
+    this.play();
+    return true;
+  }
+
+  /**
+   * Read from the current position until paused or finished
+   */
+  async play() {
+    const generation = ++this.generation;
+    this.state = 'reading';
+
+    while (generation === this.generation && this.paragraphIndex < this.paragraphs.length) {
+      const paragraph = this.paragraphs[this.paragraphIndex];
+      const sentence = paragraph.sentences[this.sentenceIndex];
+
+      this.highlightSentence(paragraph, sentence);
+      await window.voiceManager.speak(sentence.text, { rate: this.rate || undefined, resolveOnInterrupt: true });
+
+      // Paused, skipped or restarted while this sentence was playing
+      if (generation !== this.generation) return;
+
+      this.sentenceIndex++;
+      if (this.sentenceIndex >= paragraph.sentences.length) {
+        this.paragraphIndex++;
+        this.sentenceIndex = 0;
+      }
+    }
+
+    if (generation === this.generation) {
+      this.finish();
+      window.voiceManager.speak('End of page.');
+    }
+  }
+
+  /**
+   * Stop speaking but keep the position
+   */
+  pause() {
+    if (this.state !== 'reading') return false;
+    this.generation++;
+    this.state = 'paused';
+    window.voiceManager.stopSpeaking();
+    return true;
+  }
+
+  /**
+   * Continue from the current sentence
+   */
+  resume() {
+    if (this.state !== 'paused') return false;
+    this.play();
+    return true;
+  }
+
+  /**
+   * Jump by whole paragraphs and keep reading
+   * @param {number} offset - +1 for next, -1 for previous
+   */
+  skipParagraph(offset) {
+    if (!this.isActive()) return false;
+
+    const target = this.paragraphIndex + offset;
+    if (target < 0 || target >= this.paragraphs.length) return false;
+
+    this.generation++;
+    window.voiceManager.stopSpeaking();
+    this.paragraphIndex = target;
+    this.sentenceIndex = 0;
+    this.play();
+    return true;
+  }
+
+  /**
+   * Change reading speed and restart the current sentence at the new rate
+   * @param {number} rate - Speech rate (0.5 to 2.0)
+   */
+  setRate(rate) {
+    this.rate = Math.max(0.5, Math.min(2.0, Math.round(rate * 100) / 100));
+    if (this.state === 'reading') {
+      this.generation++;
+      window.voiceManager.stopSpeaking();
+      this.play();
+    }
+    return this.rate;
+  }
+
+  getRate() {
+    return this.rate || window.voiceManager.speechRate;
+  }
+
+  /**
+   * End the session and clear highlights
+   */
+  stop() {
+    this.generation++;
+    window.voiceManager.stopSpeaking();
+    this.finish();
+  }
+
+  finish() {
+    this.state = 'idle';
+    this.clearHighlight();
+  }
+
+  /**
+   * Mark the current paragraph and, where the CSS Highlight API exists, the current sentence
+   */
+  highlightSentence(paragraph, sentence) {
+    this.clearHighlight();
+    paragraph.element.classList.add('accessibility-reading');
+    this.currentElement = paragraph.element;
+
+    const range = this.createRange(paragraph.element, sentence.start, sentence.end);
+    if (range && window.CSS && CSS.highlights && window.Highlight) {
+      CSS.highlights.set(READER_HIGHLIGHT, new Highlight(range));
+    }
+
+    const target = range || paragraph.element;
+    const rect = target.getBoundingClientRect();
+    if (rect.top < 0 || rect.bottom > window.innerHeight) {
+      paragraph.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  clearHighlight() {
+    if (this.currentElement) {
+      this.currentElement.classList.remove('accessibility-reading');
+      this.currentElement = null;
+    }
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.delete(READER_HIGHLIGHT);
+    }
+  }
+
+  /**
+   * DOM range covering character offsets of an element's textContent
+   */
+  createRange(element, start, end) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let offset = 0;
+    let startSet = false;
+    let node;
+
+    while ((node = walker.nextNode())) {
+      const length = node.textContent.length;
+      if (!startSet && start <= offset + length) {
+        range.setStart(node, start - offset);
+        startSet = true;
+      }
+      if (startSet && end <= offset + length) {
+        range.setEnd(node, end - offset);
+        return range;
+      }
+      offset += length;
+    }
+
+    return null;
+  }
+}
+
+window.pageReader = new PageReader();
@@ -0,0 +1,136 @@
+/**
+ * Route tracker - detects client-side navigation in single-page apps
+ * (pushState, popstate, hash routes) and large DOM replacements
+ */
+
+// Query parameters that change per visit but not the page itself
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ref|ref_src|_ga|_gl)$/i;
+
+class RouteTracker {
+  constructor() {
+    this.lastUrl = null;
+    this.lastSignature = null;
+    this.addedVolume = 0;
+    this.removedVolume = 0;
+    this.baselineSize = 0;
+    this.debounceTimer = null;
+    this.navigated = false;
+    this.observer = null;
+    this.onChange = null;
+    this.debounceMs = 1000;
+  }
+
+  /**
+   * Start watching for route changes
+   * @param {function} onChange - Called with { reason, url } once the new view has settled
+   * @param {number} debounceMs - Quiet time before a change is reported
+   */
+  start(onChange, debounceMs = 1000) {
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.resetBaseline();
+
+    const navigate = () => {
+      this.navigated = true;
+      this.schedule();
+    };
+    window.addEventListener('popstate', navigate);
+    window.addEventListener('hashchange', navigate);
+    // Dispatched by content/history-hook.js from the page's world
+    window.addEventListener('accessibility-locationchange', navigate);
+
+    this.observer = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => { this.addedVolume += this.nodeSize(node); });
+        mutation.removedNodes.forEach(node => { this.removedVolume += this.nodeSize(node); });
+      });
+      this.schedule();
+    });
+    this.observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  stop() {
+    if (this.observer) this.observer.disconnect();
+    clearTimeout(this.debounceTimer);
+  }
+
+  schedule() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.evaluate(), this.debounceMs);
+  }
+
+  /**
+   * Elements in an added or removed subtree
+   */
+  nodeSize(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return 0;
+    return 1 + node.getElementsByTagName('*').length;
+  }
+
+  /**
+   * Route identity: URL without tracking parameters or in-page anchors, with the
+   * query sorted, so "/watch?v=A" -> "?v=B" is a new page but a utm_ tag is not.
+   * Hash routes (#/inbox, #!/inbox) count as routes. Filter and sort changes
+   * usually go through replaceState, which history-hook.js does not report.
+   */
+  getRouteUrl() {
+    const { origin, pathname, search, hash } = window.location;
+    const params = [...new URLSearchParams(search).entries()]
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+    const routeHash = /^#!?\//.test(hash) ? hash : '';
+    return origin + pathname + (query ? `?${query}` : '') + routeHash;
+  }
+
+  /**
+   * What the user would call "the page": its title (minus unread counts) and main heading
+   */
+  getSignature() {
+    const title = (document.title || '').replace(/^\(\d+\+?\)\s*/, '');
+    const h1 = document.querySelector('h1');
+    return `${title}|${h1 ? h1.textContent.trim().substring(0, 100) : ''}`;
+  }
+
+  resetBaseline() {
+    this.lastUrl = this.getRouteUrl();
+    this.lastSignature = this.getSignature();
+    this.addedVolume = 0;
+    this.removedVolume = 0;
+    this.baselineSize = document.body ? document.body.getElementsByTagName('*').length : 0;
+  }
+
+  /**
+   * Decide whether the settled DOM is a new page
+   */
+  evaluate() {
+    const url = this.getRouteUrl();
+    // Only a navigation event makes a new URL a new page; replaceState (filters,
+    // sorting) changes the URL too but is noticed only through DOM mutations
+    const urlChanged = this.navigated && url !== this.lastUrl;
+    this.navigated = false;
+
+    // Major replacement: a large share of the page both removed and added,
+    // so infinite feeds that only append do not count
+    const threshold = Math.max(150, this.baselineSize * 0.4);
+    const replaced = this.addedVolume >= threshold && this.removedVolume >= threshold * 0.5;
+    const signatureChanged = this.getSignature() !== this.lastSignature;
+
+    const reason = urlChanged ? 'navigation' : (replaced && signatureChanged ? 'content' : null);
+
+    if (!reason) {
+      // Changes within one settle window are judged together, not accumulated forever
+      this.addedVolume = 0;
+      this.removedVolume = 0;
+      this.lastUrl = url;
+      return;
+    }
+
+    this.resetBaseline();
+    if (this.onChange) {
+      this.onChange({ reason, url: window.location.href });
+    }
+  }
+}
+
+window.routeTracker = new RouteTracker();
@@ -0,0 +1,361 @@
+/**
+ * Table navigator - data tables and ARIA grids as a cell grid with a cursor,
+ * announcing each cell with its headers and position the way screen readers do
+ */
+
+const TABLE_SELECTOR = 'table, [role="table"], [role="grid"], [role="treegrid"]';
+const TABLE_CELL_ROLES = ['cell', 'gridcell', 'columnheader', 'rowheader'];
+const TABLE_CELL_MAX_LENGTH = 150;
+
+class TableNavigator {
+  constructor() {
+    this.tables = [];
+    // Selected table: { element, name, grid, rows, columns, headerRows }
+    this.current = null;
+    this.row = 0;
+    this.column = 0;
+  }
+
+  /**
+   * Data tables on the page, skipping layout tables
+   * @returns {Array<{element: Element, name: string}>}
+   */
+  refresh() {
+    this.tables = window.elementIndex.queryAll(TABLE_SELECTOR)
+      .filter(el => window.elementIndex.isVisible(el) && this.isDataTable(el))
+      .map((el, i) => ({ element: el, name: this.getName(el, i) }));
+    return this.tables;
+  }
+
+  /**
+   * Layout tables (role="presentation", a single row or column, no headers and nested tables) are not announced
+   */
+  isDataTable(el) {
+    const role = el.getAttribute('role');
+    if (role === 'presentation' || role === 'none') return false;
+    if (el.tagName !== 'TABLE') return true;
+    if (el.caption || el.tHead || el.querySelector('th, [scope]')) return true;
+
+    const rows = el.rows.length;
+    const columns = rows > 0 ? el.rows[0].cells.length : 0;
+    return rows >= 2 && columns >= 2 && !el.querySelector('table');
+  }
+
+  /**
+   * Caption, ARIA name, summary or the closest heading above the table
+   */
+  getName(el, i) {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    const label = (labelledBy && labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ')) ||
+      el.getAttribute('aria-label') ||
+      (el.caption && el.caption.textContent) ||
+      el.getAttribute('summary') ||
+      window.pageOutline.headingBefore(el)?.text ||
+      '';
+    return this.clean(label) || `Table ${i + 1}`;
+  }
+
+  clean(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Spoken list of tables with their size
+   */
+  describeTables() {
+    return this.refresh().map((table, i) => {
+      const { rows, columns } = this.buildGrid(table.element);
+      return `${i + 1}: ${table.name}, ${rows} rows, ${columns} columns`;
+    });
+  }
+
+  /**
+   * Rows of cells for an HTML table or an ARIA table/grid
+   * @returns {Array<Array<Element>>}
+   */
+  getRows(table) {
+    if (table.tagName === 'TABLE') {
+      // table.rows covers thead, tbody and tfoot but not nested tables
+      return Array.from(table.rows).map(row => Array.from(row.cells));
+    }
+
+    return Array.from(table.querySelectorAll('[role="row"]'))
+      .filter(row => row.closest(TABLE_SELECTOR) === table)
+      .map(row => Array.from(row.querySelectorAll(TABLE_CELL_ROLES.map(r => `[role="${r}"]`).join(', ')))
+        .filter(cell => cell.closest('[role="row"]') === row));
+  }
+
+  /**
+   * Lay cells out on a grid, repeating spanned cells in every slot they cover
+   * @returns {{grid: Array<Array<Element|null>>, rows: number, columns: number}}
+   */
+  buildGrid(table) {
+    const grid = [];
+
+    this.getRows(table).forEach((cells, r) => {
+      grid[r] = grid[r] || [];
+      let c = 0;
+
+      cells.forEach(cell => {
+        while (grid[r][c]) c++;
+
+        const rowSpan = this.getSpan(cell, 'rowspan');
+        const colSpan = this.getSpan(cell, 'colspan');
+        for (let dr = 0; dr < rowSpan; dr++) {
+          grid[r + dr] = grid[r + dr] || [];
+          for (let dc = 0; dc < colSpan; dc++) {
+            grid[r + dr][c + dc] = cell;
+          }
+        }
+        c += colSpan;
+      });
+    });
+
+    const columns = Math.max(0, ...grid.map(row => row.length));
+    const rows = grid.filter(row => row && row.length > 0);
+    rows.forEach(row => {
+      for (let c = 0; c < columns; c++) row[c] = row[c] || null;
+    });
+
+    return { grid: rows, rows: rows.length, columns };
+  }
+
+  getSpan(cell, name) {
+    // rowspan="0" spans to the end of the section; treat it as one row
+    const value = parseInt(cell.getAttribute(name) || cell.getAttribute(`aria-${name}`) || '1', 10);
+    return value > 0 ? Math.min(value, 1000) : 1;
+  }
+
+  isHeader(cell) {
+    if (!cell) return false;
+    const role = cell.getAttribute('role');
+    return cell.tagName === 'TH' || role === 'columnheader' || role === 'rowheader';
+  }
+
+  /**
+   * Whether a header cell labels its column (rather than its row)
+   */
+  isColumnHeader(cell, r) {
+    if (!this.isHeader(cell)) return false;
+    const scope = cell.getAttribute('scope');
+    const role = cell.getAttribute('role');
+    if (role === 'columnheader' || scope === 'col' || scope === 'colgroup') return true;
+    if (role === 'rowheader' || scope === 'row' || scope === 'rowgroup') return false;
+    if (cell.closest('thead')) return true;
+
+    // Without a scope, a row made only of headers is a header row
+    const row = this.current.grid[r];
+    return row.every(other => !other || this.isHeader(other));
+  }
+
+  isRowHeader(cell, r) {
+    return this.isHeader(cell) && !this.isColumnHeader(cell, r);
+  }
+
+  /**
+   * Select a table by its 1-based number and put the cursor on its first data cell
+   * @returns {string|null} - Announcement, or null when there is no such table
+   */
+  select(number) {
+    this.refresh();
+    const table = this.tables[number - 1];
+    if (!table) return null;
+
+    const { grid, rows, columns } = this.buildGrid(table.element);
+    if (rows === 0 || columns === 0) return `${table.name} is empty.`;
+    this.current = { element: table.element, name: table.name, grid, rows, columns };
+
+    // Leading rows made only of column headers
+    let headerRows = 0;
+    while (headerRows < rows && grid[headerRows].every(cell => !cell || this.isColumnHeader(cell, headerRows))) {
+      headerRows++;
+    }
+    this.current.headerRows = headerRows;
+    this.row = Math.min(headerRows, rows - 1);
+    // Start on the first data cell, after any row headers
+    this.column = Math.max(0, grid[this.row].findIndex(cell => cell && !this.isHeader(cell)));
+
+    const headers = this.getColumnNames();
+    const intro = `${table.name}. ${rows} rows, ${columns} columns.` +
+      (headers.length > 0 ? ` Columns: ${headers.join(', ')}.` : '');
+    return `${intro} ${this.describeCell(true, true)}`;
+  }
+
+  /**
+   * Select the only table on the page, or the one the user last focused, when none is selected
+   */
+  ensureTable() {
+    if (this.current && this.current.element.isConnected) return true;
+
+    this.refresh();
+    const focused = document.activeElement && document.activeElement.closest(TABLE_SELECTOR);
+    const index = this.tables.findIndex(table => table.element === focused);
+    if (index >= 0) this.select(index + 1);
+    else if (this.tables.length === 1) this.select(1);
+    return !!this.current;
+  }
+
+  get cell() {
+    return this.current ? this.current.grid[this.row][this.column] : null;
+  }
+
+  cellText(cell) {
+    const text = cell ? this.clean(cell.innerText || cell.textContent) : '';
+    if (!text) {
+      const control = cell && cell.querySelector('input, select, textarea');
+      if (control && control.type === 'checkbox') return control.checked ? 'checked' : 'not checked';
+      if (control) return control.value || 'blank';
+      return 'blank';
+    }
+    return text.length > TABLE_CELL_MAX_LENGTH ? text.substring(0, TABLE_CELL_MAX_LENGTH) + '...' : text;
+  }
+
+  /**
+   * Headers named by a cell's headers="id id" attribute
+   */
+  explicitHeaders(cell) {
+    const ids = cell && cell.getAttribute('headers');
+    if (!ids) return null;
+    return ids.split(/\s+/).map(id => document.getElementById(id)).filter(Boolean).map(header => this.cellText(header));
+  }
+
+  /**
+   * Column headers above a slot, outermost first
+   */
+  columnHeadersAt(r, c) {
+    const headers = [];
+    for (let row = 0; row < r; row++) {
+      const cell = this.current.grid[row][c];
+      if (cell && this.isColumnHeader(cell, row) && !headers.includes(cell)) headers.push(cell);
+    }
+    return headers.map(cell => this.cellText(cell));
+  }
+
+  /**
+   * Row headers to the left of a slot
+   */
+  rowHeadersAt(r, c) {
+    const headers = [];
+    for (let column = 0; column < c; column++) {
+      const cell = this.current.grid[r][column];
+      if (cell && this.isRowHeader(cell, r) && !headers.includes(cell)) headers.push(cell);
+    }
+    return headers.map(cell => this.cellText(cell));
+  }
+
+  getColumnNames() {
+    const last = this.current.headerRows - 1;
+    if (last < 0) return [];
+    return [...new Set(this.current.grid[last].filter(Boolean))]
+      .filter(cell => this.clean(cell.textContent))
+      .map(cell => this.cellText(cell));
+  }
+
+  /**
+   * "Price, Widget: $5. Row 3 of 10, column 2 of 4" - headers are only repeated when they change
+   */
+  describeCell(rowChanged, columnChanged) {
+    const cell = this.cell;
+    const explicit = this.explicitHeaders(cell);
+    const headers = [];
+
+    if (explicit) {
+      headers.push(...explicit);
+    } else if (!this.isHeader(cell)) {
+      if (rowChanged) headers.push(...this.rowHeadersAt(this.row, this.column));
+      if (columnChanged) headers.push(...this.columnHeadersAt(this.row, this.column));
+    }
+
+    const text = this.cellText(cell);
+    const label = headers.length > 0 ? `${headers.join(', ')}: ${text}` : text;
+    return `${label}. Row ${this.row + 1} of ${this.current.rows}, column ${this.column + 1} of ${this.current.columns}.`;
+  }
+
+  /**
+   * Move the cursor, skipping slots covered by the same spanned cell
+   * @returns {string} - Announcement, or where the table ends
+   */
+  move(rowStep, columnStep) {
+    const start = this.cell;
+    let row = this.row;
+    let column = this.column;
+
+    do {
+      row += rowStep;
+      column += columnStep;
+      if (row < 0 || row >= this.current.rows || column < 0 || column >= this.current.columns) {
+        if (rowStep > 0) return 'End of column.';
+        if (rowStep < 0) return 'Top of column.';
+        return columnStep > 0 ? 'End of row.' : 'Start of row.';
+      }
+    } while (this.current.grid[row][column] === start);
+
+    this.row = row;
+    this.column = column;
+    return this.describeCell(rowStep !== 0, columnStep !== 0);
+  }
+
+  readRowHeader() {
+    const headers = this.rowHeadersAt(this.row, this.current.columns);
+    if (headers.length > 0) return `Row ${this.row + 1}: ${headers.join(', ')}.`;
+    return `Row ${this.row + 1} has no header. It starts with ${this.cellText(this.current.grid[this.row][0])}.`;
+  }
+
+  readColumnHeader() {
+    const headers = this.columnHeadersAt(this.current.rows, this.column);
+    return headers.length > 0
+      ? `Column ${this.column + 1}: ${headers.join(', ')}.`
+      : `Column ${this.column + 1} has no header.`;
+  }
+
+  /**
+   * Every cell in the current row, each with its column header
+   */
+  readRow() {
+    const seen = new Set();
+    const parts = this.current.grid[this.row]
+      .map((cell, c) => {
+        if (!cell || seen.has(cell)) return null;
+        seen.add(cell);
+        const header = this.columnHeadersAt(this.row, c).join(', ');
+        return header && !this.isHeader(cell) ? `${header}: ${this.cellText(cell)}` : this.cellText(cell);
+      })
+      .filter(Boolean);
+    return `Row ${this.row + 1}. ${parts.join('; ')}.`;
+  }
+
+  /**
+   * Read one column by header name, each value with its row header, and move the cursor there
+   * @returns {string|null} - null when no column has that name
+   */
+  readColumn(name) {
+    const wanted = this.clean(name).toLowerCase().replace(/^["'“]|["'”]$/g, '');
+    const column = [...Array(this.current.columns).keys()]
+      .map(c => ({ c, header: this.columnHeadersAt(this.current.rows, c).join(' ').toLowerCase() }))
+      .sort((a, b) => (b.header === wanted) - (a.header === wanted))
+      .find(({ header }) => header && (header === wanted || header.includes(wanted)));
+    if (!column) return null;
+
+    this.column = column.c;
+    this.row = Math.min(this.current.headerRows, this.current.rows - 1);
+
+    const values = [];
+    const seen = new Set();
+    for (let r = this.current.headerRows; r < this.current.rows; r++) {
+      const cell = this.current.grid[r][column.c];
+      if (!cell || seen.has(cell)) continue;
+      seen.add(cell);
+      const rowHeader = this.rowHeadersAt(r, column.c).join(', ');
+      values.push(rowHeader ? `${rowHeader}: ${this.cellText(cell)}` : this.cellText(cell));
+    }
+
+    const header = this.columnHeadersAt(this.current.rows, column.c).join(', ');
+    return `${header} column, ${values.length} values. ${values.join('; ')}.`;
+  }
+
+  exit() {
+    this.current = null;
+  }
+}
+
+window.tableNavigator = new TableNavigator();
@@ -12,13 +12,34 @@ const speechRateValue = document.getElementById('speechRateValue');
 const languageSelect = document.getElementById('language');
 const highlightColorInput = document.getElementById('highlightColor');
 const autoSummaryCheckbox = document.getElementById('autoSummary');
+const actionContextCheckbox = document.getElementById('actionContext');
 const backendUrlInput = document.getElementById('backendUrl');
 const connectionStatus = document.getElementById('connectionStatus');
 const connectionText = document.getElementById('connectionText');
+const liveRegionVerbositySelect = document.getElementById('liveRegionVerbosity');
+const muteSiteCheckbox = document.getElementById('muteSite');
+const siteName = document.getElementById('siteName');
+const riskyActionPolicySelect = document.getElementById('riskyActionPolicy');
+const riskySiteName = document.getElementById('riskySiteName');
+const riskySiteList = document.getElementById('riskySiteList');
+const actionLogList = document.getElementById('actionLog');
+const runAuditBtn = document.getElementById('runAuditBtn');
+const exportAuditMdBtn = document.getElementById('exportAuditMdBtn');
+const exportAuditJsonBtn = document.getElementById('exportAuditJsonBtn');
+const auditReport = document.getElementById('auditReport');
+const searchEngineSelect = document.getElementById('searchEngine');
+const siteShortcutsInput = document.getElementById('siteShortcuts');
+
+// Latest audit of the active tab, kept for export
+let lastAuditReport = null;
+
+// Entries shown in the popup, newest first
+const ACTION_LOG_SHOWN = 15;
 
 // Load settings on popup open
 document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
+  await loadActionLog();
   await checkBackendConnection();
   setupEventListeners();
 });
@@ -33,7 +54,13 @@ async function loadSettings() {
     'language',
     'highlightColor',
     'autoSummary',
-    'backendUrl'
+    'actionContext',
+    'backendUrl',
+    'liveRegionVerbosity',
+    'liveRegionMutedSites',
+    'riskyActionSites',
+    'searchEngine',
+    'siteShortcuts'
   ]);
 
   // Apply settings to UI
@@ -47,7 +74,256 @@ async function loadSettings() {
   highlightColorInput.value = settings.highlightColor || '#FFD700';
   updateColorHex(highlightColorInput.value);
   autoSummaryCheckbox.checked = settings.autoSummary !== false;
+  actionContextCheckbox.checked = settings.actionContext === true;
   backendUrlInput.value = settings.backendUrl || 'http://localhost:3000';
+
+  liveRegionVerbositySelect.value = settings.liveRegionVerbosity || 'all';
+  const hostname = await getActiveHostname();
+  if (hostname) {
+    siteName.textContent = hostname;
+    muteSiteCheckbox.checked = (settings.liveRegionMutedSites || []).includes(hostname);
+  } else {
+    muteSiteCheckbox.disabled = true;
+  }
+
+  if (hostname) {
+    riskySiteName.textContent = hostname;
+    riskyActionPolicySelect.value = (settings.riskyActionSites || {})[hostname] || 'ask';
+  } else {
+    riskyActionPolicySelect.disabled = true;
+  }
+  renderRiskySites(settings.riskyActionSites || {});
+
+  searchEngineSelect.value = settings.searchEngine || 'google';
+  siteShortcutsInput.value = formatSiteShortcuts(settings.siteShortcuts || {});
+}
+
+/**
+ * Shortcuts as "name = address" lines for editing
+ */
+function formatSiteShortcuts(shortcuts) {
+  return Object.entries(shortcuts).map(([name, url]) => `${name} = ${url}`).join('\n');
+}
+
+/**
+ * Read "name = address" lines back into a shortcut map, skipping lines that are not valid
+ */
+function parseSiteShortcuts(text) {
+  const shortcuts = {};
+  text.split('\n').forEach(line => {
+    const match = line.match(/^\s*(.+?)\s*=\s*(\S+)\s*$/);
+    if (!match) return;
+    const url = /^https?:\/\//i.test(match[2]) ? match[2] : `https://${match[2]}`;
+    shortcuts[match[1].toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()] = url;
+  });
+  return shortcuts;
+}
+
+/**
+ * List every site with an allow or block rule, each with a remove button
+ */
+function renderRiskySites(sites) {
+  riskySiteList.textContent = '';
+
+  Object.entries(sites).sort(([a], [b]) => a.localeCompare(b)).forEach(([hostname, policy]) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${hostname} · ${policy === 'allow' ? 'Allowed' : 'Blocked'}`;
+
+    const remove = document.createElement('button');
+    remove.className = 'remove-site';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove rule for ${hostname}`);
+    remove.addEventListener('click', () => setRiskyActionPolicy(hostname, 'ask'));
+
+    item.append(label, remove);
+    riskySiteList.appendChild(item);
+  });
+}
+
+/**
+ * Save a site's rule for risky actions ('ask' removes it)
+ */
+async function setRiskyActionPolicy(hostname, policy) {
+  const { riskyActionSites = {} } = await chrome.storage.sync.get('riskyActionSites');
+  const sites = { ...riskyActionSites };
+  if (policy === 'ask') {
+    delete sites[hostname];
+  } else {
+    sites[hostname] = policy;
+  }
+
+  await chrome.storage.sync.set({ riskyActionSites: sites });
+  renderRiskySites(sites);
+
+  if (hostname === riskySiteName.textContent) {
+    riskyActionPolicySelect.value = policy;
+  }
+  notifyContentScripts();
+}
+
+/**
+ * Show the active tab's most recent assistant actions
+ */
+async function loadActionLog() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const response = tab ? await chrome.runtime.sendMessage({ action: 'getActionLog', tabId: tab.id }) : null;
+  const log = (response && response.log) || [];
+
+  actionLogList.textContent = '';
+
+  if (log.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'No actions on this tab yet.';
+    actionLogList.appendChild(empty);
+    return;
+  }
+
+  log.slice(-ACTION_LOG_SHOWN).reverse().forEach(entry => {
+    const item = document.createElement('li');
+    const time = document.createElement('span');
+    time.className = 'log-time';
+    time.textContent = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const text = document.createElement('span');
+    text.textContent = entry.text;
+    if (entry.undone) text.className = 'undone';
+
+    item.append(time, text);
+    actionLogList.appendChild(item);
+  });
+}
+
+/**
+ * Audit the active tab and show the report
+ */
+async function runAudit() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  auditReport.textContent = '';
+  runAuditBtn.disabled = true;
+  runAuditBtn.textContent = 'Checking...';
+
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'runAudit' });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response from page');
+    }
+    lastAuditReport = response.report;
+    renderAuditReport(response.report);
+  } catch (error) {
+    console.error('Accessibility audit error:', error);
+    lastAuditReport = null;
+    const message = document.createElement('div');
+    message.className = 'audit-score';
+    message.textContent = 'This page cannot be checked.';
+    auditReport.appendChild(message);
+  } finally {
+    runAuditBtn.disabled = false;
+    runAuditBtn.textContent = 'Check this page';
+    exportAuditMdBtn.disabled = !lastAuditReport;
+    exportAuditJsonBtn.disabled = !lastAuditReport;
+  }
+}
+
+/**
+ * Score line, then one expandable entry per issue with its WCAG criteria and examples
+ */
+function renderAuditReport(report) {
+  const score = document.createElement('div');
+  score.className = `audit-score ${report.verdict.replace(' ', '-')}`;
+  score.textContent = `Score ${report.score}/100 · ${report.verdict} · ${report.issues.length} issue types`;
+  auditReport.appendChild(score);
+
+  report.issues.forEach(issue => {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `${issue.message.charAt(0).toUpperCase()}${issue.message.slice(1)} (${issue.severity})`;
+
+    const wcag = document.createElement('div');
+    wcag.className = 'wcag';
+    wcag.textContent = issue.wcag.map(c => `WCAG ${c.id} ${c.name} (${c.level})`).join(' · ');
+
+    details.append(summary, wcag);
+    issue.examples.forEach(example => {
+      const code = document.createElement('code');
+      code.textContent = example.contrast ? `${example.selector} · ratio ${example.contrast}:1` : example.selector;
+      code.title = example.snippet;
+      details.appendChild(code);
+    });
+
+    auditReport.appendChild(details);
+  });
+}
+
+/**
+ * Audit report as Markdown, for sharing with site owners
+ */
+function formatAuditMarkdown(report) {
+  const lines = [
+    `# Accessibility report: ${report.title || report.url}`,
+    '',
+    `- URL: ${report.url}`,
+    `- Checked: ${new Date(report.date).toLocaleString()}`,
+    `- Score: ${report.score}/100 (${report.verdict})`,
+    ''
+  ];
+
+  report.issues.forEach(issue => {
+    lines.push(`## ${issue.message} (${issue.severity})`, '');
+    lines.push(`WCAG: ${issue.wcag.map(c => `${c.id} ${c.name} (Level ${c.level})`).join(', ')}`, '');
+    issue.examples.forEach(example => {
+      const contrast = example.contrast ? ` — contrast ${example.contrast}:1` : '';
+      lines.push(`- \`${example.selector}\`${contrast}: \`${example.snippet.replace(/`/g, "'")}\``);
+    });
+    if (issue.count > issue.examples.length) {
+      lines.push(`- …and ${issue.count - issue.examples.length} more`);
+    }
+    lines.push('');
+  });
+
+  if (report.passed.length > 0) {
+    lines.push(`Passed checks: ${report.passed.join(', ')}`, '');
+  }
+  lines.push('Automatic checks find only some barriers; test with a keyboard and screen reader as well.');
+  return lines.join('\n');
+}
+
+/**
+ * Save the latest report as a file
+ */
+function exportAuditReport(format) {
+  if (!lastAuditReport) return;
+
+  const markdown = format === 'markdown';
+  const content = markdown ? formatAuditMarkdown(lastAuditReport) : JSON.stringify(lastAuditReport, null, 2);
+  const blob = new Blob([content], { type: markdown ? 'text/markdown' : 'application/json' });
+
+  let host = 'page';
+  try {
+    host = new URL(lastAuditReport.url).hostname || host;
+  } catch (e) {
+    // Keep the generic name
+  }
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `accessibility-report-${host}.${markdown ? 'md' : 'json'}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Hostname of the active tab, or null for pages without one (chrome://, new tab)
+ */
+async function getActiveHostname() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  try {
+    const url = new URL(tab.url);
+    return url.protocol.startsWith('http') ? url.hostname : null;
+  } catch (e) {
+    return null;
+  }
 }
 
 /**
@@ -119,6 +395,52 @@ function setupEventListeners() {
     notifyContentScripts();
   });
 
+  // Position read-back after voice actions
+  actionContextCheckbox.addEventListener('change', async (e) => {
+    await chrome.storage.sync.set({ actionContext: e.target.checked });
+    notifyContentScripts();
+  });
+
+  // Live region announcements
+  liveRegionVerbositySelect.addEventListener('change', async (e) => {
+    await chrome.storage.sync.set({ liveRegionVerbosity: e.target.value });
+    notifyContentScripts();
+  });
+
+  muteSiteCheckbox.addEventListener('change', async (e) => {
+    const hostname = await getActiveHostname();
+    if (!hostname) return;
+
+    const { liveRegionMutedSites = [] } = await chrome.storage.sync.get('liveRegionMutedSites');
+    const sites = liveRegionMutedSites.filter(site => site !== hostname);
+    if (e.target.checked) sites.push(hostname);
+
+    await chrome.storage.sync.set({ liveRegionMutedSites: sites });
+    notifyContentScripts();
+  });
+
+  // Risky action confirmation rule for the current site
+  riskyActionPolicySelect.addEventListener('change', async (e) => {
+    const hostname = await getActiveHostname();
+    if (hostname) await setRiskyActionPolicy(hostname, e.target.value);
+  });
+
+  // Accessibility audit
+  runAuditBtn.addEventListener('click', runAudit);
+  exportAuditMdBtn.addEventListener('click', () => exportAuditReport('markdown'));
+  exportAuditJsonBtn.addEventListener('click', () => exportAuditReport('json'));
+
+  // Web search and site names, read by the background worker when opening sites
+  searchEngineSelect.addEventListener('change', async (e) => {
+    await chrome.storage.sync.set({ searchEngine: e.target.value });
+  });
+
+  siteShortcutsInput.addEventListener('change', async (e) => {
+    const shortcuts = parseSiteShortcuts(e.target.value);
+    await chrome.storage.sync.set({ siteShortcuts: shortcuts });
+    siteShortcutsInput.value = formatSiteShortcuts(shortcuts);
+  });
+
   // Backend URL
   backendUrlInput.addEventListener('change', async (e) => {
     const url = e.target.value.trim();
@@ -156,6 +478,7 @@ function updateColorHex(value) {
 function updateButtonStates(enabled) {
   summarizeBtn.disabled = !enabled;
   voiceCommandBtn.disabled = !enabled;
+  runAuditBtn.disabled = !enabled;
 }
 
 /**
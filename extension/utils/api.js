@@ -5,51 +5,266 @@
 class APIClient {
   constructor() {
     this.backendUrl = 'http://localhost:3000';
+    // Names this user's session on the server, so follow-ups like "click it again" resolve
+    this.userId = null;
     this.init();
   }
 
   async init() {
-    const settings = await chrome.storage.sync.get(['backendUrl']);
+    const settings = await chrome.storage.sync.get(['backendUrl', 'userId']);
     if (settings.backendUrl) {
       this.backendUrl = settings.backendUrl;
     }
+    this.userId = settings.userId || null;
   }
 
-  async analyzePage(pageContent, pageTitle, elements = []) {
+  async analyzePage(pageContent, pageTitle, elements = [], pageUrl = window.location.href) {
     try {
       const response = await fetch(`${this.backendUrl}/api/analyze-page`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ pageContent, pageTitle, elements })
+        body: JSON.stringify({ pageContent, pageTitle, pageUrl, elements, userId: this.userId })
       });
 
       const data = await response.json();
       if (!data.success) throw new Error(data.error || 'Failed to analyze page');
 
-      return { summary: data.summary, audio: data.audio, audioFormat: data.audioFormat };
+      return { summary: data.summary, audio: data.audio, audioFormat: data.audioFormat, cached: data.cached };
     } catch (error) {
       console.error('API Error - analyzePage:', error);
       throw error;
     }
   }
 
+  /**
+   * Stream a page summary, handing each complete sentence to onSentence as soon as it arrives
+   * @param {object} options - { onSentence, signal, pageUrl }; aborting signal cancels the server request
+   * @returns {Promise<{summary: string, cached: boolean, usedFallback: boolean}>}
+   */
+  async streamSummary(pageContent, pageTitle, elements = [], options = {}) {
+    const { onSentence = () => {}, signal, pageUrl = window.location.href } = options;
+
+    try {
+      const response = await fetch(`${this.backendUrl}/api/analyze-page/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pageContent, pageTitle, pageUrl, elements, userId: this.userId }),
+        signal
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to stream summary');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let pending = '';
+      let result = null;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const raw of events) {
+          const event = this.parseServerEvent(raw);
+          if (!event) continue;
+
+          if (event.name === 'chunk') {
+            pending += event.data.text;
+            const { sentences, rest } = this.takeSentences(pending);
+            sentences.forEach(onSentence);
+            pending = rest;
+          } else if (event.name === 'done') {
+            result = event.data;
+          } else if (event.name === 'error') {
+            throw new Error(event.data.error || 'Failed to stream summary');
+          }
+        }
+      }
+
+      if (pending.trim()) onSentence(pending.trim());
+      if (!result) throw new Error('Summary stream ended early');
+
+      return { summary: result.summary, cached: result.cached, usedFallback: result.usedFallback };
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('API Error - streamSummary:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse one server-sent event block ("event: x" and "data: {...}" lines)
+   */
+  parseServerEvent(raw) {
+    let name = 'message';
+    let data = '';
+    raw.split('\n').forEach(line => {
+      if (line.startsWith('event:')) name = line.slice(6).trim();
+      if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    if (!data) return null;
+
+    try {
+      return { name, data: JSON.parse(data) };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Split finished sentences off the front of streamed text
+   * @returns {{sentences: Array<string>, rest: string}}
+   */
+  takeSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?]+["')\]]*\s+/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+      const sentence = text.substring(start, match.index + match[0].length).trim();
+      if (sentence) sentences.push(sentence);
+      start = match.index + match[0].length;
+    }
+
+    return { sentences, rest: text.substring(start) };
+  }
+
+  /**
+   * @param {object} image - { imageUrl, hints, kind: 'image' | 'icon' }
+   * @returns {Promise<{description: string|null, usedFallback: boolean}>} - description is null
+   *   when the image could not be described
+   */
+  async describeImage(image) {
+    try {
+      const response = await fetch(`${this.backendUrl}/api/describe-image`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(image)
+      });
+
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to describe image');
+
+      return { description: data.description, usedFallback: !!data.usedFallback };
+    } catch (error) {
+      console.error('API Error - describeImage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask a question about the page
+   * @param {Array<{id: number, text: string}>} chunks - The page text, in order
+   * @returns {Promise<{found: boolean, answer: string, evidence: Array<{chunkId: number, quote: string}>}>}
+   */
+  async askPage(question, chunks, pageTitle, pageUrl = window.location.href) {
+    try {
+      const response = await fetch(`${this.backendUrl}/api/ask-page`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question, chunks, pageTitle, pageUrl })
+      });
+
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to answer question');
+
+      return { found: data.found, answer: data.answer, evidence: data.evidence || [] };
+    } catch (error) {
+      console.error('API Error - askPage:', error);
+      throw error;
+    }
+  }
+
   async findElement(command, elements) {
     try {
       const response = await fetch(`${this.backendUrl}/api/find-element`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ command, elements })
+        body: JSON.stringify({ command, elements, userId: this.userId, pageUrl: window.location.href, pageTitle: document.title })
       });
 
       const data = await response.json();
       if (!data.success) throw new Error(data.error || 'Failed to find element');
 
-      return { found: data.found, element: data.element, elementIndex: data.elementIndex, message: data.message };
+      return {
+        found: data.found,
+        element: data.element,
+        elementIndex: data.elementIndex,
+        value: data.value,
+        candidates: data.candidates || [],
+        message: data.message
+      };
     } catch (error) {
       console.error('API Error - findElement:', error);
       throw error;
     }
   }
+
+  async planActions(command, elements) {
+    try {
+      const response = await fetch(`${this.backendUrl}/api/plan-actions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ command, elements, userId: this.userId, pageUrl: window.location.href })
+      });
+
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to plan actions');
+
+      return { steps: data.steps, message: data.message };
+    } catch (error) {
+      console.error('API Error - planActions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the server which candidate the user picked for their last command
+   */
+  async recordChoice(element, elementIndex) {
+    if (!this.userId) return;
+
+    try {
+      await fetch(`${this.backendUrl}/api/session/choice`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId: this.userId, element, elementIndex })
+      });
+    } catch (error) {
+      console.error('API Error - recordChoice:', error);
+    }
+  }
+
+  /**
+   * Drop the commands and summaries the server remembers for this user
+   * @returns {Promise<boolean>} - Whether there was anything to forget
+   */
+  async forgetSession() {
+    try {
+      const response = await fetch(`${this.backendUrl}/api/session/forget`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId: this.userId })
+      });
+
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to forget session');
+
+      return data.forgotten;
+    } catch (error) {
+      console.error('API Error - forgetSession:', error);
+      throw error;
+    }
+  }
 }
 
 window.apiClient = new APIClient();
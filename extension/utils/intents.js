@@ -0,0 +1,447 @@
+/**
+ * Local intent parser - recognizes fixed navigation and control commands
+ * so they run instantly without calling the backend
+ */
+
+class IntentParser {
+  constructor() {
+    this.intents = [
+      {
+        name: 'scrollDown',
+        patterns: [/^(?:scroll|page|move) down$/, /^scroll$/],
+        help: 'scroll down'
+      },
+      {
+        name: 'scrollUp',
+        patterns: [/^(?:scroll|page|move) up$/],
+        help: 'scroll up'
+      },
+      {
+        name: 'scrollTop',
+        patterns: [/^(?:scroll |go )?(?:to )?(?:the )?top(?: of (?:the )?page)?$/],
+        help: 'go to top'
+      },
+      {
+        name: 'scrollBottom',
+        patterns: [/^(?:scroll |go )?(?:to )?(?:the )?bottom(?: of (?:the )?page)?$/],
+        help: 'go to bottom'
+      },
+      {
+        name: 'goBack',
+        patterns: [/^(?:go )?back$/, /^previous page$/, /^go to (?:the )?previous page$/],
+        help: 'go back'
+      },
+      {
+        name: 'goForward',
+        patterns: [/^(?:go )?forward$/],
+        help: 'go forward'
+      },
+      {
+        name: 'reload',
+        patterns: [/^(?:reload|refresh)(?: (?:the |this )?page)?$/],
+        help: 'reload'
+      },
+      {
+        name: 'stop',
+        patterns: [/^(?:stop|quiet|silence|shut up|be quiet|stop talking|cancel)$/],
+        help: 'stop'
+      },
+      {
+        name: 'readAgain',
+        patterns: [/^(?:read|say) (?:that |it )?again$/, /^repeat(?: that| the summary)?$/, /^(?:read|summarize) (?:the |this )?(?:page )?summary$/, /^summarize(?: (?:the |this )?page)?$/],
+        help: 'read again'
+      },
+      {
+        name: 'whatPage',
+        patterns: [/^what page is this$/, /^what(?:'s| is) (?:this|the) page(?: called)?$/, /^page title$/],
+        help: 'what page is this'
+      },
+      {
+        name: 'whereAmI',
+        patterns: [/^where am i$/, /^where am i on (?:the |this )?page$/, /^what(?:'s| is) on (?:the |my )?screen$/],
+        help: 'where am I'
+      },
+      {
+        name: 'nextHeading',
+        patterns: [/^next heading$/, /^heading$/],
+        help: 'next heading'
+      },
+      {
+        name: 'previousHeading',
+        patterns: [/^(?:previous|last) heading$/],
+        help: 'previous heading'
+      },
+      {
+        name: 'headingLevel',
+        patterns: [/^(?:(next|previous) )?heading level (\d|one|two|three|four|five|six)$/, /^(?:(next|previous) )?level (\d|one|two|three|four|five|six) heading$/],
+        help: 'heading level 2'
+      },
+      {
+        name: 'listHeadings',
+        patterns: [/^(?:list|read) (?:the |all )?headings$/],
+        help: 'list headings'
+      },
+      {
+        name: 'nextLandmark',
+        patterns: [/^next (?:landmark|region)$/],
+        help: 'next landmark'
+      },
+      {
+        name: 'previousLandmark',
+        patterns: [/^(?:previous|last) (?:landmark|region)$/],
+        help: 'previous landmark'
+      },
+      {
+        name: 'listLandmarks',
+        patterns: [/^(?:list|read) (?:the |all )?(?:landmarks|regions)$/],
+        help: 'list landmarks'
+      },
+      {
+        name: 'goToLandmark',
+        patterns: [/^(?:go|jump|skip|move) to (?:the )?(main content|main|content|navigation|nav|search|header|banner|footer|sidebar|complementary)(?: landmark| region| section)?$/],
+        help: 'go to main content'
+      },
+      {
+        name: 'readPage',
+        patterns: [/^read (?:this |the )?(?:page|article)(?: to me| aloud)?$/, /^(?:start reading|read aloud|read to me|read it to me)$/],
+        help: 'read this page'
+      },
+      {
+        name: 'pauseReading',
+        patterns: [/^pause(?: reading)?$/, /^hold on$/],
+        help: 'pause'
+      },
+      {
+        name: 'resumeReading',
+        patterns: [/^(?:resume|continue|keep reading|continue reading|resume reading|carry on)$/],
+        help: 'resume'
+      },
+      {
+        name: 'nextParagraph',
+        patterns: [/^(?:next|skip(?: to (?:the )?next)?) paragraph$/, /^skip(?: ahead)?$/],
+        help: 'next paragraph'
+      },
+      {
+        name: 'previousParagraph',
+        patterns: [/^(?:previous|last) paragraph$/, /^go back (?:a|one) paragraph$/],
+        help: 'previous paragraph'
+      },
+      {
+        name: 'faster',
+        patterns: [/^(?:read |speak |talk )?faster$/, /^speed up$/],
+        help: 'faster'
+      },
+      {
+        name: 'slower',
+        patterns: [/^(?:read |speak |talk )?slower$/, /^slow down$/],
+        help: 'slower'
+      },
+      {
+        name: 'setSpeed',
+        patterns: [/^(?:set )?(?:reading |speech )?(?:speed|rate) (?:to )?(\d+(?:\.\d+)?)(?: ?x| times)?$/],
+        help: 'speed 1.5'
+      },
+      {
+        name: 'listTables',
+        patterns: [/^(?:list|show) (?:the |all )?tables$/, /^what tables are (?:on )?(?:this|the) page$/],
+        help: 'list tables'
+      },
+      {
+        name: 'readTable',
+        patterns: [/^(?:read|open|go to|select) table (?:number )?(\w+)$/, /^(?:read|open|go to|select) the (\w+) table$/],
+        help: 'read table 2'
+      },
+      {
+        name: 'tableMove',
+        patterns: [/^(next|previous) (row|column)$/, /^(?:go |move )?(up|down|left|right) (?:a |one )?cell$/],
+        help: 'next row, previous column'
+      },
+      {
+        name: 'readRowHeader',
+        patterns: [/^read (?:the )?row header$/, /^which row is this$/],
+        help: 'read row header'
+      },
+      {
+        name: 'readColumnHeader',
+        patterns: [/^read (?:the )?column header$/, /^which column is this$/],
+        help: 'read column header'
+      },
+      {
+        name: 'readColumn',
+        patterns: [/^read (?:the )?column (.+)$/, /^read (?:the )?(.+) column$/],
+        help: 'read column price'
+      },
+      {
+        name: 'readRow',
+        patterns: [/^read (?:the |this )?(?:whole |entire )?row$/],
+        help: 'read row'
+      },
+      {
+        name: 'readCell',
+        patterns: [/^read (?:the |this )?cell$/],
+        help: 'read cell'
+      },
+      {
+        name: 'exitTable',
+        patterns: [/^(?:exit|leave|close) (?:the )?table(?: mode)?$/],
+        help: 'exit table'
+      },
+      {
+        name: 'fillForm',
+        patterns: [/^(?:fill (?:in |out )?|complete )(?:this |the )?form$/, /^help me (?:fill (?:in |out )?|complete )(?:this |the )?form$/],
+        help: 'fill this form'
+      },
+      {
+        name: 'describeForm',
+        patterns: [/^(?:describe|read|summarize) (?:this |the )?form$/, /^what fields are (?:there|on this page|in (?:this|the) form)$/],
+        help: 'describe this form'
+      },
+      {
+        name: 'formErrors',
+        patterns: [/^(?:read |list )?(?:the )?form errors$/, /^what(?:'s| is| went) wrong(?: with (?:the|this) form)?$/, /^(?:are there|any) errors$/],
+        help: 'read form errors'
+      },
+      {
+        name: 'describeImages',
+        patterns: [/^describe (?:the |all )?(?:images|pictures|photos)(?: on (?:this|the) page)?$/, /^what (?:images|pictures) are (?:on )?(?:this|the) page$/],
+        help: 'describe images on this page'
+      },
+      {
+        name: 'lastAction',
+        patterns: [/^what did you (?:just )?do$/, /^what (?:was|did) (?:the|your) last action$/, /^what just happened$/],
+        help: 'what did you just do'
+      },
+      {
+        name: 'undo',
+        patterns: [/^undo(?: that| it| (?:the )?last (?:action|change))?$/],
+        help: 'undo'
+      },
+      {
+        name: 'repeatCommand',
+        patterns: [/^(?:repeat|redo) (?:the |my )?(?:last|previous) command$/, /^do (?:that|it) again$/],
+        help: 'repeat last command'
+      },
+      {
+        name: 'whereFrom',
+        patterns: [/^where did i come from$/, /^what was the (?:previous|last) page$/],
+        help: 'where did I come from'
+      },
+      {
+        name: 'forgetSession',
+        patterns: [/^forget (?:everything|that|it all|my history|our conversation)$/, /^(?:clear|reset|delete) (?:my |the |our )?(?:history|conversation|session)$/, /^start over$/],
+        help: 'forget everything'
+      },
+      {
+        name: 'auditPage',
+        patterns: [/^how accessible is (?:this|the) (?:page|site|website)$/, /^(?:run |do )?(?:an )?accessibility (?:audit|check)$/, /^audit (?:this|the) page$/],
+        help: 'how accessible is this page'
+      },
+      {
+        name: 'showAnswerSource',
+        patterns: [/^show me(?: (?:that|it|where|the (?:source|passage|answer)))?$/, /^where does it say (?:that|so)$/],
+        help: 'show me (after asking a question)'
+      },
+      {
+        name: 'listTabs',
+        patterns: [/^(?:list|read|show)(?: all)?(?: my| the)?(?: open)? tabs$/, /^what tabs (?:are|do i have) open$/, /^which tabs are open$/],
+        help: 'list my tabs'
+      },
+      {
+        name: 'newTab',
+        patterns: [/^(?:open )?(?:a )?new tab$/],
+        help: 'open a new tab'
+      },
+      {
+        name: 'newWindow',
+        patterns: [/^(?:open )?(?:a )?new window$/],
+        help: 'open a new window'
+      },
+      {
+        name: 'reopenTab',
+        patterns: [/^(?:reopen|restore|undo close)(?: the)?(?: last)?(?: closed)? tab$/, /^reopen (?:the )?(?:last )?closed (?:tab|window)$/],
+        help: 'reopen closed tab'
+      },
+      {
+        name: 'closeTab',
+        patterns: [/^close (?:this|the current|current|my) tab$/, /^close tab$/, /^close (?:the )?(.+?) tab$/],
+        help: 'close this tab'
+      },
+      {
+        name: 'goToTab',
+        patterns: [/^(?:go to|switch to|open) tab (?:number )?(\w+)$/],
+        help: 'go to tab 3'
+      },
+      {
+        name: 'switchTab',
+        patterns: [/^(?:switch|go|change|jump) to (?:the |my )?(.+?) tab$/],
+        help: 'switch to the Gmail tab'
+      },
+      {
+        name: 'openWebsite',
+        patterns: [
+          /^(?:go to|open|visit|navigate to|take me to|load) (?:the )?(?:website |site )?([a-z0-9-]+(?:(?:\.| dot )[a-z0-9-]+)*(?:\.| dot )[a-z]{2,})(?: in (?:a )?new tab)?$/,
+          /^(?:go to|open|visit|navigate to|take me to) (?:the )?(?!(?:the|this|a|my|main) (?:website|web site|site|homepage|home page))(.+?) (?:website|web site|site|homepage|home page)(?: in (?:a )?new tab)?$/
+        ],
+        help: 'go to the wikipedia website'
+      },
+      {
+        name: 'openInNewTab',
+        patterns: [/^open (?:the )?(.+?) in (?:a )?new tab$/],
+        help: 'open youtube in a new tab'
+      },
+      {
+        name: 'webSearch',
+        patterns: [
+          /^(?:search|look up) (?:the web|the internet|online|google|bing|duckduckgo) for (.+)$/,
+          /^(?:google|web search(?: for)?|search the web for|search online for) (.+)$/
+        ],
+        help: 'search the web for weather in Colombo'
+      },
+      {
+        name: 'searchFor',
+        patterns: [/^search for (.+)$/, /^look up (.+)$/],
+        help: 'search for weather in Colombo'
+      },
+      {
+        name: 'help',
+        patterns: [/^help$/, /^what can i say$/, /^(?:list |what are the )?commands$/],
+        help: 'help'
+      }
+    ];
+  }
+
+  /**
+   * Normalize an utterance for matching
+   * @param {string} utterance - Recognized speech
+   * @returns {string}
+   */
+  normalize(utterance) {
+    return (utterance || '')
+      .toLowerCase()
+      // Dots inside words are kept for site names and decimals ("bbc.com", "speed 1.5")
+      .replace(/\.(?!\w)|(?<!\w)\.|[,!?]/g, '')
+      .replace(/^(?:please|okay|ok|hey)\s+/, '')
+      .replace(/\s+please$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Match an utterance against the local grammar
+   * @param {string} utterance - Recognized speech
+   * @returns {{name: string, match: Array}|null} - Matched intent, or null to send it to the backend
+   */
+  parse(utterance) {
+    const text = this.normalize(utterance);
+
+    for (const intent of this.intents) {
+      for (const pattern of intent.patterns) {
+        const match = text.match(pattern);
+        if (match) {
+          return { name: intent.name, match };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a spoken number ("two" or "2")
+   * @param {string} word
+   * @returns {number}
+   */
+  parseNumber(word) {
+    const words = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+    const index = words.indexOf(word);
+    return index >= 0 ? index : parseInt(word);
+  }
+
+  /**
+   * Read an answer to a numbered list of options
+   * @param {string} utterance - What the user said
+   * @param {number} count - How many options were offered
+   * @returns {number|'cancel'|null} - Zero-based option, 'cancel', or null when not understood
+   */
+  parseChoice(utterance, count) {
+    const text = this.normalize(utterance);
+    if (/^(cancel|never ?mind|none|stop|no|none of (them|those))$/.test(text)) return 'cancel';
+
+    const ordinals = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+    const match = text.match(/^(?:(?:number|option|the) )?(\w+)(?: one)?$/);
+    if (!match) return null;
+
+    // Recognizers often hear short numbers as homophones
+    const homophones = { won: 'one', to: 'two', too: 'two', tree: 'three', for: 'four' };
+    const word = homophones[match[1]] || match[1];
+    const ordinal = ordinals.indexOf(word);
+    const choice = ordinal >= 0 ? ordinal + 1 : this.parseNumber(word);
+    return choice >= 1 && choice <= count ? choice - 1 : null;
+  }
+
+  /**
+   * Read a question about the page content ("what's the price", "does it mention refunds").
+   * "Where is the search button" is a request for an element, not a question.
+   * @returns {string|null} - The question, or null for commands
+   */
+  parseQuestion(utterance) {
+    const text = this.normalize(utterance);
+    const asked = text.match(/^(?:ask|question) (.+)$/);
+    if (asked) return asked[1];
+
+    if (!/^(?:what|whats|what's|when|whens|where|who|whos|who's|why|how|which|does|do|did|is|are|was|were|can|could|will|would|should|has|have|tell me|explain)\b/.test(text)) {
+      return null;
+    }
+    if (/^where(?:'s| is| are)\b.*\b(?:button|link|field|box|menu|tab|checkbox)$/.test(text)) return null;
+    // "can you click sign in" is a polite command, not a question about the page
+    if (/^(?:can|could|would|will) you (?:please )?(?:click|press|tap|hit|push|open|go|navigate|visit|follow|take me|select|choose|pick|check|uncheck|tick|untick|toggle|turn|switch|set|type|enter|write|fill|submit|search|scroll|activate|focus)\b/.test(text)) return null;
+    // "what about the other button" follows up the last command rather than asking about the page
+    if (/^what about (?:the (?:other|next|previous|first|second|third|last)|it|that)\b/.test(text)) return null;
+    return text;
+  }
+
+  /**
+   * Whether an answer confirms a risky action. Only an explicit "confirm" counts,
+   * so a stray "yes" picked up from the room does not click "Delete account".
+   * @returns {boolean}
+   */
+  parseConfirmation(utterance) {
+    return /^(?:yes,? )?(?:i )?confirm(?:ed)?(?: it)?$/.test(this.normalize(utterance));
+  }
+
+  /**
+   * Read a yes/no answer, including the words people use for checkboxes
+   * @returns {boolean|null} - null when the answer is neither
+   */
+  parseYesNo(utterance) {
+    const text = this.normalize(utterance);
+    if (/^(?:no|nope|nah|uncheck(?:ed)?|untick(?:ed)?|off|turn (?:it )?off|false|don't|do not|not checked|leave (?:it )?unchecked)$/.test(text)) return false;
+    if (/^(?:yes|yeah|yep|yup|sure|ok|okay|check(?:ed)?|tick(?:ed)?|on|turn (?:it )?on|true|please do)$/.test(text)) return true;
+    return null;
+  }
+
+  /**
+   * Words that steer the form wizard rather than answer the current field
+   * @returns {'skip'|'back'|'stop'|'repeat'|'clear'|null}
+   */
+  parseFormCommand(utterance) {
+    const text = this.normalize(utterance);
+    if (/^(?:skip|next|pass|next field|skip (?:it|this|this field|that))$/.test(text)) return 'skip';
+    if (/^(?:back|go back|previous|previous field|last field)$/.test(text)) return 'back';
+    if (/^(?:stop|cancel|quit|exit|done|finish|i'm done|that's all|stop filling)$/.test(text)) return 'stop';
+    if (/^(?:repeat|say (?:that|it) again|what|pardon|sorry)$/.test(text)) return 'repeat';
+    if (/^(?:clear|clear it|empty|erase(?: it)?|delete (?:it|that))$/.test(text)) return 'clear';
+    return null;
+  }
+
+  /**
+   * Example phrases for every local command, for the spoken help
+   * @returns {Array<string>}
+   */
+  getHelpPhrases() {
+    return this.intents.map(intent => intent.help);
+  }
+}
+
+// Export singleton instance
+window.intentParser = new IntentParser();
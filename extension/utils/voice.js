@@ -117,6 +117,24 @@ class VoiceManager {
     }
   }
 
+  /**
+   * Listen for a single answer, such as a choice between options
+   * @returns {Promise<string|null>} - The transcript, or null when nothing was heard
+   */
+  listenOnce() {
+    return new Promise(resolve => {
+      let heard = null;
+      this.resetRecognition();
+
+      if (!this.startListening(transcript => { heard = transcript; })) {
+        resolve(null);
+        return;
+      }
+
+      this.recognition.addEventListener('end', () => resolve(heard));
+    });
+  }
+
   /**
    * Stop listening for voice commands
    */
@@ -140,7 +158,7 @@ class VoiceManager {
   /**
    * Speak text using browser TTS
    * @param {string} text - Text to speak
-   * @param {object} options - Speech options
+   * @param {object} options - Speech options (rate, pitch, volume, lang, resolveOnInterrupt)
    * @returns {Promise<void>}
    */
   speak(text, options = {}) {
@@ -166,8 +184,10 @@ class VoiceManager {
         };
 
         utterance.onerror = (event) => {
-          if (event.error === 'interrupted') {
-            // Expected when cancel() is called — not a real error
+          if (event.error === 'interrupted' || event.error === 'canceled') {
+            // Expected when cancel() is called — not a real error.
+            // Queued readers ask to be resolved so their loop can notice the stop.
+            if (options.resolveOnInterrupt) resolve();
             return;
           }
           console.error('Speech error:', event.error, event.type);
@@ -187,6 +207,26 @@ class VoiceManager {
     });
   }
 
+  /**
+   * Speak after whatever is already playing instead of interrupting it,
+   * for sentences that arrive one at a time
+   * @returns {Promise<void>} - Resolves when this sentence finishes or speech is stopped
+   */
+  enqueue(text, options = {}) {
+    return new Promise(resolve => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.rate = options.rate || this.speechRate;
+      utterance.lang = options.lang || this.language;
+      if (this.preferredVoice) {
+        utterance.voice = this.preferredVoice;
+      }
+      utterance.onend = () => resolve();
+      utterance.onerror = () => resolve();
+
+      this.synthesis.speak(utterance);
+    });
+  }
+
   /**
    * Play audio from base64 data (from Minimax TTS)
    * @param {string} audioBase64 - Base64 encoded audio
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { provider, fallbackProvider } = require('../services/llm');
+const { sessionStore } = require('../services/session-store');
+const { normalizeSteps } = require('../utils/command-parser');
+
+/**
+ * POST /api/plan-actions
+ * Turns one voice command into an ordered list of steps for the content script to run
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { command, elements, userId, pageUrl } = req.body;
+
+    console.log('🧭 Planning actions for:', command);
+
+    if (!command || !elements || !Array.isArray(elements)) {
+      return res.status(400).json({
+        success: false,
+        error: 'command and elements array are required'
+      });
+    }
+
+    const history = sessionStore.getHistory(userId, pageUrl);
+    let steps;
+    let usedFallback = false;
+
+    try {
+      console.log(`🤖 Attempting ${provider.name} action planning...`);
+      steps = await provider.planActions(command, elements, { history });
+    } catch (providerError) {
+      console.error(`❌ ${provider.name} action planner failed:`, providerError.message);
+      console.warn('⚠️ Falling back to RULE-BASED PLANNING');
+      steps = await fallbackProvider.planActions(command, elements, { history });
+      usedFallback = true;
+    }
+
+    steps = normalizeSteps(steps, elements.length);
+
+    console.log(`✅ Planned ${steps.length} steps`);
+
+    if (steps.length === 0) {
+      return res.json({
+        success: true,
+        steps: [],
+        usedFallback: usedFallback,
+        message: 'Could not work out the steps for your command'
+      });
+    }
+
+    res.json({
+      success: true,
+      steps: steps,
+      usedFallback: usedFallback,
+      message: `Running ${steps.length} steps`
+    });
+  } catch (error) {
+    console.error('Action planner error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to plan actions'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { summaryCache } = require('../services/summary-cache');
+const { sessionStore } = require('../services/session-store');
+
+const LOCAL_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Admin endpoints need ADMIN_TOKEN as a bearer token when it is set,
+ * and are limited to requests from this machine when it is not.
+ * Requests sent by web pages carry an Origin header and are always refused:
+ * every site open in the user's browser counts as "this machine".
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+
+  if (req.get('origin')) {
+    console.warn('⚠️ Rejected admin request from browser origin', req.get('origin'));
+    return res.status(403).json({
+      success: false,
+      error: 'Admin endpoints cannot be called from a web page'
+    });
+  }
+
+  if (token) {
+    const header = req.get('authorization') || '';
+    if (header === `Bearer ${token}`) return next();
+  } else if (LOCAL_ADDRESSES.includes(req.socket.remoteAddress)) {
+    return next();
+  }
+
+  console.warn('⚠️ Rejected admin request from', req.socket.remoteAddress);
+  res.status(401).json({
+    success: false,
+    error: 'Admin access denied'
+  });
+}
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/cache
+ * Cache statistics and entry metadata, most recently used first
+ */
+router.get('/cache', (req, res) => {
+  res.json({
+    success: true,
+    stats: summaryCache.getStats(),
+    entries: summaryCache.list()
+  });
+});
+
+/**
+ * DELETE /api/admin/cache[?url=...]
+ * Purge the whole cache, or only the entries for one page
+ */
+router.delete('/cache', (req, res) => {
+  const removed = summaryCache.purge(req.query.url || null);
+  console.log(`🧹 Summary cache purged: ${removed} entries${req.query.url ? ` for ${req.query.url}` : ''}`);
+
+  res.json({
+    success: true,
+    removed: removed
+  });
+});
+
+/**
+ * GET /api/admin/sessions
+ * Session statistics; what users said is not exposed
+ */
+router.get('/sessions', (req, res) => {
+  res.json({
+    success: true,
+    stats: sessionStore.getStats()
+  });
+});
+
+/**
+ * DELETE /api/admin/sessions
+ * Forget every user's session
+ */
+router.delete('/sessions', (req, res) => {
+  const removed = sessionStore.purge();
+  console.log(`🧹 Sessions purged: ${removed}`);
+
+  res.json({
+    success: true,
+    removed: removed
+  });
+});
+
+module.exports = router;
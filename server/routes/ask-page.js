@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { provider, fallbackProvider } = require('../services/llm');
+const { selectPassages, quoteAppearsIn } = require('../utils/passage-ranker');
+
+// Longest page accepted, and how much of it is sent to the model with each question
+const MAX_CHUNKS = 300;
+const MAX_CHUNK_LENGTH = 2000;
+const MAX_CONTEXT_CHARS = 6000;
+
+/**
+ * POST /api/ask-page
+ * Answers a question from the page text, with quotes pointing back to the source passages
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { question, chunks, pageTitle, pageUrl, userId } = req.body;
+
+    if (!question || !Array.isArray(chunks) || chunks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'question and chunks are required'
+      });
+    }
+
+    const passages = chunks
+      .slice(0, MAX_CHUNKS)
+      .map((chunk, i) => ({
+        id: Number.isInteger(chunk.id) ? chunk.id : i,
+        text: String(chunk.text || '').substring(0, MAX_CHUNK_LENGTH)
+      }))
+      .filter(passage => passage.text.trim());
+
+    const relevant = selectPassages(question, passages, MAX_CONTEXT_CHARS);
+    console.log(`❓ Question: "${question}" — ${relevant.length} of ${passages.length} passages relevant`);
+
+    let result;
+    let usedFallback = false;
+
+    try {
+      // Nothing on the page shares a word with the question; let the model look at the top of the page
+      result = await provider.answerQuestion(question, relevant.length > 0 ? relevant : passages.slice(0, 5), pageTitle);
+    } catch (providerError) {
+      console.error(`❌ ${provider.name} FAILED:`, providerError.message);
+      console.warn('⚠️ Falling back to rule-based answer');
+      result = await fallbackProvider.answerQuestion(question, relevant, pageTitle);
+      usedFallback = true;
+    }
+
+    // Only quotes that really appear on the page can be shown to the user
+    const evidence = result.evidence
+      .map(item => {
+        const passage = passages.find(p => p.id === item.passageId && quoteAppearsIn(item.quote, p.text)) ||
+          passages.find(p => quoteAppearsIn(item.quote, p.text));
+        return passage ? { chunkId: passage.id, quote: item.quote } : null;
+      })
+      .filter(Boolean);
+
+    if (evidence.length < result.evidence.length) {
+      console.warn(`⚠️ Dropped ${result.evidence.length - evidence.length} quotes not found in the page`);
+    }
+
+    console.log('✅ Answer:', result.answer.substring(0, 100));
+
+    res.json({
+      success: true,
+      found: result.found && !!result.answer,
+      answer: result.answer,
+      evidence: evidence,
+      provider: usedFallback ? fallbackProvider.name : provider.name,
+      usedFallback: usedFallback
+    });
+  } catch (error) {
+    console.error('Ask page error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to answer question'
+    });
+  }
+});
+
+module.exports = router;
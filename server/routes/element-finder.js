@@ -1,6 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const geminiService = require('../services/gemini');
+const { provider, fallbackProvider } = require('../services/llm');
+const { parseDictationCommand, isTextEntryElement } = require('../utils/command-parser');
+const { prefilterElements } = require('../utils/element-ranker');
+const { resolveFollowUp } = require('../utils/follow-up');
+const { sessionStore } = require('../services/session-store');
+
+// Longer element lists are narrowed by the fuzzy ranker before the LLM sees them
+const LLM_ELEMENT_LIMIT = parseInt(process.env.LLM_ELEMENT_LIMIT) || 80;
+const MAX_CANDIDATES = 5;
+
+/**
+ * Label the user would hear for an element, used to spot identical duplicates
+ */
+function elementLabel(element) {
+  return `${element.tag}|${(element.text || element.ariaLabel || element.placeholder || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Attach elements to the candidate list and add any elements that share the
+ * top match's label (a table of "Edit" buttons), so the user can choose between them
+ */
+function buildCandidates(result, elements) {
+  const candidates = (result.candidates || [{ elementIndex: result.elementIndex, score: 1 }])
+    .filter(c => elements[c.elementIndex]);
+  const listed = new Set(candidates.map(c => c.elementIndex));
+  const topLabel = elementLabel(result.element);
+  const topScore = candidates.length > 0 ? candidates[0].score : 1;
+
+  if (topLabel.split('|')[1]) {
+    elements.forEach((element, elementIndex) => {
+      if (!listed.has(elementIndex) && elementLabel(element) === topLabel) {
+        candidates.push({ elementIndex, score: topScore });
+        listed.add(elementIndex);
+      }
+    });
+  }
+
+  return candidates
+    .sort((a, b) => b.score - a.score || a.elementIndex - b.elementIndex)
+    .slice(0, MAX_CANDIDATES)
+    .map(c => ({ elementIndex: c.elementIndex, score: c.score, element: elements[c.elementIndex] }));
+}
 
 /**
  * POST /api/find-element
@@ -8,7 +49,7 @@ const geminiService = require('../services/gemini');
  */
 router.post('/', async (req, res) => {
   try {
-    const { command, elements, userId } = req.body;
+    const { command, elements, userId, pageUrl, pageTitle } = req.body;
 
     console.log('🎤 Voice command received:', command);
     console.log('📊 Elements to search:', elements?.length);
@@ -32,56 +73,63 @@ router.post('/', async (req, res) => {
 
     console.log('🔍 Searching for element matching:', command);
 
-    // Use Minimax AI to find matching element (or fallback)
-    let result;
-    let usedGroq = false;
-
-    try {
-      console.log('🤖 Attempting Groq AI element matching...');
-      result = await geminiService.findElement(command, elements);
-      usedGroq = true;
-      console.log('✅ Groq found element:', result.found);
-    } catch (geminiError) {
-      console.error('❌ Groq element finder failed:', geminiError.message);
-      console.warn('⚠️ Falling back to SIMPLE TEXT MATCHING');
-
-      // Fallback: Simple text matching
-      const commandLower = command.toLowerCase();
-      let foundIndex = -1;
-
-      for (let i = 0; i < elements.length; i++) {
-        const el = elements[i];
-        const text = (el.text || el.ariaLabel || '').toLowerCase();
-
-        if (text.includes(commandLower) || commandLower.includes(text)) {
-          foundIndex = i;
-          console.log(`📝 FALLBACK found match: "${el.text}" at index ${i}`);
-          break;
+    const history = sessionStore.getHistory(userId, pageUrl);
+    let result = resolveFollowUp(command, history, elements);
+    let usedFallback = false;
+    let method = 'FOLLOW-UP';
+
+    if (result) {
+      console.log('🔁 Follow-up resolved:', result.found ? result.reason : result.message);
+    } else {
+      method = provider.name;
+      try {
+        console.log(`🤖 Attempting ${provider.name} element matching...`);
+        const shortlist = prefilterElements(command, elements, LLM_ELEMENT_LIMIT);
+        result = await provider.findElement(command, shortlist.elements, { history });
+        if (result.found) {
+          result.elementIndex = shortlist.indexMap[result.elementIndex];
+          result.candidates = (result.candidates || []).map(c => ({ ...c, elementIndex: shortlist.indexMap[c.elementIndex] }));
         }
+        console.log('✅ Provider found element:', result.found);
+      } catch (providerError) {
+        console.error(`❌ ${provider.name} element finder failed:`, providerError.message);
+        console.warn('⚠️ Falling back to RULE-BASED MATCHING');
+
+        result = await fallbackProvider.findElement(command, elements, { history });
+        usedFallback = true;
+        method = 'FALLBACK';
       }
+    }
 
-      if (foundIndex >= 0) {
-        result = {
-          found: true,
-          element: elements[foundIndex],
-          elementIndex: foundIndex
-        };
-      } else {
-        result = {
-          found: false,
-          message: 'Could not find a matching element for your command'
-        };
+    // Models sometimes drop the value; recover it from the command itself
+    if (result.found && !result.value) {
+      const dictation = parseDictationCommand(command);
+      if (dictation && isTextEntryElement(result.element)) {
+        result.value = dictation.value;
       }
     }
 
+    if (result.found) {
+      result.candidates = buildCandidates(result, elements);
+    }
+
     console.log('✅ Search result:', result.found ? 'Found' : 'Not found');
-    console.log('🔧 Method used:', usedGroq ? 'MINIMAX AI' : 'FALLBACK');
+    console.log('🔧 Method used:', method);
+
+    sessionStore.recordCommand(userId, {
+      command,
+      pageUrl,
+      pageTitle,
+      element: result.found ? result.element : null,
+      elementIndex: result.elementIndex,
+      candidates: result.found ? result.candidates : []
+    });
 
     if (!result.found) {
       return res.json({
         success: true,
         found: false,
-        usedGroq: usedGroq,
+        usedFallback: usedFallback,
         message: result.message || 'Could not find a matching element for your command'
       });
     }
@@ -89,9 +137,11 @@ router.post('/', async (req, res) => {
     res.json({
       success: true,
       found: true,
-      usedGroq: usedGroq,
+      usedFallback: usedFallback,
       element: result.element,
       elementIndex: result.elementIndex,
+      value: result.value || null,
+      candidates: result.candidates,
       message: `Found: ${result.element.text || result.element.ariaLabel || result.element.tag}`
     });
   } catch (error) {
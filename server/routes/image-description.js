@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { provider, fallbackProvider } = require('../services/llm');
+
+// Inline images larger than this are rejected rather than forwarded to the model
+const MAX_IMAGE_DATA_LENGTH = 2 * 1024 * 1024;
+
+/**
+ * POST /api/describe-image
+ * Describes an image or icon that has no accessible name
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { imageUrl, hints, kind, userId } = req.body;
+
+    if (!imageUrl && !hints) {
+      return res.status(400).json({
+        success: false,
+        error: 'imageUrl or hints are required'
+      });
+    }
+
+    if (imageUrl && imageUrl.length > MAX_IMAGE_DATA_LENGTH) {
+      return res.status(413).json({
+        success: false,
+        error: 'Image is too large to describe'
+      });
+    }
+
+    const image = { imageUrl: imageUrl || null, hints: hints || {}, kind: kind === 'icon' ? 'icon' : 'image' };
+    console.log('🖼️ Describing', image.kind + ':', (imageUrl || '(no url)').substring(0, 80));
+
+    let description = null;
+    let usedFallback = false;
+
+    try {
+      description = await provider.describeImage(image);
+    } catch (providerError) {
+      console.error(`❌ ${provider.name} image description failed:`, providerError.message);
+      usedFallback = true;
+    }
+
+    // The model found nothing worth saying; class names and file names may still name an icon
+    if (!description && provider.name !== fallbackProvider.name) {
+      description = await fallbackProvider.describeImage(image);
+      usedFallback = usedFallback || !!description;
+    }
+
+    console.log('✅ Image description:', description || '(none)');
+
+    res.json({
+      success: true,
+      description: description,
+      usedFallback: usedFallback
+    });
+  } catch (error) {
+    console.error('Image description error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to describe image'
+    });
+  }
+});
+
+module.exports = router;
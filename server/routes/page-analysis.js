@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const geminiService = require('../services/gemini');
+const { provider, fallbackProvider } = require('../services/llm');
+const { summaryCache } = require('../services/summary-cache');
+const { sessionStore } = require('../services/session-store');
 
 /**
  * POST /api/analyze-page
@@ -8,7 +10,7 @@ const geminiService = require('../services/gemini');
  */
 router.post('/', async (req, res) => {
   try {
-    const { pageContent, pageTitle, elements, userId } = req.body;
+    const { pageContent, pageTitle, pageUrl, elements, userId } = req.body;
 
     if (!pageContent || !pageTitle) {
       return res.status(400).json({
@@ -17,71 +19,57 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const cached = summaryCache.get(pageUrl, pageContent);
+    if (cached) {
+      console.log('💾 Summary cache hit:', cached.url);
+      sessionStore.recordSummary(userId, { url: pageUrl, title: pageTitle, summary: cached.summary });
+      return res.json({
+        success: true,
+        summary: cached.summary,
+        audio: null,
+        audioFormat: 'mp3',
+        provider: cached.provider,
+        usedFallback: false,
+        cached: true,
+        cachedAt: new Date(cached.createdAt).toISOString()
+      });
+    }
+
     let summary;
     let audioBase64 = null;
-    let usedGroq = false;
+    let usedFallback = false;
 
     try {
-      console.log('🤖 Attempting to use Groq AI...');
-
-      summary = await geminiService.summarizePage(pageContent, pageTitle);
-
-      console.log('✅ Groq Summary Generated:', summary.substring(0, 100) + '...');
-      usedGroq = true;
-    } catch (geminiError) {
-      console.error('❌ Groq FAILED:', geminiError.message);
-      console.warn('⚠️ Falling back to simple summary and browser TTS');
-
-      // Fallback: Generate descriptive summary with navigation options
-      let description = '';
-      let navOptions = '';
-
-      // Create page description based on content
-      const contentPreview = pageContent.substring(0, 200).trim();
-      if (contentPreview.length > 20) {
-        description = ` ${contentPreview.substring(0, 150)}...`;
-      }
-
-      // List navigation options (increased from 8 to 20)
-      if (elements && elements.length > 0) {
-        // Filter valid elements with text
-        const validElements = elements.filter(el =>
-          el.text &&
-          el.text.length > 0 &&
-          el.text.length < 50 &&
-          !el.text.match(/^\s*$/) // Not just whitespace
-        );
-
-        // Get up to 20 elements
-        const displayElements = validElements.slice(0, 20);
-
-        if (displayElements.length > 0) {
-          const buttonList = displayElements.map(el => el.text).join(', ');
-          navOptions = ` Main navigation options available on this page: ${buttonList}`;
-
-          if (validElements.length > 20) {
-            navOptions += `, and ${validElements.length - 20} more`;
-          }
-          navOptions += '.';
-        }
-      }
-
-      summary = `This page is titled: ${pageTitle}.${description}${navOptions} You can navigate by pressing Alt A and saying commands like "click on sign in", "go to about", or "click search button".`;
-
-      // No audio - extension will use browser TTS
-      audioBase64 = null;
+      console.log(`🤖 Summarizing with ${provider.name}...`);
+
+      summary = await provider.summarizePage(pageContent, pageTitle, elements);
+
+      console.log('✅ Summary Generated:', summary.substring(0, 100) + '...');
+    } catch (providerError) {
+      console.error(`❌ ${provider.name} FAILED:`, providerError.message);
+      console.warn('⚠️ Falling back to rule-based summary and browser TTS');
+
+      // Fallback: descriptive summary with navigation options (no audio — extension uses browser TTS)
+      summary = await fallbackProvider.summarizePage(pageContent, pageTitle, elements);
+      usedFallback = true;
 
       console.log('📝 FALLBACK Summary Generated:', summary.substring(0, 100) + '...');
-      console.log('🔊 Will use BROWSER TTS for audio');
     }
 
+    // Fallback summaries are not cached so the next visit tries the model again
+    if (!usedFallback) {
+      summaryCache.set(pageUrl, pageContent, { summary, title: pageTitle, provider: provider.name });
+    }
+    sessionStore.recordSummary(userId, { url: pageUrl, title: pageTitle, summary });
+
     res.json({
       success: true,
       summary: summary,
       audio: audioBase64,
       audioFormat: 'mp3',
-      usedGroq: usedGroq,
-      usedFallback: !usedGroq
+      provider: usedFallback ? fallbackProvider.name : provider.name,
+      usedFallback: usedFallback,
+      cached: false
     });
   } catch (error) {
     console.error('Page analysis error:', error);
@@ -92,4 +80,102 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Write one server-sent event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/analyze-page/stream
+ * Same as /api/analyze-page, but streams the summary as server-sent events:
+ * "chunk" events carry text as it is generated, "done" carries the full summary.
+ * Closing the connection aborts the upstream model request.
+ */
+router.post('/stream', async (req, res) => {
+  const { pageContent, pageTitle, pageUrl, elements, userId } = req.body;
+
+  if (!pageContent || !pageTitle) {
+    return res.status(400).json({
+      success: false,
+      error: 'pageContent and pageTitle are required'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const cached = summaryCache.get(pageUrl, pageContent);
+  if (cached) {
+    console.log('💾 Summary cache hit:', cached.url);
+    sessionStore.recordSummary(userId, { url: pageUrl, title: pageTitle, summary: cached.summary });
+    sendEvent(res, 'chunk', { text: cached.summary });
+    sendEvent(res, 'done', { summary: cached.summary, provider: cached.provider, usedFallback: false, cached: true });
+    return res.end();
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('🛑 Summary stream closed by client, aborting');
+      controller.abort();
+    }
+  });
+
+  let summary = '';
+  let usedFallback = false;
+
+  try {
+    console.log(`🤖 Streaming summary from ${provider.name}...`);
+
+    for await (const text of provider.streamSummary(pageContent, pageTitle, elements, { signal: controller.signal })) {
+      summary += text;
+      sendEvent(res, 'chunk', { text });
+    }
+
+    summary = summary.trim();
+    console.log('✅ Streamed Summary:', summary.substring(0, 100) + '...');
+  } catch (providerError) {
+    if (controller.signal.aborted) return;
+
+    console.error(`❌ ${provider.name} stream FAILED:`, providerError.message);
+
+    // Text already spoken cannot be taken back; only fall back when nothing was sent
+    if (summary) {
+      sendEvent(res, 'done', { summary: summary.trim(), provider: provider.name, usedFallback: false, cached: false, incomplete: true });
+      return res.end();
+    }
+
+    console.warn('⚠️ Falling back to rule-based summary');
+    try {
+      summary = await fallbackProvider.summarizePage(pageContent, pageTitle, elements);
+    } catch (fallbackError) {
+      // Headers are already sent, so the failure goes to the client as an event
+      console.error('❌ Fallback summary FAILED:', fallbackError.message);
+      sendEvent(res, 'error', { error: fallbackError.message || 'Failed to analyze page' });
+      return res.end();
+    }
+    usedFallback = true;
+    sendEvent(res, 'chunk', { text: summary });
+  }
+
+  if (!usedFallback && summary) {
+    summaryCache.set(pageUrl, pageContent, { summary, title: pageTitle, provider: provider.name });
+  }
+  sessionStore.recordSummary(userId, { url: pageUrl, title: pageTitle, summary });
+
+  sendEvent(res, 'done', {
+    summary: summary,
+    provider: usedFallback ? fallbackProvider.name : provider.name,
+    usedFallback: usedFallback,
+    cached: false
+  });
+  res.end();
+});
+
 module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { sessionStore } = require('../services/session-store');
+
+/**
+ * POST /api/session/forget
+ * Drop everything remembered for a user ("forget everything")
+ */
+router.post('/forget', (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!sessionStore.isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid userId is required'
+      });
+    }
+
+    const forgotten = sessionStore.forget(userId);
+    console.log(`🧹 Session ${forgotten ? 'forgotten' : 'already empty'} for ${userId}`);
+
+    res.json({
+      success: true,
+      forgotten: forgotten
+    });
+  } catch (error) {
+    console.error('Session forget error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to forget session'
+    });
+  }
+});
+
+/**
+ * POST /api/session/choice
+ * The user picked another of the candidates returned for their last command,
+ * so later "it" and "that" refer to the element they actually used
+ */
+router.post('/choice', (req, res) => {
+  try {
+    const { userId, element, elementIndex } = req.body;
+
+    if (!sessionStore.isValidUserId(userId) || !element) {
+      return res.status(400).json({
+        success: false,
+        error: 'userId and element are required'
+      });
+    }
+
+    res.json({
+      success: true,
+      recorded: sessionStore.recordChoice(userId, element, elementIndex)
+    });
+  } catch (error) {
+    console.error('Session choice error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to record choice'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,10 +5,19 @@ const bodyParser = require('body-parser');
 
 const pageAnalysisRoute = require('./routes/page-analysis');
 const elementFinderRoute = require('./routes/element-finder');
+const actionPlannerRoute = require('./routes/action-planner');
+const imageDescriptionRoute = require('./routes/image-description');
+const askPageRoute = require('./routes/ask-page');
+const sessionRoute = require('./routes/session');
+const adminRoute = require('./routes/admin');
+const { provider } = require('./services/llm');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Admin endpoints are mounted before CORS so browser pages never get a reflected origin for them
+app.use('/api/admin', adminRoute);
+
 app.use(cors({ origin: true, credentials: true }));
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
@@ -19,6 +28,10 @@ app.get('/health', (req, res) => {
 
 app.use('/api/analyze-page', pageAnalysisRoute);
 app.use('/api/find-element', elementFinderRoute);
+app.use('/api/plan-actions', actionPlannerRoute);
+app.use('/api/describe-image', imageDescriptionRoute);
+app.use('/api/ask-page', askPageRoute);
+app.use('/api/session', sessionRoute);
 
 app.use((req, res) => {
   res.status(404).json({ success: false, error: 'Endpoint not found' });
@@ -31,7 +44,9 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`\n🚀 Server running on port ${PORT}`);
-  console.log(`📡 Endpoints: POST /api/analyze-page  |  POST /api/find-element\n`);
+  console.log(`🤖 LLM provider: ${provider.name}`);
+  console.log(`📡 Endpoints: POST /api/analyze-page  |  POST /api/find-element  |  POST /api/plan-actions  |  POST /api/describe-image  |  POST /api/ask-page  |  POST /api/session/forget  |  POST /api/session/choice`);
+  console.log(`🛠️  Admin: GET/DELETE /api/admin/cache  |  GET/DELETE /api/admin/sessions\n`);
 });
 
 process.on('SIGTERM', () => process.exit(0));
@@ -0,0 +1,11 @@
+const { createProvider } = require('./providers');
+const RuleBasedProvider = require('./providers/rule-based');
+
+/**
+ * Active LLM provider (chosen by LLM_PROVIDER) and the offline provider
+ * routes fall back to when it fails.
+ */
+module.exports = {
+  provider: createProvider(process.env),
+  fallbackProvider: new RuleBasedProvider()
+};
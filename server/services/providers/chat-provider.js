@@ -0,0 +1,329 @@
+/**
+ * Base class for providers backed by a chat-completion model.
+ * Holds the prompts; subclasses only implement complete().
+ */
+class ChatProvider {
+  constructor(name, model, visionModel = model) {
+    this.name = name;
+    this.model = model;
+    this.visionModel = visionModel;
+  }
+
+  /**
+   * Send chat messages to the model and return the reply text
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {object} options - { temperature, maxTokens, model } (model overrides this.model)
+   * @returns {Promise<string>}
+   */
+  async complete(messages, options) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Stream the reply text in pieces as the model generates it.
+   * Providers without streaming support yield the whole reply at once.
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {object} options - { temperature, maxTokens, signal }
+   * @returns {AsyncGenerator<string>}
+   */
+  async *completeStream(messages, options) {
+    yield await this.complete(messages, options);
+  }
+
+  async summarizePage(pageContent, pageTitle, elements = []) {
+    const content = await this.complete(buildSummaryMessages(pageContent, pageTitle), { temperature: 0.7, maxTokens: 200 });
+
+    return content.trim();
+  }
+
+  /**
+   * Same summary as summarizePage, yielded in pieces as it is generated
+   * @param {object} options - { signal } to abort the upstream request
+   * @returns {AsyncGenerator<string>}
+   */
+  async *streamSummary(pageContent, pageTitle, elements = [], options = {}) {
+    yield* this.completeStream(buildSummaryMessages(pageContent, pageTitle), {
+      temperature: 0.7,
+      maxTokens: 200,
+      signal: options.signal
+    });
+  }
+
+  /**
+   * Short description of an image or icon for a screen reader user
+   * @param {object} image - { imageUrl, hints, kind: 'image' | 'icon' }
+   * @returns {Promise<string|null>}
+   */
+  async describeImage(image) {
+    if (!isReadableImageUrl(image.imageUrl)) {
+      throw new Error('No image the model can read');
+    }
+
+    const purpose = image.kind === 'icon'
+      ? 'It is an icon on a button or link. Name the action it stands for in 1-3 words (e.g. "Search", "Close menu", "Shopping cart").'
+      : 'Describe what it shows in one short sentence of at most 15 words.';
+
+    const content = await this.complete([
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: `This image has no text alternative on a webpage. ${purpose}${image.hints && image.hints.nearbyText ? ` Nearby text: "${image.hints.nearbyText}".` : ''}
+
+Respond with ONLY the description, no quotes. If the image is blank or purely decorative, respond with NONE.`
+          },
+          { type: 'image_url', image_url: { url: image.imageUrl } }
+        ]
+      }
+    ], { temperature: 0.2, maxTokens: 60, model: this.visionModel });
+
+    const description = content.trim().replace(/^["']|["']$/g, '').replace(/\.$/, '');
+    return !description || /^none$/i.test(description) ? null : description;
+  }
+
+  /**
+   * @param {object} context - { history } from the session store, for follow-up commands
+   */
+  async findElement(command, elements, context = {}) {
+    const elementsDescription = describeElements(elements);
+    const historyDescription = describeHistory(context.history);
+
+    const content = await this.complete([
+      {
+        role: 'system',
+        content: 'You are an AI assistant that matches user voice commands to webpage elements. Respond with only a JSON object.'
+      },
+      {
+        role: 'user',
+        content: `A visually impaired user wants to interact with a webpage. They said: "${command}"
+${historyDescription}
+Available elements on the page:
+${elementsDescription}
+
+Which element numbers (0-${elements.length - 1}) match their command? Consider:
+- Exact text matches
+- Semantic meaning
+- Common synonyms (e.g., "sign up" = "register")
+- Element type (button, link, input)
+
+List up to 5 candidates, best first, each with a confidence from 0 to 1. If several elements match equally well (e.g., many "Edit" buttons), list all of them with similar confidence instead of picking one.
+
+If the user is dictating text into a field (e.g., "type hello world into search", "enter 90210 in zip code"), pick the field and put the exact text to insert in "value". Otherwise "value" must be null.
+
+Respond with ONLY a JSON object like {"candidates": [{"index": 3, "confidence": 0.9}], "value": null}. If no good match exists, use an empty "candidates" list.`
+      }
+    ], { temperature: 0.3, maxTokens: 200 });
+
+    const { candidates: parsed, value } = parseFindElementResponse(content);
+    const candidates = parsed.filter(c => !isNaN(c.elementIndex) && c.elementIndex >= 0 && c.elementIndex < elements.length);
+
+    if (candidates.length === 0) {
+      return { found: false, message: 'No matching element found' };
+    }
+
+    return {
+      found: true,
+      element: elements[candidates[0].elementIndex],
+      elementIndex: candidates[0].elementIndex,
+      value: value,
+      candidates: candidates
+    };
+  }
+
+  async planActions(command, elements, context = {}) {
+    const elementsDescription = describeElements(elements);
+    const historyDescription = describeHistory(context.history);
+
+    const reply = await this.complete([
+      {
+        role: 'system',
+        content: 'You are an AI assistant that turns a user voice command into an ordered list of browser actions. Respond with only a JSON array.'
+      },
+      {
+        role: 'user',
+        content: `A visually impaired user said: "${command}"
+${historyDescription}
+Available elements on the current page:
+${elementsDescription}
+
+Break the command into steps. Each step is a JSON object with:
+- "action": one of "click", "type", "submit", "wait", "find"
+- "target": short description of the element (e.g., "search box", "first result")
+- "elementIndex": element number on the CURRENT page, or -1 if the element only appears after an earlier step
+- "value": text to insert (only for "type")
+- "for": "navigation" or "change" (only for "wait")
+
+Add a "wait" step after any step that loads a new page or updates the results.
+
+Example for "search for running shoes and open the first result":
+[{"action":"type","target":"search box","elementIndex":2,"value":"running shoes"},{"action":"submit","target":"search box","elementIndex":2},{"action":"wait","for":"navigation"},{"action":"click","target":"first result","elementIndex":-1}]
+
+Respond with ONLY the JSON array.`
+      }
+    ], { temperature: 0.3, maxTokens: 500 });
+
+    const jsonMatch = reply.trim().match(/\[[\s\S]*\]/);
+    if (!jsonMatch) {
+      throw new Error('Model did not return an action list');
+    }
+
+    return JSON.parse(jsonMatch[0]);
+  }
+
+  /**
+   * Answer a question from page passages, quoting the text that supports the answer
+   * @param {string} question
+   * @param {Array<{id: number, text: string}>} passages - Most relevant parts of the page
+   * @param {string} pageTitle
+   * @returns {Promise<{found: boolean, answer: string, evidence: Array<{passageId: number, quote: string}>}>}
+   */
+  async answerQuestion(question, passages, pageTitle) {
+    const context = passages.map(passage => `[${passage.id}] ${passage.text}`).join('\n\n');
+
+    const reply = await this.complete([
+      {
+        role: 'system',
+        content: 'You answer questions about a webpage for a visually impaired user, using only the page text provided. Respond with only a JSON object.'
+      },
+      {
+        role: 'user',
+        content: `Page title: ${pageTitle || 'Untitled'}
+
+Page passages, each with its number in brackets:
+${context || '(no matching text)'}
+
+Question: "${question}"
+
+Answer in one or two short spoken sentences. Quote the exact words from the passages that support the answer, copied character for character, and give the passage number of each quote. Do not use knowledge from outside the passages; if they do not contain the answer, say so and set "found" to false.
+
+Respond with ONLY a JSON object like {"found": true, "answer": "It costs $24.99.", "evidence": [{"passage": 4, "quote": "Price: $24.99"}]}.`
+      }
+    ], { temperature: 0.2, maxTokens: 300 });
+
+    const jsonMatch = reply.trim().match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Model did not return an answer');
+    }
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    return {
+      found: parsed.found !== false,
+      answer: String(parsed.answer || '').trim(),
+      evidence: (Array.isArray(parsed.evidence) ? parsed.evidence : [])
+        .map(item => ({ passageId: parseInt(item.passage, 10), quote: String(item.quote || '').trim() }))
+        .filter(item => !isNaN(item.passageId) && item.quote)
+    };
+  }
+}
+
+/**
+ * Numbered element list used in element prompts
+ */
+function describeElements(elements) {
+  return elements.map((el, idx) =>
+    `${idx}. ${el.tag}${el.type ? ` (${el.type})` : ''} - Text: "${el.text}" - ARIA Label: "${el.ariaLabel || 'none'}" - Role: "${el.role || 'none'}"` +
+    (Array.isArray(el.options) && el.options.length ? ` - Options: "${el.options.slice(0, 20).join(', ')}"` : '')
+  ).join('\n');
+}
+
+/**
+ * Recent commands and the current page's summary, so the model can resolve
+ * follow-ups ("click it again", "the other button"). Empty without history.
+ */
+function describeHistory(history) {
+  if (!history || (history.turns.length === 0 && !history.summary)) return '';
+
+  const parts = [];
+  if (history.turns.length > 0) {
+    const turns = history.turns.map((turn, idx) => {
+      const chosen = turn.element ? `chose ${describeRemembered(turn.element)}` : 'nothing matched';
+      const others = turn.candidates.filter(c => !turn.element || c.index !== turn.element.index);
+      return `${idx + 1}. "${turn.command}" on "${turn.pageTitle || turn.pageUrl}" - ${chosen}` +
+        (others.length ? ` (other matches: ${others.map(describeRemembered).join(', ')})` : '');
+    });
+    parts.push(`Their recent commands, oldest first:\n${turns.join('\n')}`);
+  }
+  if (history.summary) {
+    parts.push(`Summary of the current page: ${history.summary.summary}`);
+  }
+
+  return `
+${parts.join('\n\n')}
+
+Use this history to resolve references like "it", "that", "again", "the second one" or "the other button". Elements from earlier commands may have different numbers now; match them by text.
+`;
+}
+
+function describeRemembered(element) {
+  return `${element.tag} "${element.text || element.ariaLabel || element.placeholder}"`;
+}
+
+/**
+ * Web or inline bitmap images; vision models cannot read SVG or blob: URLs
+ */
+function isReadableImageUrl(url) {
+  return typeof url === 'string' && /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp);base64,)/i.test(url);
+}
+
+/**
+ * Prompt for a short spoken page summary
+ */
+function buildSummaryMessages(pageContent, pageTitle) {
+  return [
+    {
+      role: 'system',
+      content: 'You are a helpful accessibility assistant that creates concise webpage summaries for visually impaired users.'
+    },
+    {
+      role: 'user',
+      content: `Summarize this webpage in 2-3 concise sentences, focusing on the main purpose and key interactive elements (buttons, links, forms).
+
+Page Title: ${pageTitle}
+
+Page Content:
+${pageContent.substring(0, 3000)}
+
+Provide a clear, actionable summary.`
+    }
+  ];
+}
+
+/**
+ * Parse the model's element-finder reply into ranked candidates. Accepts the
+ * requested JSON object, the older single-index object, or a bare number.
+ * @returns {{candidates: Array<{elementIndex: number, score: number}>, value: string|null}}
+ */
+function parseFindElementResponse(content) {
+  const text = (content || '').trim();
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      const value = typeof parsed.value === 'string' && parsed.value.length > 0 ? parsed.value : null;
+
+      if (Array.isArray(parsed.candidates)) {
+        const seen = new Set();
+        const candidates = parsed.candidates
+          .map(c => ({ elementIndex: parseInt(c.index), score: clampConfidence(c.confidence) }))
+          .filter(c => !seen.has(c.elementIndex) && seen.add(c.elementIndex))
+          .sort((a, b) => b.score - a.score);
+        return { candidates, value };
+      }
+
+      return { candidates: [{ elementIndex: parseInt(parsed.index), score: 1 }], value };
+    } catch (e) {
+      // Fall through to bare number parsing
+    }
+  }
+
+  return { candidates: [{ elementIndex: parseInt(text), score: 1 }], value: null };
+}
+
+function clampConfidence(confidence) {
+  const number = parseFloat(confidence);
+  return isNaN(number) ? 0.5 : Math.max(0, Math.min(1, number));
+}
+
+module.exports = ChatProvider;
@@ -0,0 +1,49 @@
+const Groq = require('groq-sdk');
+const ChatProvider = require('./chat-provider');
+
+/**
+ * Groq-hosted models via groq-sdk
+ */
+class GroqProvider extends ChatProvider {
+  constructor(config = {}) {
+    super('groq', config.model || 'llama-3.3-70b-versatile', config.visionModel || 'meta-llama/llama-4-scout-17b-16e-instruct');
+    this.apiKey = config.apiKey;
+    this.client = null;
+  }
+
+  getClient() {
+    // Created lazily so a missing key fails the request (and triggers the fallback), not server startup
+    if (!this.client) {
+      this.client = new Groq({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async complete(messages, options = {}) {
+    const response = await this.getClient().chat.completions.create({
+      model: options.model || this.model,
+      messages: messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    });
+
+    return response.choices[0].message.content;
+  }
+
+  async *completeStream(messages, options = {}) {
+    const stream = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      stream: true
+    }, { signal: options.signal });
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (text) yield text;
+    }
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,38 @@
+const GroqProvider = require('./groq');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const RuleBasedProvider = require('./rule-based');
+
+/**
+ * Create the LLM provider named by LLM_PROVIDER.
+ * Every provider exposes summarizePage(), findElement(), planActions() and describeImage().
+ * @param {object} env - Environment variables (process.env)
+ */
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'groq').toLowerCase();
+
+  switch (name) {
+    case 'groq':
+      return new GroqProvider({
+        apiKey: env.GROQ_API_KEY,
+        model: env.GROQ_MODEL,
+        visionModel: env.GROQ_VISION_MODEL
+      });
+    case 'openai':
+    case 'openai-compatible':
+    case 'ollama':
+      return new OpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        model: env.LLM_MODEL,
+        visionModel: env.LLM_VISION_MODEL,
+        timeout: parseInt(env.LLM_TIMEOUT_MS) || undefined
+      });
+    case 'rule-based':
+    case 'offline':
+      return new RuleBasedProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}" (expected groq, openai or rule-based)`);
+  }
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,79 @@
+const axios = require('axios');
+const ChatProvider = require('./chat-provider');
+
+/**
+ * Any server exposing the OpenAI chat completions API
+ * (OpenAI itself, a local Ollama or llama.cpp server, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider extends ChatProvider {
+  constructor(config = {}) {
+    super('openai', config.model || 'llama3.1', config.visionModel || config.model || 'llama3.1');
+    this.baseUrl = (config.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey;
+    this.timeout = config.timeout || 30000;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async complete(messages, options = {}) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: options.model || this.model,
+      messages: messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      stream: false
+    }, { headers: this.getHeaders(), timeout: this.timeout });
+
+    const choice = response.data && response.data.choices && response.data.choices[0];
+    if (!choice) {
+      throw new Error('Empty response from OpenAI-compatible endpoint');
+    }
+
+    return choice.message.content;
+  }
+
+  /**
+   * Read the server-sent event stream ("data: {...}" lines ending with "data: [DONE]")
+   */
+  async *completeStream(messages, options = {}) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      stream: true
+    }, { headers: this.getHeaders(), timeout: this.timeout, responseType: 'stream', signal: options.signal });
+
+    let buffer = '';
+    for await (const data of response.data) {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload) continue;
+        if (payload === '[DONE]') return;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(payload);
+        } catch (error) {
+          // One garbled line should not end the whole summary
+          console.warn('⚠️ Skipping malformed stream line:', payload.substring(0, 100));
+          continue;
+        }
+        const delta = parsed.choices && parsed.choices[0] && parsed.choices[0].delta;
+        if (delta && delta.content) yield delta.content;
+      }
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,136 @@
+const { parseDictationCommand, splitCommandSteps } = require('../../utils/command-parser');
+const { rankElements } = require('../../utils/element-ranker');
+const { describeFromHints } = require('../../utils/image-hints');
+const { bestSentence } = require('../../utils/passage-ranker');
+
+/**
+ * Deterministic provider that needs no network or model.
+ * Used on air-gapped machines, in tests, and as the fallback when the configured provider fails.
+ */
+class RuleBasedProvider {
+  constructor() {
+    this.name = 'rule-based';
+  }
+
+  async summarizePage(pageContent, pageTitle, elements = []) {
+    let description = '';
+    let navOptions = '';
+
+    // Create page description based on content
+    const contentPreview = pageContent.substring(0, 200).trim();
+    if (contentPreview.length > 20) {
+      description = ` ${contentPreview.substring(0, 150)}...`;
+    }
+
+    // List navigation options (increased from 8 to 20)
+    if (elements && elements.length > 0) {
+      // Filter valid elements with text
+      const validElements = elements.filter(el =>
+        el.text &&
+        el.text.length > 0 &&
+        el.text.length < 50 &&
+        !el.text.match(/^\s*$/) // Not just whitespace
+      );
+
+      // Get up to 20 elements
+      const displayElements = validElements.slice(0, 20);
+
+      if (displayElements.length > 0) {
+        const buttonList = displayElements.map(el => el.text).join(', ');
+        navOptions = ` Main navigation options available on this page: ${buttonList}`;
+
+        if (validElements.length > 20) {
+          navOptions += `, and ${validElements.length - 20} more`;
+        }
+        navOptions += '.';
+      }
+    }
+
+    return `This page is titled: ${pageTitle}.${description}${navOptions} You can navigate by pressing Alt A and saying commands like "click on sign in", "go to about", or "click search button".`;
+  }
+
+  async *streamSummary(pageContent, pageTitle, elements = []) {
+    yield await this.summarizePage(pageContent, pageTitle, elements);
+  }
+
+  /**
+   * Name images from class names, file names and titles instead of looking at them
+   */
+  async describeImage(image) {
+    return describeFromHints(image);
+  }
+
+  async findElement(command, elements) {
+    // Rank against the target field for dictation commands
+    const dictation = parseDictationCommand(command);
+    const candidates = rankElements(dictation ? dictation.target : command, elements, {
+      limit: 5,
+      kind: dictation ? 'field' : undefined
+    });
+
+    if (candidates.length === 0) {
+      return { found: false, message: 'Could not find a matching element for your command' };
+    }
+
+    const best = candidates[0];
+    console.log(`📝 Rule-based match: "${best.element.text}" at index ${best.elementIndex} (score ${best.score})`);
+
+    return {
+      found: true,
+      element: best.element,
+      elementIndex: best.elementIndex,
+      value: dictation ? dictation.value : null,
+      candidates: candidates.map(c => ({ elementIndex: c.elementIndex, score: c.score }))
+    };
+  }
+
+  /**
+   * Answer with the page sentence that shares the most words with the question
+   */
+  async answerQuestion(question, passages, pageTitle) {
+    const best = bestSentence(question, passages);
+    if (!best) {
+      return { found: false, answer: 'I could not find anything about that on this page.', evidence: [] };
+    }
+
+    console.log(`📝 Rule-based answer from passage ${best.passageId} (score ${best.score.toFixed(2)})`);
+    return {
+      found: true,
+      answer: `The closest match on the page says: ${best.sentence}`,
+      evidence: [{ passageId: best.passageId, quote: best.sentence }]
+    };
+  }
+
+  /**
+   * Build steps by splitting the command on "and" / "then".
+   * Element indexes are left at -1 so the content script looks each target up when it runs.
+   */
+  async planActions(command, elements) {
+    const steps = [];
+
+    splitCommandSteps(command).forEach(clause => {
+      const dictation = parseDictationCommand(clause);
+      const search = clause.match(/^search(?: for)?\s+(.+)$/i);
+
+      if (dictation) {
+        steps.push({ action: 'type', target: dictation.target, elementIndex: -1, value: dictation.value });
+      } else if (search) {
+        steps.push({ action: 'type', target: 'search', elementIndex: -1, value: search[1] });
+        steps.push({ action: 'submit', target: 'search', elementIndex: -1 });
+        steps.push({ action: 'wait', for: 'navigation' });
+      } else {
+        steps.push({ action: 'click', target: clause, elementIndex: -1 });
+        steps.push({ action: 'wait', for: 'change' });
+      }
+    });
+
+    // A trailing wait has nothing to wait for
+    if (steps.length > 0 && steps[steps.length - 1].action === 'wait') {
+      steps.pop();
+    }
+
+    return steps;
+  }
+}
+
+module.exports = RuleBasedProvider;
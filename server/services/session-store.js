@@ -0,0 +1,203 @@
+const { normalizeUrl } = require('./summary-cache');
+
+// User ids come from the extension ("user_1712345678_ab12cd34e")
+const USER_ID_PATTERN = /^[\w-]{1,100}$/;
+const MAX_SUMMARIES = 5;
+
+/**
+ * Short record of an element, enough to find it again by label on a later request
+ */
+function describeElement(element, index) {
+  if (!element) return null;
+  return {
+    index: Number.isInteger(index) ? index : null,
+    tag: element.tag || '',
+    type: element.type || '',
+    role: element.role || '',
+    text: String(element.text || '').substring(0, 100),
+    ariaLabel: String(element.ariaLabel || '').substring(0, 100),
+    placeholder: String(element.placeholder || '').substring(0, 100),
+    href: element.href || ''
+  };
+}
+
+/**
+ * Per-user conversation sessions: recent commands with the elements they chose,
+ * and recent page summaries. Kept in memory only; a session expires once it has
+ * been idle for the TTL, and the least recently used sessions go first past the limit.
+ */
+class SessionStore {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlMs - Idle time after which a session is dropped
+   * @param {number} options.maxTurns - Commands remembered per session
+   * @param {number} options.maxSessions - Most sessions kept
+   */
+  constructor({ ttlMs, maxTurns, maxSessions }) {
+    this.ttlMs = ttlMs;
+    this.maxTurns = maxTurns;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map();
+  }
+
+  get enabled() {
+    return this.ttlMs > 0 && this.maxTurns > 0 && this.maxSessions > 0;
+  }
+
+  isValidUserId(userId) {
+    return typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+  }
+
+  /**
+   * Live session for a user, or null when there is none (or it expired)
+   */
+  get(userId) {
+    if (!this.enabled || !this.isValidUserId(userId)) return null;
+
+    const session = this.sessions.get(userId);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(userId);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Session for a user, created if needed, with its expiry pushed back
+   */
+  touch(userId) {
+    if (!this.enabled || !this.isValidUserId(userId)) return null;
+
+    const now = Date.now();
+    let session = this.get(userId);
+    if (session) {
+      // Re-insert to mark as most recently used
+      this.sessions.delete(userId);
+    } else {
+      session = { userId, turns: [], summaries: [], createdAt: now };
+    }
+    session.updatedAt = now;
+    session.expiresAt = now + this.ttlMs;
+    this.sessions.set(userId, session);
+
+    for (const oldest of this.sessions.keys()) {
+      if (this.sessions.size <= this.maxSessions) break;
+      this.sessions.delete(oldest);
+    }
+    return session;
+  }
+
+  /**
+   * Remember a command and the element it resolved to (null when nothing matched)
+   * @param {object} turn - { command, pageUrl, pageTitle, element, elementIndex, candidates }
+   */
+  recordCommand(userId, { command, pageUrl, pageTitle, element, elementIndex, candidates = [] }) {
+    const session = this.touch(userId);
+    if (!session) return;
+
+    session.turns.push({
+      time: Date.now(),
+      command: String(command || '').substring(0, 300),
+      pageUrl: pageUrl ? normalizeUrl(pageUrl) : '',
+      pageTitle: String(pageTitle || '').substring(0, 150),
+      element: describeElement(element, elementIndex),
+      candidates: candidates.map(c => describeElement(c.element, c.elementIndex)).filter(Boolean)
+    });
+    session.turns = session.turns.slice(-this.maxTurns);
+  }
+
+  /**
+   * The user picked a different candidate than the top match for their last command
+   */
+  recordChoice(userId, element, elementIndex) {
+    const session = this.get(userId);
+    const last = session && session.turns[session.turns.length - 1];
+    if (!last) return false;
+
+    last.element = describeElement(element, elementIndex);
+    this.touch(userId);
+    return true;
+  }
+
+  recordSummary(userId, { url, title, summary }) {
+    if (!summary) return;
+    const session = this.touch(userId);
+    if (!session) return;
+
+    const key = normalizeUrl(url);
+    session.summaries = session.summaries.filter(entry => entry.url !== key);
+    session.summaries.push({ time: Date.now(), url: key, title: String(title || '').substring(0, 150), summary: String(summary).substring(0, 1000) });
+    session.summaries = session.summaries.slice(-MAX_SUMMARIES);
+  }
+
+  /**
+   * History handed to providers: recent turns, and the summary of the page the user is on
+   * @returns {{turns: Array, pageUrl: string|null, summary: object|null}|null}
+   */
+  getHistory(userId, pageUrl = null) {
+    const session = this.get(userId);
+    if (!session) return null;
+
+    const key = pageUrl ? normalizeUrl(pageUrl) : null;
+    return {
+      turns: session.turns.slice(),
+      pageUrl: key,
+      summary: key ? session.summaries.find(entry => entry.url === key) || null : null
+    };
+  }
+
+  /**
+   * Drop everything remembered for a user
+   * @returns {boolean} - Whether there was a session
+   */
+  forget(userId) {
+    return this.isValidUserId(userId) && this.sessions.delete(userId);
+  }
+
+  /**
+   * Drop sessions past their expiry
+   */
+  prune() {
+    const now = Date.now();
+    [...this.sessions.values()]
+      .filter(session => session.expiresAt <= now)
+      .forEach(session => this.sessions.delete(session.userId));
+  }
+
+  purge() {
+    const removed = this.sessions.size;
+    this.sessions.clear();
+    return removed;
+  }
+
+  getStats() {
+    this.prune();
+    return {
+      enabled: this.enabled,
+      sessions: this.sessions.size,
+      maxSessions: this.maxSessions,
+      maxTurns: this.maxTurns,
+      ttlMs: this.ttlMs
+    };
+  }
+}
+
+/**
+ * Build the session store from environment settings
+ */
+function createSessionStore(env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' && !isNaN(value) ? Number(value) : fallback);
+
+  return new SessionStore({
+    ttlMs: number(env.SESSION_TTL_MS, 30 * 60 * 1000),
+    maxTurns: number(env.SESSION_MAX_TURNS, 10),
+    maxSessions: number(env.SESSION_MAX_SESSIONS, 1000)
+  });
+}
+
+module.exports = {
+  SessionStore,
+  createSessionStore,
+  sessionStore: createSessionStore(process.env)
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Query parameters that change per visit but not the page itself
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ref|ref_src|_ga|_gl)$/i;
+
+/**
+ * Canonical form of a page URL: lowercase host, no fragment, no tracking
+ * parameters, sorted query and no trailing slash
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+    return parsed.toString();
+  } catch (e) {
+    return String(url || '').trim();
+  }
+}
+
+/**
+ * Hash of the page text with whitespace collapsed, so re-rendered but unchanged pages match
+ */
+function hashContent(pageContent) {
+  const text = String(pageContent || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Page summary cache keyed by normalized URL plus content hash.
+ * Entries live in memory in least-recently-used order and can be mirrored to a JSON file
+ * so they survive restarts.
+ */
+class SummaryCache {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlMs - How long a summary stays valid (0 disables the cache)
+   * @param {number} options.maxEntries - Most summaries kept
+   * @param {number} options.maxBytes - Most summary text kept, in bytes
+   * @param {string} [options.file] - JSON file to persist entries to
+   */
+  constructor({ ttlMs, maxEntries, maxBytes, file = null }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.file = file;
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    this.saveTimer = null;
+
+    if (this.file) this.load();
+  }
+
+  get enabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  key(url, pageContent) {
+    return `${normalizeUrl(url)}#${hashContent(pageContent)}`;
+  }
+
+  /**
+   * Cached entry for a page, or null on a miss
+   */
+  get(url, pageContent) {
+    if (!this.enabled) return null;
+
+    const key = this.key(url, pageContent);
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits++;
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a summary, evicting the least recently used entries past the limits
+   */
+  set(url, pageContent, { summary, title, provider }) {
+    if (!this.enabled) return null;
+
+    const key = this.key(url, pageContent);
+    const size = Buffer.byteLength(summary);
+    if (size > this.maxBytes) return null;
+
+    if (this.entries.has(key)) this.delete(key);
+
+    const now = Date.now();
+    const entry = { key, url: normalizeUrl(url), title, summary, provider, size, hits: 0, createdAt: now, expiresAt: now + this.ttlMs };
+    this.entries.set(key, entry);
+    this.totalBytes += size;
+    this.evict();
+
+    this.scheduleSave();
+    return entry;
+  }
+
+  /**
+   * Drop least recently used entries until the cache is within its limits
+   */
+  evict() {
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.totalBytes <= this.maxBytes) break;
+      this.delete(oldest);
+      this.stats.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Remove every entry, or only those for one URL
+   * @returns {number} - Entries removed
+   */
+  purge(url = null) {
+    const target = url ? normalizeUrl(url) : null;
+    let removed = 0;
+
+    [...this.entries.values()].forEach(entry => {
+      if (!target || entry.url === target) {
+        this.delete(entry.key);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Drop entries past their TTL
+   */
+  prune() {
+    const now = Date.now();
+    [...this.entries.values()]
+      .filter(entry => entry.expiresAt <= now)
+      .forEach(entry => this.delete(entry.key));
+  }
+
+  getStats() {
+    this.prune();
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+      file: this.file,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Entry metadata, most recently used first (summaries omitted)
+   */
+  list() {
+    this.prune();
+    return [...this.entries.values()].reverse().map(({ summary, ...meta }) => meta);
+  }
+
+  /**
+   * Read saved entries, applying the current limits in case they were lowered since
+   */
+  load() {
+    try {
+      if (!this.enabled || !fs.existsSync(this.file)) return;
+
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const now = Date.now();
+      (saved.entries || [])
+        .filter(entry => entry.expiresAt > now && entry.createdAt + this.ttlMs > now)
+        .forEach(entry => {
+          this.entries.set(entry.key, entry);
+          this.totalBytes += entry.size;
+        });
+      this.evict();
+
+      console.log(`💾 Summary cache loaded ${this.entries.size} entries from ${this.file}`);
+    } catch (error) {
+      console.warn('⚠️ Could not load summary cache file:', error.message);
+    }
+  }
+
+  /**
+   * Write to disk shortly after changes, batching bursts of writes
+   */
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.warn('⚠️ Could not save summary cache:', error.message));
+    }, 1000);
+    this.saveTimer.unref();
+  }
+
+  async save() {
+    const tmp = `${this.file}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify({ entries: [...this.entries.values()] }));
+    await fs.promises.rename(tmp, this.file);
+  }
+}
+
+/**
+ * Build the cache from environment settings
+ */
+function createSummaryCache(env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' && !isNaN(value) ? Number(value) : fallback);
+
+  return new SummaryCache({
+    ttlMs: number(env.SUMMARY_CACHE_TTL_MS, 24 * 60 * 60 * 1000),
+    maxEntries: number(env.SUMMARY_CACHE_MAX_ENTRIES, 500),
+    maxBytes: number(env.SUMMARY_CACHE_MAX_BYTES, 5 * 1024 * 1024),
+    file: env.SUMMARY_CACHE_FILE ? path.resolve(env.SUMMARY_CACHE_FILE) : null
+  });
+}
+
+module.exports = {
+  SummaryCache,
+  createSummaryCache,
+  normalizeUrl,
+  summaryCache: createSummaryCache(process.env)
+};
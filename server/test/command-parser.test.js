@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseDictationCommand,
+  isTextEntryElement,
+  splitCommandSteps,
+  isMultiStepCommand,
+  normalizeSteps
+} = require('../utils/command-parser');
+
+test('parseDictationCommand splits the value from the target field', () => {
+  assert.deepStrictEqual(parseDictationCommand('type hello world into search'), { value: 'hello world', target: 'search' });
+  assert.deepStrictEqual(parseDictationCommand('enter 90210 in zip code'), { value: '90210', target: 'zip code' });
+  assert.deepStrictEqual(parseDictationCommand('type log in into search box'), { value: 'log in', target: 'search' });
+  assert.strictEqual(parseDictationCommand('click sign in'), null);
+});
+
+test('isTextEntryElement accepts text fields only', () => {
+  assert.strictEqual(isTextEntryElement({ tag: 'input', type: 'email' }), true);
+  assert.strictEqual(isTextEntryElement({ tag: 'textarea' }), true);
+  assert.strictEqual(isTextEntryElement({ tag: 'input', type: 'checkbox' }), false);
+  assert.strictEqual(isTextEntryElement({ tag: 'button' }), false);
+});
+
+test('splitCommandSteps only splits where a new action starts', () => {
+  assert.deepStrictEqual(
+    splitCommandSteps('search for running shoes and open the first result'),
+    ['search for running shoes', 'open the first result']
+  );
+  assert.deepStrictEqual(splitCommandSteps('click terms and conditions'), ['click terms and conditions']);
+  assert.strictEqual(isMultiStepCommand('type cats into search then press enter'), true);
+  assert.strictEqual(isMultiStepCommand('click sign in'), false);
+});
+
+test('normalizeSteps drops unknown actions and clamps element indexes', () => {
+  const steps = normalizeSteps([
+    { action: 'click', target: 'sign in', elementIndex: 2 },
+    { action: 'explode', target: 'page' },
+    { action: 'type', target: 'search', elementIndex: '7', value: 42 },
+    { action: 'click', target: 'late link', elementIndex: 99 },
+    { action: 'wait', for: 'something' },
+    { action: 'click', target: '', elementIndex: -1 },
+    null
+  ], 8);
+
+  assert.deepStrictEqual(steps, [
+    { action: 'click', target: 'sign in', elementIndex: 2 },
+    { action: 'type', target: 'search', elementIndex: 7, value: '42' },
+    { action: 'click', target: 'late link', elementIndex: -1 },
+    { action: 'wait', for: 'change' }
+  ]);
+});
+
+test('normalizeSteps caps the plan length and rejects non-arrays', () => {
+  const many = Array.from({ length: 20 }, (_, i) => ({ action: 'click', target: `item ${i}`, elementIndex: i }));
+  assert.strictEqual(normalizeSteps(many, 20).length, 10);
+  assert.deepStrictEqual(normalizeSteps({ action: 'click' }, 5), []);
+});
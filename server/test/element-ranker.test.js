@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, rankElements, prefilterElements, elementKind, editDistance } = require('../utils/element-ranker');
+
+const elements = [
+  { tag: 'a', text: 'Home', href: '/' },
+  { tag: 'button', text: 'Log in' },
+  { tag: 'a', text: 'Create an account', href: '/join' },
+  { tag: 'button', text: 'View cart' },
+  { tag: 'input', type: 'search', ariaLabel: 'Search products' },
+  { tag: 'button', text: 'Proceed to checkout' },
+  { tag: 'button', text: 'Newsletter signup' }
+];
+
+test('parseQuery strips verbs, fillers and kind words', () => {
+  assert.deepStrictEqual(parseQuery('click the sign in button'), { query: 'sign in', kind: 'button', option: null });
+  assert.deepStrictEqual(parseQuery('go to the contact page'), { query: 'contact', kind: null, option: null });
+  assert.deepStrictEqual(parseQuery('can you click sign in'), { query: 'sign in', kind: null, option: null });
+  assert.deepStrictEqual(parseQuery('would you press submit'), { query: 'submit', kind: null, option: null });
+});
+
+test('parseQuery keeps "check out" whole and splits out list values', () => {
+  assert.strictEqual(parseQuery('check out').query, 'cart');
+  assert.deepStrictEqual(parseQuery('choose california in state'), { query: 'state', kind: null, option: 'california' });
+  assert.deepStrictEqual(parseQuery('set volume to 50'), { query: 'volume', kind: null, option: '50' });
+});
+
+test('rankElements matches synonyms and misspellings', () => {
+  assert.strictEqual(rankElements('click sign in', elements)[0].elementIndex, 1);
+  assert.strictEqual(rankElements('register', elements)[0].elementIndex, 2);
+  assert.strictEqual(rankElements('open the basket', elements)[0].elementIndex, 3);
+  assert.strictEqual(rankElements('click newsleter', elements)[0].elementIndex, 6);
+});
+
+test('rankElements returns nothing for unrelated commands', () => {
+  assert.deepStrictEqual(rankElements('click pricing', elements), []);
+  assert.deepStrictEqual(rankElements('click', elements), []);
+});
+
+test('prefilterElements keeps the best matches and maps back to original indexes', () => {
+  const many = Array.from({ length: 30 }, (_, i) => ({ tag: 'a', text: `Link ${i}` }));
+  many.push({ tag: 'button', text: 'Log in' });
+
+  const { elements: kept, indexMap } = prefilterElements('log in', many, 5);
+  assert.strictEqual(kept.length, 5);
+  assert.strictEqual(indexMap[0], 30);
+  kept.forEach((element, i) => assert.strictEqual(element, many[indexMap[i]]));
+});
+
+test('editDistance counts single-character edits', () => {
+  assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+  assert.strictEqual(editDistance('cart', 'cart'), 0);
+});
+
+test('elementKind groups tags and roles', () => {
+  assert.strictEqual(elementKind({ tag: 'input', type: 'checkbox' }), 'checkbox');
+  assert.strictEqual(elementKind({ tag: 'div', role: 'combobox' }), 'select');
+  assert.strictEqual(elementKind({ tag: 'a' }), 'link');
+  assert.strictEqual(elementKind({ tag: 'textarea' }), 'field');
+});
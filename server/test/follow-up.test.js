@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveFollowUp } = require('../utils/follow-up');
+const { SessionStore } = require('../services/session-store');
+
+const USER = 'user_1712345678_ab12cd34e';
+const PAGE = 'https://example.com/shop';
+
+const elements = [
+  { tag: 'a', text: 'Home', href: '/' },
+  { tag: 'button', text: 'Add to cart' },
+  { tag: 'a', text: 'Shipping', href: '/shipping' },
+  { tag: 'button', text: 'Add to wishlist' },
+  { tag: 'a', text: 'Returns', href: '/returns' }
+];
+
+/**
+ * History after "click add" on PAGE, which matched both add buttons
+ */
+function historyOn(pageUrl) {
+  const store = new SessionStore({ ttlMs: 60000, maxTurns: 10, maxSessions: 10 });
+  store.recordCommand(USER, {
+    command: 'click add',
+    pageUrl: PAGE,
+    element: elements[1],
+    elementIndex: 1,
+    candidates: [{ element: elements[1], elementIndex: 1 }, { element: elements[3], elementIndex: 3 }]
+  });
+  return store.getHistory(USER, pageUrl);
+}
+
+test('"click it" repeats the last element', () => {
+  const result = resolveFollowUp('click it again', historyOn(PAGE), elements);
+  assert.strictEqual(result.found, true);
+  assert.strictEqual(result.elementIndex, 1);
+});
+
+test('the remembered element is found by label when it has moved', () => {
+  const moved = [elements[0], elements[2], elements[1]];
+  assert.strictEqual(resolveFollowUp('click that', historyOn(PAGE), moved).elementIndex, 2);
+});
+
+test('commands from another page are ignored', () => {
+  assert.strictEqual(resolveFollowUp('click it', historyOn('https://example.com/other'), elements), null);
+  assert.strictEqual(resolveFollowUp('click it', historyOn(null), elements), null);
+  assert.strictEqual(resolveFollowUp('click it', null, elements), null);
+});
+
+test('a missing element falls through to the element finder', () => {
+  const withoutCart = elements.filter(element => element.text !== 'Add to cart');
+  assert.strictEqual(resolveFollowUp('click it', historyOn(PAGE), withoutCart), null);
+  assert.strictEqual(resolveFollowUp('the next link after that', historyOn(PAGE), withoutCart), null);
+});
+
+test('"the second one" picks the second match of the last command', () => {
+  const result = resolveFollowUp('click the second one', historyOn(PAGE), elements);
+  assert.strictEqual(result.elementIndex, 3);
+
+  const missing = resolveFollowUp('the third one', historyOn(PAGE), elements);
+  assert.strictEqual(missing.found, false);
+  assert.match(missing.message, /only 2 matches/);
+});
+
+test('"the first result" is not treated as a follow-up', () => {
+  assert.strictEqual(resolveFollowUp('click the first result', historyOn(PAGE), elements), null);
+});
+
+test('"the next link after that" steps through elements of that kind', () => {
+  assert.strictEqual(resolveFollowUp('the next link after that', historyOn(PAGE), elements).elementIndex, 2);
+  assert.deepStrictEqual(resolveFollowUp('the previous one', historyOn(PAGE), elements), {
+    found: false,
+    message: 'There is no previous button on this page'
+  });
+  assert.strictEqual(resolveFollowUp('the next one', historyOn(PAGE), elements).elementIndex, 3);
+});
+
+test('"the other button" picks another match of the last command', () => {
+  assert.strictEqual(resolveFollowUp('press the other button', historyOn(PAGE), elements).elementIndex, 3);
+  assert.strictEqual(resolveFollowUp('open the other link', historyOn(PAGE), elements), null);
+});
+
+test('ordinary commands are not follow-ups', () => {
+  assert.strictEqual(resolveFollowUp('click shipping', historyOn(PAGE), elements), null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rankPassages, selectPassages, bestSentence, quoteAppearsIn } = require('../utils/passage-ranker');
+
+const passages = [
+  { id: 0, text: 'Welcome to the Corner Bakery, serving fresh bread since 1985.' },
+  { id: 1, text: 'We are open Monday to Friday from 7 am. The shop closes at 6 pm.' },
+  { id: 2, text: 'Refunds are given within 30 days if you return the receipt.' },
+  { id: 3, text: 'Our sourdough costs $5 per loaf.' }
+];
+
+test('rankPassages matches stemmed words and question hints', () => {
+  assert.strictEqual(rankPassages('Do you give a refund?', passages)[0].id, 2);
+  assert.strictEqual(rankPassages('When does the shop close?', passages)[0].id, 1);
+  assert.strictEqual(rankPassages('How much is the sourdough?', passages)[0].id, 3);
+});
+
+test('rankPassages returns nothing when no words match', () => {
+  assert.deepStrictEqual(rankPassages('parking garage', passages), []);
+  assert.deepStrictEqual(rankPassages('what is this', passages), []);
+  assert.deepStrictEqual(rankPassages('refund', []), []);
+});
+
+test('selectPassages keeps to the character budget and page order', () => {
+  const selected = selectPassages('refund hours open close', passages, 140);
+  const total = selected.reduce((sum, passage) => sum + passage.text.length, 0);
+
+  assert.ok(selected.length > 0);
+  assert.ok(total <= 140);
+  assert.deepStrictEqual(selected.map(p => p.id), [...selected.map(p => p.id)].sort((a, b) => a - b));
+});
+
+test('bestSentence picks the single sentence that answers', () => {
+  const best = bestSentence('Which shop closes at 6?', passages);
+  assert.strictEqual(best.passageId, 1);
+  assert.strictEqual(best.sentence, 'The shop closes at 6 pm.');
+  assert.strictEqual(bestSentence('parking garage', passages), null);
+});
+
+test('quoteAppearsIn ignores case, spacing, quote styles and ellipses', () => {
+  assert.ok(quoteAppearsIn('refunds are  given within 30 days', passages[2].text));
+  assert.ok(quoteAppearsIn('…within 30 days…', passages[2].text));
+  assert.ok(quoteAppearsIn('“We are open Monday”', passages[1].text));
+  assert.ok(!quoteAppearsIn('refunds within 60 days', passages[2].text));
+  assert.ok(!quoteAppearsIn('...', passages[2].text));
+});
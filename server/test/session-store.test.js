@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SessionStore, createSessionStore } = require('../services/session-store');
+
+const USER = 'user_1712345678_ab12cd34e';
+
+function createStore(options = {}) {
+  return new SessionStore({ ttlMs: 60000, maxTurns: 3, maxSessions: 2, ...options });
+}
+
+test('invalid user ids get no session', () => {
+  const store = createStore();
+  assert.strictEqual(store.touch('not a valid id!'), null);
+  assert.strictEqual(store.touch(''), null);
+  assert.strictEqual(store.sessions.size, 0);
+});
+
+test('recordCommand keeps only the most recent turns', () => {
+  const store = createStore();
+  ['one', 'two', 'three', 'four'].forEach(command => {
+    store.recordCommand(USER, { command, pageUrl: 'https://example.com/', element: null });
+  });
+
+  const history = store.getHistory(USER);
+  assert.deepStrictEqual(history.turns.map(turn => turn.command), ['two', 'three', 'four']);
+});
+
+test('getHistory scopes the page URL and summary to the page given', () => {
+  const store = createStore();
+  store.recordSummary(USER, { url: 'https://example.com/a#top', title: 'A', summary: 'About A' });
+  store.recordSummary(USER, { url: 'https://example.com/b', title: 'B', summary: 'About B' });
+
+  const history = store.getHistory(USER, 'https://example.com/a/');
+  assert.strictEqual(history.pageUrl, 'https://example.com/a');
+  assert.strictEqual(history.summary.summary, 'About A');
+  assert.strictEqual(store.getHistory(USER).summary, null);
+  assert.strictEqual(store.getHistory(USER, 'https://example.com/c').summary, null);
+});
+
+test('recordChoice replaces the element of the last command', () => {
+  const store = createStore();
+  assert.strictEqual(store.recordChoice(USER, { tag: 'a', text: 'News' }, 2), false);
+
+  store.recordCommand(USER, {
+    command: 'click news',
+    pageUrl: 'https://example.com',
+    element: { tag: 'a', text: 'News' },
+    elementIndex: 1,
+    candidates: [{ element: { tag: 'a', text: 'News' }, elementIndex: 1 }, { element: { tag: 'a', text: 'Latest news' }, elementIndex: 4 }]
+  });
+  assert.strictEqual(store.recordChoice(USER, { tag: 'a', text: 'Latest news' }, 4), true);
+
+  const [turn] = store.getHistory(USER).turns;
+  assert.strictEqual(turn.element.index, 4);
+  assert.strictEqual(turn.element.text, 'Latest news');
+  assert.strictEqual(turn.candidates.length, 2);
+});
+
+test('expired sessions are dropped', () => {
+  const store = createStore();
+  store.touch(USER).expiresAt = Date.now() - 1;
+
+  assert.strictEqual(store.getHistory(USER), null);
+  assert.strictEqual(store.sessions.size, 0);
+});
+
+test('least recently used sessions are dropped past maxSessions', () => {
+  const store = createStore();
+  store.touch('user_a');
+  store.touch('user_b');
+  store.touch('user_a');
+  store.touch('user_c');
+
+  assert.deepStrictEqual([...store.sessions.keys()], ['user_a', 'user_c']);
+});
+
+test('forget drops a user and purge drops everyone', () => {
+  const store = createStore();
+  store.touch('user_a');
+  store.touch('user_b');
+
+  assert.strictEqual(store.forget('user_a'), true);
+  assert.strictEqual(store.forget('user_a'), false);
+  assert.strictEqual(store.purge(), 1);
+});
+
+test('createSessionStore reads limits from the environment', () => {
+  const store = createSessionStore({ SESSION_MAX_TURNS: '0' });
+  assert.strictEqual(store.enabled, false);
+  assert.strictEqual(store.touch(USER), null);
+  assert.strictEqual(createSessionStore({}).maxSessions, 1000);
+});
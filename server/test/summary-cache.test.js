@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SummaryCache, createSummaryCache, normalizeUrl } = require('../services/summary-cache');
+
+const summary = (text) => ({ summary: text, title: 'Page', provider: 'rule-based' });
+
+function createCache(options = {}) {
+  return new SummaryCache({ ttlMs: 60000, maxEntries: 10, maxBytes: 1024, ...options });
+}
+
+test('normalizeUrl drops fragments, tracking parameters and trailing slashes', () => {
+  assert.strictEqual(
+    normalizeUrl('https://Example.com/news/?utm_source=x&b=2&a=1#top'),
+    'https://example.com/news?a=1&b=2'
+  );
+  assert.strictEqual(normalizeUrl('https://example.com/'), 'https://example.com/');
+  assert.strictEqual(normalizeUrl('not a url '), 'not a url');
+});
+
+test('get hits only when the URL and the page text match', () => {
+  const cache = createCache();
+  cache.set('https://example.com/a', 'Hello   world', summary('A summary'));
+
+  assert.strictEqual(cache.get('https://example.com/a/#x', 'Hello world').summary, 'A summary');
+  assert.strictEqual(cache.get('https://example.com/a', 'Hello there'), null);
+  assert.strictEqual(cache.get('https://example.com/b', 'Hello world'), null);
+  assert.deepStrictEqual([cache.stats.hits, cache.stats.misses], [1, 2]);
+});
+
+test('expired entries are treated as misses and removed', () => {
+  const cache = createCache();
+  const entry = cache.set('https://example.com/a', 'text', summary('Old'));
+  entry.expiresAt = Date.now() - 1;
+
+  assert.strictEqual(cache.get('https://example.com/a', 'text'), null);
+  assert.strictEqual(cache.entries.size, 0);
+  assert.strictEqual(cache.totalBytes, 0);
+});
+
+test('least recently used entries are evicted past maxEntries', () => {
+  const cache = createCache({ maxEntries: 2 });
+  cache.set('https://example.com/1', 'one', summary('One'));
+  cache.set('https://example.com/2', 'two', summary('Two'));
+  cache.get('https://example.com/1', 'one');
+  cache.set('https://example.com/3', 'three', summary('Three'));
+
+  assert.ok(cache.get('https://example.com/1', 'one'));
+  assert.strictEqual(cache.get('https://example.com/2', 'two'), null);
+  assert.strictEqual(cache.stats.evictions, 1);
+});
+
+test('entries are evicted past maxBytes and oversized summaries are not stored', () => {
+  const cache = createCache({ maxBytes: 10 });
+  cache.set('https://example.com/1', 'one', summary('123456'));
+  cache.set('https://example.com/2', 'two', summary('123456'));
+
+  assert.strictEqual(cache.entries.size, 1);
+  assert.strictEqual(cache.totalBytes, 6);
+  assert.strictEqual(cache.set('https://example.com/3', 'three', summary('12345678901')), null);
+});
+
+test('purge removes one page or everything', () => {
+  const cache = createCache();
+  cache.set('https://example.com/a', 'v1', summary('A1'));
+  cache.set('https://example.com/a', 'v2', summary('A2'));
+  cache.set('https://example.com/b', 'v1', summary('B'));
+
+  assert.strictEqual(cache.purge('https://example.com/a/'), 2);
+  assert.strictEqual(cache.entries.size, 1);
+  assert.strictEqual(cache.purge(), 1);
+  assert.strictEqual(cache.totalBytes, 0);
+});
+
+test('entries loaded from the cache file are held to the current limits', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const file = path.join(dir, 'cache.json');
+  const saved = createCache({ file });
+  ['one', 'two', 'three'].forEach(page => saved.set(`https://example.com/${page}`, page, summary(page)));
+  const entries = [...saved.entries.values()].map(entry => ({ ...entry, createdAt: entry.createdAt - 1000 }));
+  fs.writeFileSync(file, JSON.stringify({ entries }));
+  clearTimeout(saved.saveTimer);
+
+  const fewer = createCache({ file, maxEntries: 2 });
+  clearTimeout(fewer.saveTimer);
+  assert.deepStrictEqual([...fewer.entries.values()].map(entry => entry.summary), ['two', 'three']);
+
+  const shorterTtl = createCache({ file, ttlMs: 500 });
+  assert.strictEqual(shorterTtl.entries.size, 0);
+
+  const disabled = createCache({ file, ttlMs: 0 });
+  assert.strictEqual(disabled.entries.size, 0);
+});
+
+test('createSummaryCache reads limits from the environment', () => {
+  const cache = createSummaryCache({ SUMMARY_CACHE_TTL_MS: '0', SUMMARY_CACHE_MAX_ENTRIES: '5' });
+  assert.strictEqual(cache.enabled, false);
+  assert.strictEqual(cache.maxEntries, 5);
+  assert.strictEqual(cache.set('https://example.com', 'text', summary('S')), null);
+});
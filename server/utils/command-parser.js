@@ -0,0 +1,92 @@
+/**
+ * Voice command parsing helpers shared by the element finder and action planner
+ */
+
+// Plan step actions the content script can run, and the most steps one plan may have
+const STEP_ACTIONS = ['click', 'type', 'submit', 'wait', 'find'];
+const MAX_STEPS = 10;
+
+const ACTION_VERBS = ['click', 'press', 'tap', 'open', 'go', 'select', 'choose', 'type', 'enter', 'write', 'search', 'submit', 'find', 'scroll'];
+
+/**
+ * Split a dictation command ("type hello world into search", "enter 90210 in zip code")
+ * into the text to insert and the field it targets. Returns null for other commands.
+ */
+function parseDictationCommand(command) {
+  // "into" is tried first so values containing " in " ("type log in into search") split correctly
+  for (const separator of ['into', 'inside', 'in', 'on']) {
+    const pattern = new RegExp(`^(?:please\\s+)?(?:type|enter|write|put|fill in|input)\\s+(.+?)\\s+${separator}\\s+(?:the\\s+)?(.+?)(?:\\s+(?:field|box|input))?$`, 'i');
+    const match = command.trim().match(pattern);
+    if (match) {
+      return {
+        value: match[1].replace(/^["']|["']$/g, ''),
+        target: match[2]
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether an extracted element accepts typed text
+ */
+function isTextEntryElement(element) {
+  const nonText = ['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'image', 'range', 'color', 'hidden'];
+  if (element.tag === 'textarea') return true;
+  if (element.tag === 'input') return !nonText.includes((element.type || 'text').toLowerCase());
+  return element.role === 'textbox' || element.role === 'searchbox' || element.role === 'combobox';
+}
+
+/**
+ * Split a compound command into its clauses on "and" / "then" joins that
+ * start a new action ("search for shoes and open the first result").
+ * "click terms and conditions" stays whole because "conditions" is not a verb.
+ */
+function splitCommandSteps(command) {
+  const joiner = new RegExp(`\\s*,?\\s+(?:and then|and|then)\\s+(?=(?:${ACTION_VERBS.join('|')})\\b)`, 'i');
+  return command.split(joiner).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a command describes more than one action
+ */
+function isMultiStepCommand(command) {
+  return splitCommandSteps(command).length > 1;
+}
+
+/**
+ * Drop malformed steps and clamp element indexes to the current page
+ */
+function normalizeSteps(steps, elementCount) {
+  if (!Array.isArray(steps)) return [];
+
+  return steps
+    .filter(step => step && STEP_ACTIONS.includes(step.action))
+    .slice(0, MAX_STEPS)
+    .map(step => {
+      if (step.action === 'wait') {
+        return { action: 'wait', for: step.for === 'navigation' ? 'navigation' : 'change' };
+      }
+
+      const index = parseInt(step.elementIndex);
+      const normalized = {
+        action: step.action,
+        target: String(step.target || ''),
+        elementIndex: !isNaN(index) && index >= 0 && index < elementCount ? index : -1
+      };
+      if (step.action === 'type') {
+        normalized.value = String(step.value || '');
+      }
+      return normalized;
+    })
+    .filter(step => step.action === 'wait' || step.target || step.elementIndex >= 0);
+}
+
+module.exports = {
+  parseDictationCommand,
+  isTextEntryElement,
+  splitCommandSteps,
+  isMultiStepCommand,
+  normalizeSteps
+};
@@ -0,0 +1,314 @@
+/**
+ * Offline fuzzy ranker that scores page elements against a voice command.
+ * Used by the rule-based provider and to pre-filter long element lists before an LLM call.
+ */
+
+// Leading phrases that describe the action rather than the target
+const COMMAND_PREFIXES = [
+  'please', 'can you', 'could you', 'would you', 'will you', 'i want to', 'i would like to',
+  'click on', 'click', 'press', 'tap on', 'tap', 'hit', 'push',
+  'go to', 'go into', 'take me to', 'navigate to', 'open up', 'open', 'follow', 'visit', 'show me',
+  'select', 'choose', 'pick', 'activate', 'focus on', 'focus',
+  'uncheck', 'untick', 'check', 'tick', 'toggle', 'turn on', 'turn off', 'switch on', 'switch off', 'enable', 'disable',
+  'the', 'a', 'an', 'on', 'my'
+];
+
+// Trailing words that add nothing ("go to the contact page")
+const TRAILING_FILLERS = ['page', 'section', 'please', 'now', 'option'];
+
+// Words that say what kind of element the user means
+const KIND_HINTS = {
+  button: 'button',
+  link: 'link',
+  tab: 'link',
+  field: 'field',
+  box: 'field',
+  input: 'field',
+  textbox: 'field',
+  dropdown: 'select',
+  menu: 'select',
+  checkbox: 'checkbox'
+};
+
+// Phrases treated as equivalent; each group is rewritten to its first entry
+const SYNONYMS = [
+  ['sign in', 'log in', 'login', 'signin', 'log on', 'logon'],
+  ['sign up', 'register', 'create account', 'create an account', 'join', 'signup', 'get started'],
+  ['sign out', 'log out', 'logout', 'signout'],
+  ['search', 'find', 'look up', 'lookup'],
+  ['cart', 'basket', 'bag', 'shopping cart', 'checkout', 'check out'],
+  ['home', 'homepage', 'home page', 'main page', 'start page'],
+  ['about', 'about us', 'who we are'],
+  ['contact', 'contact us', 'get in touch', 'reach us'],
+  ['help', 'support', 'faq', 'faqs', 'help center'],
+  ['settings', 'preferences', 'options', 'account settings'],
+  ['menu', 'navigation', 'nav', 'hamburger'],
+  ['close', 'dismiss', 'cancel', 'x'],
+  ['submit', 'send', 'go'],
+  ['next', 'continue', 'forward'],
+  ['previous', 'back', 'prev'],
+  ['profile', 'my account', 'account']
+];
+
+const MIN_MATCH_SCORE = 0.6;
+const TOKEN_MATCH_THRESHOLD = 0.75;
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Rewrite synonym phrases to their canonical form
+ */
+function canonicalize(text) {
+  let result = ` ${text} `;
+  SYNONYMS.forEach(group => {
+    // Longest phrases first so "shopping cart" wins over "cart"
+    [...group].sort((a, b) => b.length - a.length).forEach(phrase => {
+      result = result.split(` ${phrase} `).join(` ${group[0]} `);
+    });
+  });
+  return result.trim();
+}
+
+/**
+ * Turn a voice command into the words that describe its target, plus a kind hint
+ * ("click the sign in button" -> { query: 'sign in', kind: 'button' }).
+ * Commands for lists and sliders also name the value ("choose california in state",
+ * "set volume to 50"); that part is returned as option and kept out of the query.
+ */
+function parseQuery(command) {
+  let text = normalizeText(command);
+  let option = null;
+
+  // "check out" is a button name, not the checkbox verb
+  text = text.replace(/\bcheck out\b/g, 'checkout');
+
+  const setValue = text.match(/^(?:please )?(?:set|change|adjust|move) (?:the )?(.+?) to (.+)$/);
+  const chooseIn = text.match(/^(?:please )?(?:choose|select|pick) (.+?) (?:in|from|for|as) (?:the )?(.+)$/);
+  if (setValue) {
+    text = setValue[1];
+    option = setValue[2];
+  } else if (chooseIn) {
+    text = chooseIn[2];
+    option = chooseIn[1];
+  }
+
+  let stripped = true;
+  while (stripped) {
+    stripped = false;
+    for (const prefix of COMMAND_PREFIXES) {
+      if (text === prefix || text.startsWith(prefix + ' ')) {
+        text = text.slice(prefix.length).trim();
+        stripped = true;
+        break;
+      }
+    }
+  }
+
+  let kind = null;
+  const words = text.split(' ').filter(Boolean);
+  while (words.length > 1 && TRAILING_FILLERS.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  const last = words[words.length - 1];
+  if (words.length > 1 && KIND_HINTS[last]) {
+    kind = KIND_HINTS[last];
+    words.pop();
+  }
+
+  return { query: canonicalize(words.join(' ')), kind, option };
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two tokens in [0, 1]
+ */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  // Prefix matches cover partial words ("acc" -> "account")
+  if (a.length >= 3 && b.startsWith(a)) return 0.9;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Score how well a label matches the query in [0, 1]
+ */
+function scoreLabel(query, label) {
+  if (!query || !label) return 0;
+  if (query === label) return 1;
+
+  const queryTokens = query.split(' ');
+  const labelTokens = label.split(' ');
+
+  let queryMatched = 0;
+  const matchedLabelTokens = new Set();
+  queryTokens.forEach(qt => {
+    let best = 0;
+    let bestIndex = -1;
+    labelTokens.forEach((lt, idx) => {
+      const similarity = tokenSimilarity(qt, lt);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = idx;
+      }
+    });
+    if (best >= TOKEN_MATCH_THRESHOLD) {
+      queryMatched += best;
+      matchedLabelTokens.add(bestIndex);
+    }
+  });
+
+  const queryCoverage = queryMatched / queryTokens.length;
+  const labelCoverage = matchedLabelTokens.size / labelTokens.length;
+  let score = 0.7 * queryCoverage + 0.3 * labelCoverage;
+
+  // Whole phrase contained in a longer label ("cart" in "view cart")
+  if (` ${label} `.includes(` ${query} `)) {
+    score = Math.max(score, 0.8 + 0.2 * labelCoverage);
+  }
+
+  return Math.min(score, 0.99);
+}
+
+/**
+ * Kind of element, for matching against kind hints
+ */
+function elementKind(element) {
+  const tag = (element.tag || '').toLowerCase();
+  const role = (element.role || '').toLowerCase();
+  const type = (element.type || '').toLowerCase();
+
+  if (type === 'checkbox' || role === 'checkbox' || role === 'switch') return 'checkbox';
+  if (tag === 'select' || role === 'combobox' || role === 'listbox') return 'select';
+  if (tag === 'button' || role === 'button' || ['button', 'submit', 'reset'].includes(type)) return 'button';
+  if (tag === 'a' || role === 'link') return 'link';
+  if (tag === 'input' || tag === 'textarea' || role === 'textbox' || role === 'searchbox') return 'field';
+  return 'other';
+}
+
+/**
+ * Score one element against a parsed query
+ */
+function scoreElement(parsed, element) {
+  const labels = [
+    { text: element.text, weight: 1 },
+    { text: element.ariaLabel, weight: 0.95 },
+    { text: element.id, weight: 0.6 },
+    { text: element.name, weight: 0.6 }
+  ];
+
+  let score = 0;
+  labels.forEach(({ text, weight }) => {
+    const label = canonicalize(normalizeText(text));
+    score = Math.max(score, scoreLabel(parsed.query, label) * weight);
+  });
+
+  // "choose california" names an option of the list rather than the list itself
+  const options = Array.isArray(element.options) ? element.options : [];
+  if (options.length > 0) {
+    const optionQuery = parsed.option ? normalizeText(parsed.option) : parsed.query;
+    const optionScore = Math.max(...options.map(option => scoreLabel(optionQuery, normalizeText(option))));
+    if (parsed.option) {
+      if (score > 0 && optionScore >= MIN_MATCH_SCORE) score += 0.1;
+    } else {
+      score = Math.max(score, optionScore * 0.9);
+    }
+  }
+
+  // Elements without any usable label never match
+  if (score === 0) return 0;
+
+  if (parsed.kind) {
+    score += elementKind(element) === parsed.kind ? 0.1 : -0.1;
+  }
+
+  return Math.max(0, Math.min(score, 1));
+}
+
+/**
+ * Rank elements against a command, best first
+ * @param {string} command - Voice command (verbs are stripped)
+ * @param {Array} elements - Extracted page elements
+ * @param {object} options - { limit, minScore, kind }
+ * @returns {Array<{elementIndex: number, element: object, score: number}>}
+ */
+function rankElements(command, elements, options = {}) {
+  const parsed = parseQuery(command);
+  if (options.kind) parsed.kind = options.kind;
+  if (!parsed.query) return [];
+
+  const minScore = options.minScore !== undefined ? options.minScore : MIN_MATCH_SCORE;
+
+  const ranked = elements
+    .map((element, elementIndex) => ({
+      elementIndex,
+      element,
+      score: Math.round(scoreElement(parsed, element) * 1000) / 1000
+    }))
+    .filter(candidate => candidate.score > 0 && candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.elementIndex - b.elementIndex);
+
+  return options.limit ? ranked.slice(0, options.limit) : ranked;
+}
+
+/**
+ * Shrink a long element list before sending it to an LLM. Keeps the best fuzzy
+ * matches first, then fills the rest in page order so purely semantic matches survive.
+ * @returns {{elements: Array, indexMap: Array<number>}} indexMap[i] is the original index of elements[i]
+ */
+function prefilterElements(command, elements, limit) {
+  if (elements.length <= limit) {
+    return { elements, indexMap: elements.map((_, idx) => idx) };
+  }
+
+  const indexMap = rankElements(command, elements, { minScore: 0.3, limit }).map(c => c.elementIndex);
+  const kept = new Set(indexMap);
+
+  for (let i = 0; i < elements.length && indexMap.length < limit; i++) {
+    if (!kept.has(i)) {
+      indexMap.push(i);
+      kept.add(i);
+    }
+  }
+
+  return { elements: indexMap.map(idx => elements[idx]), indexMap };
+}
+
+module.exports = {
+  normalizeText,
+  parseQuery,
+  editDistance,
+  rankElements,
+  prefilterElements,
+  elementKind,
+  KIND_HINTS,
+  MIN_MATCH_SCORE
+};
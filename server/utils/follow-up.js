@@ -0,0 +1,138 @@
+/**
+ * Offline resolution of follow-up commands against the user's session history:
+ * "open it again", "click the second one", "the next link after that", "the other button".
+ * Used before any provider so these work the same with or without an LLM.
+ */
+
+const { normalizeText, parseQuery, elementKind, KIND_HINTS } = require('./element-ranker');
+
+const ORDINALS = {
+  first: 1, '1st': 1,
+  second: 2, '2nd': 2,
+  third: 3, '3rd': 3,
+  fourth: 4, '4th': 4,
+  fifth: 5, '5th': 5
+};
+
+// A command made only of these words points back at the last element ("do that again")
+const REFERENCE_WORDS = new Set(['it', 'that', 'this', 'one', 'same', 'again', 'the', 'do', 'once', 'more']);
+const POINTING_WORDS = ['it', 'that', 'this', 'same', 'again'];
+
+/**
+ * Resolve a follow-up command to an element on the current page
+ * @param {string} command - Voice command
+ * @param {{turns: Array, pageUrl: string|null}|null} history - Session history from the session store;
+ *   only commands given on the same page (history.pageUrl) are used
+ * @param {Array} elements - Extracted page elements
+ * @returns {{found: boolean, element?: object, elementIndex?: number, reason?: string, message?: string}|null}
+ *   null when the command is not a follow-up, or the element it points at is not on the page,
+ *   so the normal element finder handles it
+ */
+function resolveFollowUp(command, history, elements) {
+  const target = lastTarget(history);
+  if (!target) return null;
+
+  const text = normalizeText(command);
+
+  // "the second one" -> the second match listed for the last command.
+  // "the first result" is left alone: it names search results, not earlier matches
+  const ordinal = text.match(/\bthe (first|second|third|fourth|fifth|1st|2nd|3rd|4th|5th|last) (?:one|match)\b/);
+  if (ordinal) {
+    if (target.candidates.length < 2) return null;
+    const position = ordinal[1] === 'last' ? target.candidates.length : ORDINALS[ordinal[1]];
+    const candidate = target.candidates[position - 1];
+    if (!candidate) {
+      return { found: false, message: `There were only ${target.candidates.length} matches for "${target.command}"` };
+    }
+    return located(candidate, elements, `${ordinal[1]} match for "${target.command}"`);
+  }
+
+  // "the next link after that", "the previous one"
+  const step = text.match(/\bthe (next|previous) (?:(\w+) )?(?:after|before) (?:that|it|this)\b/) ||
+    text.match(/\bthe (next|previous) (one)\b/);
+  if (step) {
+    const from = locate(target.element, elements);
+    if (from < 0) return null;
+
+    const noun = step[2];
+    const kind = noun && KIND_HINTS[noun] ? KIND_HINTS[noun] : elementKind(target.element);
+    const direction = step[1] === 'next' ? 1 : -1;
+    for (let i = from + direction; i >= 0 && i < elements.length; i += direction) {
+      if (kind === 'other' || elementKind(elements[i]) === kind) {
+        return { found: true, element: elements[i], elementIndex: i, reason: `${step[1]} ${kind} ${direction > 0 ? 'after' : 'before'} "${label(target.element)}"` };
+      }
+    }
+    return { found: false, message: `There is no ${step[1]} ${kind === 'other' ? 'element' : kind} on this page` };
+  }
+
+  // "the other button" -> another match from the last command
+  const other = text.match(/\bthe other (\w+)\b/);
+  if (other) {
+    const kind = KIND_HINTS[other[1]] || null;
+    const alternatives = target.candidates.filter(c =>
+      c.index !== target.element.index && (!kind || elementKind(c) === kind)
+    );
+    for (const alternative of alternatives) {
+      if (locate(alternative, elements) >= 0) {
+        return located(alternative, elements, `other match for "${target.command}"`);
+      }
+    }
+    return null;
+  }
+
+  // "open it again", "click that", "press the same one"
+  const words = parseQuery(command).query.split(' ').filter(Boolean);
+  if (words.length > 0 && words.every(word => REFERENCE_WORDS.has(word)) && words.some(word => POINTING_WORDS.includes(word))) {
+    return located(target.element, elements, `same element as "${target.command}"`);
+  }
+
+  return null;
+}
+
+/**
+ * Most recent turn on the current page that resolved to an element
+ */
+function lastTarget(history) {
+  if (!history || !history.pageUrl) return null;
+
+  const turns = history.turns || [];
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (turns[i].element && turns[i].pageUrl === history.pageUrl) return turns[i];
+  }
+  return null;
+}
+
+function located(record, elements, reason) {
+  const elementIndex = locate(record, elements);
+  if (elementIndex < 0) return null;
+  return { found: true, element: elements[elementIndex], elementIndex, reason };
+}
+
+/**
+ * Index of a remembered element on the current page: the same position if it
+ * still holds the same element, otherwise the first element with the same label
+ */
+function locate(record, elements) {
+  if (Number.isInteger(record.index) && elements[record.index] && sameRecord(record, elements[record.index])) {
+    return record.index;
+  }
+  return elements.findIndex(element => sameRecord(record, element));
+}
+
+/**
+ * Whether a page element looks like the remembered one; unlabelled elements never match
+ */
+function sameRecord(record, element) {
+  if ((record.tag || '') !== (element.tag || '')) return false;
+  if (record.href && element.href && record.href !== element.href) return false;
+  const name = label(record);
+  return name !== '' && name === label(element);
+}
+
+function label(element) {
+  return normalizeText(element.text || element.ariaLabel || element.placeholder || '');
+}
+
+module.exports = {
+  resolveFollowUp
+};
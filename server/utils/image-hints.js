@@ -0,0 +1,117 @@
+/**
+ * Offline image naming from the clues pages leave around icons:
+ * class names, ids, file names, SVG sprite references and titles
+ */
+
+// Checked in order; the first matching pattern names the icon
+const ICON_NAMES = [
+  [/\b(search|magnif\w*|loupe)\b/, 'Search'],
+  [/\b(cart|basket|bag|trolley)\b/, 'Shopping cart'],
+  [/\b(close|dismiss|times|cross|xmark)\b/, 'Close'],
+  [/\b(menu|hamburger|bars|burger|nav toggle)\b/, 'Menu'],
+  [/\b(user|avatar|profile|account|person)\b/, 'Account'],
+  [/\b(settings|gear|cog|preferences)\b/, 'Settings'],
+  [/\b(bell|notifications?|alerts?)\b/, 'Notifications'],
+  [/\b(heart|favou?rites?|wishlist|like)\b/, 'Favorite'],
+  [/\b(share)\b/, 'Share'],
+  [/\b(home|house)\b/, 'Home'],
+  [/\b(edit|pencil|pen)\b/, 'Edit'],
+  [/\b(trash|delete|bin|remove)\b/, 'Delete'],
+  [/\b(plus|add|new)\b/, 'Add'],
+  [/\b(minus|subtract)\b/, 'Remove'],
+  [/\b(download)\b/, 'Download'],
+  [/\b(upload)\b/, 'Upload'],
+  [/\b(play)\b/, 'Play'],
+  [/\b(pause)\b/, 'Pause'],
+  [/\b(mute|volume off)\b/, 'Mute'],
+  [/\b(volume|sound|speaker)\b/, 'Volume'],
+  [/\b(prev(ious)?|back|arrow left|chevron left|left)\b/, 'Previous'],
+  [/\b(next|forward|arrow right|chevron right|right)\b/, 'Next'],
+  [/\b(chevron down|caret down|expand|arrow down|dropdown)\b/, 'Expand'],
+  [/\b(chevron up|caret up|collapse|arrow up)\b/, 'Collapse'],
+  [/\b(mail|email|envelope)\b/, 'Email'],
+  [/\b(phone|call)\b/, 'Phone'],
+  [/\b(chat|message|comment)s?\b/, 'Messages'],
+  [/\b(help|question|faq)\b/, 'Help'],
+  [/\b(info|information)\b/, 'Information'],
+  [/\b(calendar|date)\b/, 'Calendar'],
+  [/\b(filter|funnel)\b/, 'Filter'],
+  [/\b(sort)\b/, 'Sort'],
+  [/\b(print|printer)\b/, 'Print'],
+  [/\b(copy|clipboard)\b/, 'Copy'],
+  [/\b(refresh|reload|sync)\b/, 'Refresh'],
+  [/\b(lock|secure)\b/, 'Locked'],
+  [/\b(logout|log out|sign out|signout)\b/, 'Sign out'],
+  [/\b(login|log in|sign in|signin)\b/, 'Sign in'],
+  [/\b(facebook|twitter|linkedin|instagram|youtube|github|tiktok|pinterest|reddit|whatsapp)\b/, match => capitalize(match[1])],
+  [/\b(logo|brand)\b/, 'Logo']
+];
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Split camelCase, kebab-case and snake_case names into lowercase words
+ */
+function toWords(text) {
+  return String(text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_\-./#:]+/g, ' ')
+    .replace(/\b(icon|icons|ico|svg|img|image|btn|button|fa|fas|far|fab|mdi|bi|material|symbols?|outlined|rounded|sharp|solid|regular|light|sm|md|lg|xl)\b/gi, ' ')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * File name of an image URL without extension, size suffixes or hashes
+ */
+function fileNameWords(imageUrl) {
+  if (!imageUrl || imageUrl.startsWith('data:')) return '';
+  try {
+    const name = decodeURIComponent(new URL(imageUrl).pathname.split('/').pop() || '');
+    return toWords(name.replace(/\.[a-z0-9]+$/i, ''))
+      .replace(/\b([0-9a-f]{6,}|\d+x\d+|\d+|@\dx)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Best guess at a short name for an image, or null when there are no usable clues
+ * @param {object} image - { imageUrl, hints: { title, className, id, dataIcon, useHref, nearbyText }, kind }
+ * @returns {string|null}
+ */
+function describeFromHints(image = {}) {
+  const hints = image.hints || {};
+
+  // A title on the image or its SVG is an author-written name that was not exposed
+  if (hints.title && hints.title.trim()) {
+    return hints.title.trim().substring(0, 80);
+  }
+
+  const clues = [hints.dataIcon, hints.useHref, hints.className, hints.id, fileNameWords(image.imageUrl)]
+    .map(toWords)
+    .filter(Boolean)
+    .join(' ');
+
+  for (const [pattern, name] of ICON_NAMES) {
+    const match = clues.match(pattern);
+    if (match) return typeof name === 'function' ? name(match) : name;
+  }
+
+  // Plain images with a descriptive file name ("team-photo.jpg")
+  const fileWords = fileNameWords(image.imageUrl);
+  if (image.kind !== 'icon' && fileWords && fileWords.split(' ').length >= 2) {
+    return capitalize(fileWords);
+  }
+
+  return null;
+}
+
+module.exports = {
+  describeFromHints
+};
@@ -0,0 +1,151 @@
+/**
+ * Offline keyword ranking of page text passages against a question.
+ * Picks the passages sent to the model and answers questions in the rule-based provider.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from', 'about',
+  'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'has', 'have', 'had', 'can', 'could',
+  'will', 'would', 'should', 'may', 'might', 'what', 'whats', 'when', 'where', 'who', 'whom', 'why', 'how',
+  'which', 'this', 'that', 'these', 'those', 'it', 'its', 'i', 'me', 'my', 'you', 'your', 'we', 'they',
+  'there', 'here', 'any', 'some', 'tell', 'page', 'article', 'site', 'mention', 'mentions', 'say', 'says'
+]);
+
+// Question words that imply terms the answer usually contains
+const QUESTION_HINTS = [
+  [/\b(price|cost|how much)\b/, ['price', 'cost', '$', '€', '£', 'usd', 'free']],
+  [/\b(close|closes|closing|open|opens|opening|hours)\b/, ['hours', 'open', 'close', 'am', 'pm', 'monday', 'daily']],
+  [/\b(refunds?|returns?|money back)\b/, ['refund', 'return', 'money back', 'exchange']],
+  [/\b(ship|shipping|delivery|deliver)\b/, ['shipping', 'delivery', 'dispatch', 'days']],
+  [/\b(phone|call|email|contact)\b/, ['phone', 'email', 'contact', '@', 'tel']],
+  [/\bwhen\b/, ['date', 'day', 'year', 'time']],
+  [/\bwho\b/, ['by', 'author', 'written']]
+];
+
+const MAX_SENTENCE_LENGTH = 300;
+
+/**
+ * Reduce a word to a rough stem so "refunds" matches "refund" and "closing" matches "close"
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(ing|ed|es|s)$/, '').replace(/e$/, '');
+}
+
+/**
+ * Content words of a text, stemmed
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .split(/[^a-z0-9$€£@]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Search terms for a question: its own words plus the hint terms it implies
+ */
+function questionTerms(question) {
+  const lower = String(question || '').toLowerCase();
+  const terms = new Set(tokenize(lower));
+
+  QUESTION_HINTS.forEach(([pattern, hints]) => {
+    if (pattern.test(lower)) hints.forEach(hint => tokenize(hint).forEach(term => terms.add(term)));
+  });
+
+  return [...terms];
+}
+
+/**
+ * Score every passage against the question (BM25-style term weighting)
+ * @param {string} question
+ * @param {Array<{id: number, text: string}>} passages
+ * @returns {Array<{id: number, text: string, score: number}>} - Best first, zero-score passages dropped
+ */
+function rankPassages(question, passages) {
+  const terms = questionTerms(question);
+  if (terms.length === 0 || passages.length === 0) return [];
+
+  const tokenized = passages.map(passage => tokenize(passage.text));
+  const averageLength = tokenized.reduce((sum, tokens) => sum + tokens.length, 0) / tokenized.length || 1;
+
+  const documentFrequency = new Map();
+  tokenized.forEach(tokens => {
+    new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  });
+
+  return passages
+    .map((passage, i) => {
+      const tokens = tokenized[i];
+      const counts = new Map();
+      tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+      const score = terms.reduce((total, term) => {
+        const frequency = counts.get(term) || 0;
+        if (!frequency) return total;
+        const df = documentFrequency.get(term) || 0;
+        const idf = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+        return total + idf * (frequency * 2.2) / (frequency + 1.2 * (0.25 + 0.75 * tokens.length / averageLength));
+      }, 0);
+
+      return { ...passage, score };
+    })
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Best passages that fit in a character budget, returned in page order
+ */
+function selectPassages(question, passages, maxChars) {
+  const selected = [];
+  let total = 0;
+
+  for (const passage of rankPassages(question, passages)) {
+    if (total + passage.text.length > maxChars) continue;
+    selected.push(passage);
+    total += passage.text.length;
+  }
+
+  return selected.sort((a, b) => a.id - b.id);
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(sentence => sentence.length > 2)
+    .map(sentence => sentence.substring(0, MAX_SENTENCE_LENGTH));
+}
+
+/**
+ * Single sentence that best answers the question, for offline answers
+ * @returns {{passageId: number, sentence: string, score: number}|null}
+ */
+function bestSentence(question, passages) {
+  const sentences = [];
+  passages.forEach(passage => {
+    splitSentences(passage.text).forEach(sentence => sentences.push({ id: passage.id, text: sentence }));
+  });
+
+  const [best] = rankPassages(question, sentences);
+  return best ? { passageId: best.id, sentence: best.text, score: best.score } : null;
+}
+
+/**
+ * Whether a quote really appears in a passage, ignoring case, spacing and quote styles
+ */
+function quoteAppearsIn(quote, text) {
+  const normalize = value => String(value || '').toLowerCase().replace(/[“”"‘’']/g, '').replace(/\s+/g, ' ').trim();
+  const needle = normalize(quote).replace(/^\.{3}|\.{3}$|…/g, '').trim();
+  return needle.length > 0 && normalize(text).includes(needle);
+}
+
+module.exports = {
+  rankPassages,
+  selectPassages,
+  bestSentence,
+  quoteAppearsIn
+};